@@ -1,10 +1,42 @@
 import React, { useEffect, useLayoutEffect, useMemo, useRef, useState, useCallback } from 'react';
 import { Client } from '@stomp/stompjs';
 import SockJS from 'sockjs-client';
-import { Circle, Layer, Rect, Stage, Line, Group, Transformer, Image, Text } from 'react-konva';
+import { Circle, Ellipse, Layer, Rect, Stage, Line, Group, Transformer, Image, Text, Path, Label, Tag } from 'react-konva';
+import { applyOps, createHistory, elementOp, pushEntry, redoEntry, undoEntry } from './history';
+import { applyElementEvent, createLamportClock, diffAgainstSnapshot, maxVersion, mergeSnapshot, parseEventName } from './sync';
+import { DEFAULT_TOLERANCE, hasPressure, simplifyStroke, strokeOutline } from './strokes';
+import { recognizeStroke } from './shapeRecognition';
+import { ERASER_RADIUS, eraseOps } from './eraser';
+import { MAX_NAME_LENGTH, avatarList, cleanName, cursorLabel, initialsOf, presenceColor } from './presence';
+import { CURSOR_INTERVAL, createChannel, createCursorTracker, cursorPatch, cursorSample } from './cursors';
+import { MAX_ROOM_NAME_LENGTH, createRoom, deleteRoom, fetchRoom, forgetRoom, loadRecentRooms, rememberRoom, renameRoom, roomIdFrom, saveRecentRooms, timeAgo } from './rooms';
+import { BoardFileError, parseBoardFile, serializeBoard, withFreshIds } from './boardFile';
+import { exportBoardSvg } from './svgExport';
+import { PAGE_SIZES, exportBoardPdf } from './pdfExport';
+import { PIXEL_RATIOS, renderStagePng } from './pngExport';
+import { boardBounds, rectFromPoints, rectsIntersect, topLevelBounds, unionBounds } from './bounds';
+import { parseClipboard, placeElements, serializeSelection } from './clipboard';
+import { groupOps, multiplyMatrices, parentMap, selectableAncestor, ungroupOps, withDescendants, worldMatrix } from './groups';
+import { nextZ, orderedItems, reorderOps, sortByZ, stackedFrom } from './zOrder';
+import { ARROWHEADS, SNAP_DISTANCE, anchorPoints, connectorHeads, nearestAnchor, rerouteOps, routeConnector } from './connectors';
+import { shapeGeometry, shapeType, shapeTypes } from './shapes';
+import { DASH_STYLES, dashPattern, editableProperties, fillOf, opacityOf, propertyOps, sharedValue, strokeWidthOf, styleFor, styledElements } from './properties';
+import { NOTE_RADIUS, NOTE_WIDTH, TEXT_ALIGNS, TEXT_FONTS, TEXT_FONT_SIZE, TEXT_LINE_HEIGHT, fontStyleOf, textLayout } from './textLayout';
+import { boardBackground, getAdaptiveColor } from './theme';
+import { DEFAULT_VIEWPORT, centerOn, fitViewport, panBy, pinchStart, pinchViewport, steppedScale, toBoard, viewportMatrix, visibleArea, zoomAt } from './viewport';
 
 const DEFAULT_COLOR = '#5d5dff';
 
+const elementKinds = ['line', 'shape', 'image', 'text', 'group', 'connector'];
+const elementActions = ['created', 'updated', 'removed'];
+const strokeActions = ['points-appended', 'finalized'];
+
+// Session events that are stale by the time a dropped connection is back, so never queued for it
+const transientEvents = ['cursor-', 'viewport-', 'follow-'];
+
+// At most one viewport broadcast this often while the view moves
+const VIEWPORT_INTERVAL = 100;
+
 const buildId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
 const useImage = (src) => {
@@ -22,13 +54,38 @@ const socketUrl = 'http://localhost:8080/whiteboard-sockets';
 
 const tools = [
   { id: 'select', icon: <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><path d="M5 3l3.057 14.943L12 12l5 5 2-2-5-5 5.057-3.943z" /></svg> },
+  { id: 'hand', icon: <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><path d="M18 11V6a2 2 0 0 0-4 0M14 10V4a2 2 0 0 0-4 0v2M10 10.5V6a2 2 0 0 0-4 0v8" /><path d="M18 8a2 2 0 1 1 4 0v6a8 8 0 0 1-8 8h-2c-2.8 0-4.5-.86-5.99-2.34l-3.6-3.6a2 2 0 0 1 2.83-2.82L7 15" /></svg> },
   { id: 'pen', icon: <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><path d="M17 3a2.828 2.828 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z" /></svg> },
   { id: 'eraser', icon: <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><path d="M20 20H7L3 16C2 15 2 13 3 12L13 2L22 11L20 20Z" /><path d="M6 11L13 18" /></svg> },
-  { id: 'rect', icon: <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><rect x="3" y="3" width="18" height="18" rx="2" /></svg> },
-  { id: 'circle', icon: <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="10" /></svg> },
-  { id: 'text', icon: <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><path d="M4 7V4h16v3M9 20h6M12 4v16" /></svg> }
+  { id: 'shape', icon: <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><rect x="3" y="3" width="18" height="18" rx="2" /></svg> },
+  { id: 'line', icon: <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><path d="M5 19L19 5" /></svg> },
+  { id: 'arrow', icon: <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><path d="M5 19L19 5M10 5h9v9" /></svg> },
+  { id: 'text', icon: <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><path d="M4 7V4h16v3M9 20h6M12 4v16" /></svg> },
+  { id: 'note', icon: <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><path d="M15 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2v10z" /><path d="M15 21v-6h6M7 8h10M7 12h6" /></svg> }
 ];
 
+const arrowheadIcons = {
+  arrow: <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><path d="M3 12h17M14 6l6 6-6 6" /></svg>,
+  triangle: <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><path d="M3 12h12" /><path d="M14 6l7 6-7 6z" fill="currentColor" /></svg>,
+  circle: <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><path d="M3 12h13" /><circle cx="18" cy="12" r="3" fill="currentColor" /></svg>
+};
+
+// The react-konva node each shape type's `konva` entry names
+const shapeNodes = { Rect, Circle, Ellipse, Path };
+
+// Picker icon drawn from the shape type's own SVG export, as a regular shape
+const ShapeIcon = ({ type }) => {
+  const shape = { type, ...shapeGeometry(type, { x: 0, y: 0 }, { x: 20, y: 20 }, true) };
+  const box = shapeTypes[type].box(shape);
+  const { tag: Tag, attrs } = shapeTypes[type].svg(shape);
+  const pad = box.width / 10;
+  return (
+    <svg width="18" height="18" viewBox={`${shape.x + box.x - pad} ${shape.y + box.y - pad} ${box.width + pad * 2} ${box.height + pad * 2}`} fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinejoin="round">
+      <Tag {...attrs} transform={`translate(${shape.x} ${shape.y})`} vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+};
+
 const palette = [
   { name: 'Ink', color: '#1a1a1a' },
   { name: 'Slate', color: '#64748b' },
@@ -38,91 +95,258 @@ const palette = [
   { name: 'Rose', color: '#dc2626' }
 ];
 
-const DynamicText = ({ text, onSelect, onTransform, tool }) => {
+const eraserModes = [
+  { id: 'stroke', label: 'Erase whole strokes', icon: <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><path d="M4 17c3-6 6-9 9-6s5 2 7-3" /></svg> },
+  { id: 'pixel', label: 'Erase parts of strokes', icon: <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><path d="M4 17c1.5-3 3-5 4.5-6M15.5 10.5c1.5.5 3 0 4.5-2.5" /></svg> }
+];
+
+// The pressure a pointer event reports, or null for a mouse. Pens and touch screens
+// without pressure report 0.5, which draws at the chosen width.
+const pointerPressure = evt => (evt && evt.pointerType && evt.pointerType !== 'mouse' ? evt.pressure || 0.5 : null);
+
+// Sticky note backgrounds, light enough for any ink colour
+const notePalette = [
+  { name: 'Butter', color: '#fde68a' },
+  { name: 'Mint', color: '#bbf7d0' },
+  { name: 'Sky', color: '#bfdbfe' },
+  { name: 'Blush', color: '#fbcfe8' },
+  { name: 'Lilac', color: '#ddd6fe' }
+];
+
+// The kind of element each drawing tool creates, for the properties it starts with
+const toolKinds = { pen: 'line', shape: 'shape', line: 'connector', arrow: 'connector', text: 'text', note: 'text' };
+
+const alignIcons = {
+  left: <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round"><path d="M4 6h16M4 12h10M4 18h13" /></svg>,
+  center: <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round"><path d="M4 6h16M7 12h10M5 18h14" /></svg>,
+  right: <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round"><path d="M4 6h16M10 12h10M7 18h13" /></svg>
+};
+
+const dashIcons = {
+  solid: <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round"><path d="M3 12h18" /></svg>,
+  dashed: <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round"><path d="M3 12h4M10 12h4M17 12h4" /></svg>,
+  dotted: <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round"><path d="M4 12h0M9 12h0M14 12h0M19 12h0" /></svg>
+};
+
+// Style controls for the selection, or for what the current tool draws next. Sliders and
+// colour inputs call onPreview while moving and onCommit once let go, so a drag is one
+// undo step; buttons and swatches apply straight away.
+const PropertiesPanel = ({ hidden, keys, values, darkMode, onPreview, onCommit, onApply }) => {
+  const commitProps = { onPointerUp: onCommit, onKeyUp: onCommit, onBlur: onCommit };
+  const swatches = (key, allowNone, colors = palette) => (
+    <div className="property-swatches">
+      {allowNone && (
+        <button className={`swatch none ${values[key] === 'none' ? 'active' : ''}`} onClick={() => onApply({ [key]: 'none' })} title="None" />
+      )}
+      {colors.map(p => (
+        <button
+          key={p.color}
+          className={`swatch ${values[key] === p.color ? 'active' : ''}`}
+          style={{ '--dot-color': getAdaptiveColor(p.color, darkMode) }}
+          onClick={() => onApply({ [key]: p.color })}
+          title={p.name}
+        />
+      ))}
+      <input
+        type="color"
+        value={values[key] && values[key] !== 'none' ? values[key] : '#ffffff'}
+        onChange={e => onPreview({ [key]: e.target.value })}
+        {...commitProps}
+        title="Custom colour"
+      />
+    </div>
+  );
+  return (
+    <div className={`ui-atom properties-panel ${hidden ? 'hidden' : ''}`}>
+      {keys.includes('color') && (
+        <div className="property-row"><span>Stroke</span>{swatches('color', false)}</div>
+      )}
+      {keys.includes('fill') && (
+        <div className="property-row"><span>Fill</span>{swatches('fill', true)}</div>
+      )}
+      {keys.includes('strokeWidth') && (
+        <div className="property-row">
+          <span>Width</span>
+          <input type="range" min="1" max="15" value={values.strokeWidth} onChange={e => onPreview({ strokeWidth: Number(e.target.value) })} {...commitProps} />
+        </div>
+      )}
+      {keys.includes('dash') && (
+        <div className="property-row">
+          <span>Style</span>
+          <div className="property-options">
+            {DASH_STYLES.map(dash => (
+              <button key={dash} className={values.dash === dash ? 'active' : ''} onClick={() => onApply({ dash })} title={dash}>
+                {dashIcons[dash]}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+      {keys.includes('cornerRadius') && (
+        <div className="property-row">
+          <span>Corners</span>
+          <input type="range" min="0" max="48" value={values.cornerRadius} onChange={e => onPreview({ cornerRadius: Number(e.target.value) })} {...commitProps} />
+        </div>
+      )}
+      {keys.includes('opacity') && (
+        <div className="property-row">
+          <span>Opacity</span>
+          <input type="range" min="10" max="100" value={Math.round(values.opacity * 100)} onChange={e => onPreview({ opacity: Number(e.target.value) / 100 })} {...commitProps} />
+        </div>
+      )}
+      {keys.includes('background') && (
+        <div className="property-row"><span>Note</span>{swatches('background', true, notePalette)}</div>
+      )}
+      {keys.includes('fontFamily') && (
+        <div className="property-row">
+          <span>Font</span>
+          <div className="property-options">
+            {Object.entries(TEXT_FONTS).map(([family, { label, css }]) => (
+              <button key={family} className={values.fontFamily === family ? 'active' : ''} onClick={() => onApply({ fontFamily: family })} title={label} style={{ fontFamily: css }}>
+                Aa
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+      {keys.includes('fontSize') && (
+        <div className="property-row">
+          <span>Size</span>
+          <input type="range" min="10" max="96" value={values.fontSize} onChange={e => onPreview({ fontSize: Number(e.target.value) })} {...commitProps} />
+        </div>
+      )}
+      {keys.includes('align') && (
+        <div className="property-row">
+          <span>Text</span>
+          <div className="property-options">
+            <button className={values.bold ? 'active' : ''} onClick={() => onApply({ bold: !values.bold })} title="Bold"><b>B</b></button>
+            <button className={values.italic ? 'active' : ''} onClick={() => onApply({ italic: !values.italic })} title="Italic"><i>I</i></button>
+            {TEXT_ALIGNS.map(align => (
+              <button key={align} className={values.align === align ? 'active' : ''} onClick={() => onApply({ align })} title={`Align ${align}`}>
+                {alignIcons[align]}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Notes keep their ink colour, chosen to read on the note rather than the board
+const textInk = (text, darkMode) => (textLayout(text).background ? text.color : getAdaptiveColor(text.color, darkMode));
+
+// A Label so a note's background is sized by Konva to the text it measures
+const DynamicText = ({ text, onTransform, draggable }) => {
+  const layout = textLayout(text);
   return (
-    <Text
+    <Label
       id={text.id}
       name={text.id}
       x={text.x}
       y={text.y}
-      text={text.content || (text.isNew ? '' : 'Click to reveal')}
-      fontSize={22}
-      fontFamily="Outfit, sans-serif"
-      fill={text.color}
-      draggable={tool === 'select'}
-      onDblClick={() => onSelect(text.id, true)}
-      onClick={() => onSelect(text.id)}
+      opacity={opacityOf(text)}
+      draggable={draggable}
       onTransformEnd={onTransform}
       onDragEnd={onTransform}
       scaleX={text.scaleX || 1}
       scaleY={text.scaleY || 1}
       rotation={text.rotation || 0}
-    />
+    >
+      <Tag
+        name={text.id}
+        fill={layout.background || undefined}
+        cornerRadius={NOTE_RADIUS}
+        shadowColor="#000000"
+        shadowOpacity={layout.background ? 0.12 : 0}
+        shadowBlur={12}
+        shadowOffsetY={4}
+      />
+      <Text
+        name={text.id}
+        text={text.content || (text.isNew ? '' : 'Click to reveal')}
+        width={layout.width ?? undefined}
+        padding={layout.padding}
+        fontSize={layout.fontSize}
+        fontFamily={layout.fontFamily}
+        fontStyle={fontStyleOf(layout)}
+        align={layout.align}
+        lineHeight={TEXT_LINE_HEIGHT}
+        wrap="word"
+        fill={text.color}
+      />
+    </Label>
   );
 };
 
-const TextEditor = ({ text, onBlur, onChange }) => {
+// A textarea laid out like the Konva text and placed with its full screen transform
+// (stage zoom and pan, enclosing groups, the text's own rotation and scale), so the
+// words don't jump when editing starts or ends. Unwrapped texts grow to fit a hidden
+// mirror of the content.
+const TextEditor = ({ text, value, matrix, onBlur, onChange }) => {
   const ref = useRef(null);
   const mirrorRef = useRef(null);
+  const layout = textLayout(text);
   const [size, setSize] = useState({ w: 100, h: 40 });
 
   useLayoutEffect(() => {
     if (mirrorRef.current) {
-      const w = mirrorRef.current.clientWidth + 20;
-      const h = mirrorRef.current.clientHeight + 10;
+      const w = mirrorRef.current.offsetWidth + 4;
+      const h = mirrorRef.current.offsetHeight;
       // Buffer the size change to avoid rapid flickers
       setSize(prev => (Math.abs(prev.w - w) > 2 || Math.abs(prev.h - h) > 2) ? { w, h } : prev);
     }
-  }, [text.value]);
+  }, [value, layout.fontSize, layout.fontFamily, layout.bold, layout.italic, layout.width, layout.padding]);
 
   useEffect(() => {
     const timer = setTimeout(() => ref.current?.focus(), 50);
     return () => clearTimeout(timer);
   }, []);
 
+  const font = {
+    fontFamily: layout.fontFamily,
+    fontSize: `${layout.fontSize}px`,
+    fontWeight: layout.bold ? 'bold' : 'normal',
+    fontStyle: layout.italic ? 'italic' : 'normal',
+    lineHeight: TEXT_LINE_HEIGHT,
+    padding: layout.padding,
+    boxSizing: 'border-box',
+    whiteSpace: layout.width === null ? 'pre' : 'pre-wrap',
+    overflowWrap: 'break-word',
+    width: layout.width ?? undefined
+  };
+
   return (
     <>
       <div
         ref={mirrorRef}
-        style={{
-          position: 'fixed',
-          visibility: 'hidden',
-          whiteSpace: 'pre-wrap',
-          fontFamily: 'Outfit, sans-serif',
-          fontSize: '22px',
-          lineHeight: 1.2,
-          padding: 0,
-          pointerEvents: 'none',
-          maxWidth: '80vw'
-        }}
+        style={{ ...font, position: 'fixed', left: 0, top: 0, visibility: 'hidden', pointerEvents: 'none' }}
       >
-        {text.value + (text.value.endsWith('\n') ? ' ' : '') || ' '}
+        {value + (value.endsWith('\n') ? ' ' : '') || ' '}
       </div>
       <textarea
         ref={ref}
-        value={text.value}
+        value={value}
         onChange={(e) => onChange(e.target.value)}
         onBlur={onBlur}
         style={{
+          ...font,
           position: 'fixed',
-          left: text.x,
-          top: text.y,
-          width: size.w,
+          left: 0,
+          top: 0,
+          width: layout.width ?? size.w,
           height: size.h,
           color: text.color,
-          fontSize: '22px',
-          fontFamily: 'Outfit, sans-serif',
-          transform: `scale(${text.scaleX || 1}, ${text.scaleY || 1})`,
-          transformOrigin: 'top left',
-          background: 'transparent',
+          textAlign: layout.align,
+          transform: `matrix(${matrix.join(', ')})`,
+          transformOrigin: '0 0',
+          background: layout.background || 'transparent',
+          borderRadius: NOTE_RADIUS,
           border: 'none',
           outline: 'none',
-          padding: 0,
           margin: 0,
           resize: 'none',
           overflow: 'hidden',
-          lineHeight: 1.2,
-          whiteSpace: 'pre-wrap',
           zIndex: 10000,
           boxShadow: 'none'
         }}
@@ -131,7 +355,7 @@ const TextEditor = ({ text, onBlur, onChange }) => {
   );
 };
 
-const URLImage = ({ image, onTransform, tool }) => {
+const URLImage = ({ image, onTransform, draggable }) => {
   const [img] = useImage(image.src);
   return (
     <Image
@@ -145,32 +369,258 @@ const URLImage = ({ image, onTransform, tool }) => {
       scaleX={image.scaleX}
       scaleY={image.scaleY}
       rotation={image.rotation}
-      draggable={tool === 'select'}
+      opacity={opacityOf(image)}
+      draggable={draggable}
       onTransformEnd={onTransform}
       onDragEnd={onTransform}
     />
   );
 };
 
-const createStompClient = ({ onConnect, onDisconnect }) =>
+const createStompClient = ({ onConnect, onDisconnect, onWebSocketClose }) =>
   new Client({
     reconnectDelay: 5000,
     webSocketFactory: () => new SockJS(socketUrl),
     onConnect,
-    onDisconnect
+    onDisconnect,
+    onWebSocketClose
   });
 
+const connectionLabels = { connected: 'Connected', reconnecting: 'Reconnecting…', offline: 'Offline' };
+
+// Header avatars shown before the rest are counted
+const MAX_AVATARS = 5;
+
+const MINIMAP_WIDTH = 200;
+const MINIMAP_HEIGHT = 140;
+
+// Every element as a box with the stage's view outlined on top. Pressing or dragging on
+// it centres the view there; the map holds still until the drag ends.
+const Minimap = ({ board, viewport, stageSize, onNavigate }) => {
+  const items = useMemo(() => topLevelBounds(board), [board]);
+  const dragRef = useRef(null);
+  const view = visibleArea(viewport, stageSize.width, stageSize.height);
+  const frame = dragRef.current || fitViewport(unionBounds([...items.map(item => item.box), view]), MINIMAP_WIDTH, MINIMAP_HEIGHT, { padding: 8, minScale: 0, maxScale: Infinity });
+  const navigate = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    onNavigate(toBoard(dragRef.current, { x: e.clientX - rect.left, y: e.clientY - rect.top }));
+  };
+  return (
+    <svg
+      className="minimap"
+      width={MINIMAP_WIDTH}
+      height={MINIMAP_HEIGHT}
+      onPointerDown={(e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragRef.current = frame;
+        navigate(e);
+      }}
+      onPointerMove={e => dragRef.current && navigate(e)}
+      onPointerUp={() => { dragRef.current = null; }}
+    >
+      <g transform={`matrix(${viewportMatrix(frame).join(' ')})`}>
+        {items.map(({ id, box }) => <rect key={id} className="minimap-element" {...box} />)}
+        <rect className="minimap-view" {...view} vectorEffect="non-scaling-stroke" />
+      </g>
+    </svg>
+  );
+};
+
+// Other people's cursors, fed by the cursor channel rather than App state. Positions are
+// written to the Konva nodes every animation frame; React only renders this layer again
+// when a cursor comes, goes or changes tool. Cursors keep their size whatever the zoom.
+const RemoteCursors = ({ channel, members, scale }) => {
+  const [tracker] = useState(createCursorTracker);
+  const [tools, setTools] = useState({}); // id -> tool of every cursor that can be drawn
+  const nodesRef = useRef({});
+
+  useEffect(() => channel.subscribe((message) => {
+    if (message.clear) {
+      tracker.clear();
+      setTools({});
+    } else if (message.left) {
+      tracker.remove(message.id);
+      setTools(({ [message.id]: _, ...rest }) => rest);
+    } else if (tracker.receive(message, performance.now())) {
+      setTools(prev => ({ ...prev, [message.id]: tracker.tool(message.id) }));
+    }
+  }), [channel, tracker]);
+
+  useEffect(() => {
+    let frame;
+    const draw = () => {
+      const now = performance.now();
+      let layer = null;
+      Object.entries(nodesRef.current).forEach(([id, node]) => {
+        const position = tracker.position(id, now);
+        if (position && (position.x !== node.x() || position.y !== node.y())) {
+          node.position(position);
+          layer = node.getLayer();
+        }
+      });
+      layer?.batchDraw();
+      frame = requestAnimationFrame(draw);
+    };
+    frame = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(frame);
+  }, [tracker]);
+
+  return Object.entries(tools).map(([id, tool]) => {
+    const member = members.find(m => m.id === id);
+    const color = member ? member.color : '#64748b';
+    return (
+      <Group
+        key={id}
+        ref={(node) => {
+          if (node) nodesRef.current[id] = node;
+          else delete nodesRef.current[id];
+        }}
+        name="presence"
+        {...tracker.position(id, performance.now())}
+        scaleX={1 / scale}
+        scaleY={1 / scale}
+      >
+        <Circle radius={14} fill={color} opacity={0.08} />
+        <Circle radius={8} fill={color} opacity={0.18} />
+        <Circle radius={4} fill={color} />
+        {member && (
+          <Label x={10} y={10}>
+            <Tag fill={color} cornerRadius={4} />
+            <Text text={cursorLabel(member.name, tool)} fill="#ffffff" fontSize={12} fontFamily="Outfit, sans-serif" fontStyle="600" padding={4} />
+          </Label>
+        )}
+      </Group>
+    );
+  });
+};
+
+// How often the lobby asks after the rooms it lists
+const LOBBY_REFRESH = 10000;
+
+// Where everyone starts: make a new board, join one by id or link, or go back to a
+// recent one. Recent rooms show what the server says about them right now.
+const Lobby = ({ recentRooms, error, onCreate, onOpen, onRemember, onForget }) => {
+  const [details, setDetails] = useState({}); // id -> room, or null when it no longer exists
+  const [newName, setNewName] = useState('');
+  const [joinInput, setJoinInput] = useState('');
+  const [editing, setEditing] = useState(null); // { id, name } of the room being renamed
+  const [confirmingDelete, setConfirmingDelete] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const ids = recentRooms.map(room => room.id).join(' ');
+
+  useEffect(() => {
+    let cancelled = false;
+    const refresh = () => {
+      recentRooms.forEach((room) => {
+        fetchRoom(room.id)
+          .then(live => !cancelled && setDetails(prev => ({ ...prev, [room.id]: live })))
+          // Unreachable is not gone; keep showing what we last knew
+          .catch(() => {});
+      });
+    };
+    refresh();
+    const timer = setInterval(refresh, LOBBY_REFRESH);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [ids]);
+
+  const rename = async (e) => {
+    e.preventDefault();
+    try {
+      const room = await renameRoom(editing.id, editing.name);
+      setDetails(prev => ({ ...prev, [room.id]: room }));
+      onRemember(room);
+      setEditing(null);
+      setActionError(null);
+    } catch (err) {
+      setActionError(err.message);
+    }
+  };
+
+  const remove = async (id) => {
+    try {
+      await deleteRoom(id);
+      onForget(id);
+      setActionError(null);
+    } catch (err) {
+      setActionError(err.message);
+    }
+    setConfirmingDelete(null);
+  };
+
+  return (
+    <div className="lobby-screen">
+      <div className="dialog lobby">
+        <h2>Radical Board</h2>
+        <form className="lobby-row" onSubmit={(e) => { e.preventDefault(); onCreate(newName); }}>
+          <input type="text" placeholder="Name a new board" maxLength={MAX_ROOM_NAME_LENGTH} value={newName} onChange={(e) => setNewName(e.target.value)} />
+          <button type="submit" className="primary">Create</button>
+        </form>
+        <form className="lobby-row" onSubmit={(e) => { e.preventDefault(); onOpen(joinInput); }}>
+          <input type="text" placeholder="Room id or link" value={joinInput} onChange={(e) => setJoinInput(e.target.value)} />
+          <button type="submit" disabled={!roomIdFrom(joinInput)}>Join</button>
+        </form>
+        {(error || actionError) && <p className="dialog-error">{error || actionError}</p>}
+        {recentRooms.length > 0 && (
+          <>
+            <h3>Recent boards</h3>
+            <ul className="recent-rooms">
+              {recentRooms.map((recent) => {
+                const live = details[recent.id];
+                if (editing?.id === recent.id) {
+                  return (
+                    <li key={recent.id}>
+                      <form className="lobby-row" onSubmit={rename}>
+                        <input type="text" autoFocus maxLength={MAX_ROOM_NAME_LENGTH} value={editing.name} onChange={(e) => setEditing({ ...editing, name: e.target.value })} />
+                        <button type="submit" className="primary" disabled={!editing.name.trim()}>Save</button>
+                        <button type="button" onClick={() => setEditing(null)}>Cancel</button>
+                      </form>
+                    </li>
+                  );
+                }
+                return (
+                  <li key={recent.id} className={live === null ? 'gone' : ''}>
+                    <button className="recent-room" disabled={live === null} onClick={() => onOpen(recent.id)}>
+                      <span className="recent-room-name">{live?.name ?? recent.name}</span>
+                      <span className="recent-room-meta">
+                        {live === null && 'Deleted'}
+                        {live && `${live.participants} here · active ${timeAgo(live.lastActivity)}`}
+                      </span>
+                    </button>
+                    {live === null ? (
+                      <button onClick={() => onForget(recent.id)}>Forget</button>
+                    ) : confirmingDelete === recent.id ? (
+                      <>
+                        <button className="danger" onClick={() => remove(recent.id)}>Delete for everyone</button>
+                        <button onClick={() => setConfirmingDelete(null)}>Keep</button>
+                      </>
+                    ) : (
+                      <>
+                        <button onClick={() => setEditing({ id: recent.id, name: live?.name ?? recent.name })} disabled={!live}>Rename</button>
+                        <button onClick={() => setConfirmingDelete(recent.id)} disabled={!live}>Delete</button>
+                      </>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Consecutive failed connection attempts before we call it offline rather than reconnecting
+const OFFLINE_AFTER_ATTEMPTS = 3;
+
 const safeParse = (message) => {
   if (!message?.body) return null;
   try { return JSON.parse(message.body); } catch (e) { return null; }
 };
 
-const getAdaptiveColor = (color, darkMode) => {
-  if (color === '#1a1a1a' && darkMode) return '#f0f0f0';
-  if (color === '#f0f0f0' && !darkMode) return '#1a1a1a';
-  return color;
-};
-
 export default function App() {
   const stageRef = useRef(null);
   const transformerRef = useRef(null);
@@ -178,66 +628,157 @@ export default function App() {
   const clientIdRef = useRef(buildId());
 
   const [roomId, setRoomId] = useState('');
+  const [roomInfo, setRoomInfo] = useState(null); // what the server says about the room we are joining or in
   const [joined, setJoined] = useState(false);
-
-  // Load room from URL
+  const [recentRooms, setRecentRooms] = useState(() => loadRecentRooms());
+  const [lobbyError, setLobbyError] = useState(null);
+  const [roomDeleted, setRoomDeleted] = useState(false);
+  // Who we are to the room: a name asked for on joining and a colour from an id this browser keeps
+  const [displayName, setDisplayName] = useState(() => localStorage.getItem('displayName') || '');
+  const [userId] = useState(() => localStorage.getItem('userId') || buildId());
+  const [joinDialogOpen, setJoinDialogOpen] = useState(false);
+  const [members, setMembers] = useState([]); // { id, name, color } of everyone in the room, from the server
+  const [following, setFollowing] = useState(null); // id of the member whose view ours follows
+  const identityRef = useRef(null);
+  const [connectionStatus, setConnectionStatus] = useState('reconnecting');
+  const [roomError, setRoomError] = useState(null); // the last thing the server refused, shown until dismissed
+
+  useEffect(() => { localStorage.setItem('userId', userId); }, [userId]);
+  useEffect(() => { saveRecentRooms(recentRooms); }, [recentRooms]);
+
+  // A shared link goes straight to joining its room
   useEffect(() => {
     const params = new URLSearchParams(window.location.search);
     const r = params.get('room');
-    if (r) setRoomId(r);
+    if (r) openRoom(r);
   }, []);
 
   const [tool, setTool] = useState('pen');
   const [strokeColor, setStrokeColor] = useState(DEFAULT_COLOR);
   const [strokeWidth, setStrokeWidth] = useState(3);
+  const [fillColor, setFillColor] = useState('none');
+  const [dashStyle, setDashStyle] = useState('solid');
+  const [elementOpacity, setElementOpacity] = useState(1);
+  const [textStyle, setTextStyle] = useState({ fontSize: TEXT_FONT_SIZE, fontFamily: 'sans', bold: false, italic: false, align: 'left', background: notePalette[0].color });
   const [lines, setLines] = useState([]);
   const [shapes, setShapes] = useState([]);
   const [images, setImages] = useState([]);
   const [texts, setTexts] = useState([]);
-  const [cursors, setCursors] = useState({});
-  const [history, setHistory] = useState([{ lines: [], shapes: [], images: [], texts: [] }]);
-  const [historyStep, setHistoryStep] = useState(0);
+  const [groups, setGroups] = useState([]);
+  const [connectors, setConnectors] = useState([]);
+  const [cursorChannel] = useState(createChannel); // remote cursor messages, straight to RemoteCursors
   const [stageSize, setStageSize] = useState({ width: window.innerWidth, height: window.innerHeight });
+  const [viewport, setViewport] = useState(DEFAULT_VIEWPORT); // the stage's pan and zoom
+  const [spaceHeld, setSpaceHeld] = useState(false); // Space turns any tool into the hand while held
+  const [panning, setPanning] = useState(false);
 
   const [drawingLineId, setDrawingLineId] = useState(null);
   const [drawingShapeId, setDrawingShapeId] = useState(null);
   const [shapeStart, setShapeStart] = useState(null);
-  const [selectedId, setSelectedId] = useState(null);
+  const [arrowhead, setArrowhead] = useState('arrow'); // end style for the arrow tool
+  const [activeShapeType, setActiveShapeType] = useState('rect'); // what the shape tool draws
+  const [anchorHint, setAnchorHint] = useState(null); // { id, anchor } near the pointer while drawing connectors
+  const [eraserMode, setEraserMode] = useState('stroke'); // 'stroke' removes whole elements, 'pixel' cuts strokes
+  const [eraserDrag, setEraserDrag] = useState(null); // { points, radius, ids } while the eraser is held down
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [marquee, setMarquee] = useState(null); // { x1, y1, x2, y2, additive } in board coordinates
+  const [focusedGroupId, setFocusedGroupId] = useState(null); // the group drilled into, if any
 
   // Interaction & UI States
   const [uiVisible, setUiVisible] = useState(true);
   const [radialMenu, setRadialMenu] = useState({ visible: false, x: 0, y: 0 });
+  const [contextMenu, setContextMenu] = useState(null); // { x, y } of the element menu
   const [lastStrokeId, setLastStrokeId] = useState(null);
   const [darkMode, setDarkMode] = useState(() => localStorage.getItem('theme') === 'dark');
+  // Pen settings: how far simplification may move a stroke, and whether strokes snap to shapes
+  const [penTolerance, setPenTolerance] = useState(() => Number(localStorage.getItem('penTolerance') ?? DEFAULT_TOLERANCE));
+  const [snapToShape, setSnapToShape] = useState(() => localStorage.getItem('penSnap') === 'on');
   const [tbPos, setTbPos] = useState('bottom');
   const [isTbDragging, setIsTbDragging] = useState(false);
   const [isIdle, setIsIdle] = useState(false);
   const [mousePos, setMousePos] = useState({ x: 0, y: 0 });
 
+  useEffect(() => {
+    localStorage.setItem('penTolerance', String(penTolerance));
+    localStorage.setItem('penSnap', snapToShape ? 'on' : 'off');
+  }, [penTolerance, snapToShape]);
+
   // Sync Theme
   useEffect(() => {
     localStorage.setItem('theme', darkMode ? 'dark' : 'light');
-    document.body.style.backgroundColor = darkMode ? '#0c0c0e' : '#faf9f6';
+    document.body.style.backgroundColor = boardBackground(darkMode);
   }, [darkMode]);
   const [startTime] = useState(Date.now());
   const [elapsed, setElapsed] = useState('00:00');
   const [showAdvancedPicker, setShowAdvancedPicker] = useState(false);
-  const [editingText, setEditingText] = useState(null); // { id, x, y, value, color }
+  const [editingText, setEditingText] = useState(null); // { id, value, matrix }
   const [exportMenuOpen, setExportMenuOpen] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null); // { fileName, board } or { fileName, error }
+  const [pdfOptions, setPdfOptions] = useState(null); // { title, pageSize, layout, busy }
+  const [pngOptions, setPngOptions] = useState(null); // { scope, pixelRatio, padding, background }
+  const [pngPreview, setPngPreview] = useState(null); // { dataURL, width, height }
   const exportMenuRef = useRef(null);
+  const contextMenuRef = useRef(null);
+  const importInputRef = useRef(null);
   const colorInputRef = useRef(null);
 
   const linesRef = useRef(lines);
   const shapesRef = useRef(shapes);
   const imagesRef = useRef(images);
   const textsRef = useRef(texts);
+  const groupsRef = useRef(groups);
+  const connectorsRef = useRef(connectors);
+  const editingTextRef = useRef(editingText);
+  const historyRef = useRef(createHistory());
+  const tombstonesRef = useRef({});
+  const clockRef = useRef(createLamportClock());
+  const strokeStreamRef = useRef(null); // { id, sent, frame } for the stroke being drawn
+  const outboxRef = useRef([]); // messages published while disconnected
+  const failedAttemptsRef = useRef(0);
+  const transformedIdsRef = useRef(null); // nodes whose drag/transform ended in the current event
   const uiTimerRef = useRef(null);
   const idleTimerRef = useRef(null);
+  const viewportRef = useRef(viewport);
+  const panRef = useRef(null); // { from, viewport } while the board is dragged around
+  const touchesRef = useRef(new Map()); // stage positions of the fingers down, by pointer id
+  const pinchRef = useRef(null); // what a two-finger gesture started from
+  const followingRef = useRef(null);
+  const remoteViewsRef = useRef({}); // the board area each member last showed, by id
+  const viewSentRef = useRef(0); // when our view was last broadcast
+  const cursorOutRef = useRef({ sent: null, queued: null, sentAt: 0, timer: null }); // our cursor as peers know it
 
   useEffect(() => { linesRef.current = lines; }, [lines]);
   useEffect(() => { shapesRef.current = shapes; }, [shapes]);
   useEffect(() => { imagesRef.current = images; }, [images]);
   useEffect(() => { textsRef.current = texts; }, [texts]);
+  useEffect(() => { groupsRef.current = groups; }, [groups]);
+  useEffect(() => { connectorsRef.current = connectors; }, [connectors]);
+  useEffect(() => { editingTextRef.current = editingText; }, [editingText]);
+
+  // The ref is what handlers convert pointers with, so it changes with the view right away
+  const setView = (next) => {
+    viewportRef.current = next;
+    setViewport(next);
+  };
+
+  // Shows the board area another member sees, fitted to our own screen
+  const showArea = (area) => {
+    const stage = stageRef.current;
+    if (stage) setView(fitViewport(area, stage.width(), stage.height(), { padding: 0 }));
+  };
+
+  // Following someone keeps our view on theirs until we move it ourselves
+  const follow = (id) => {
+    followingRef.current = id;
+    setFollowing(id);
+    const area = id && remoteViewsRef.current[id];
+    if (area) showArea(area);
+  };
+
+  const moveViewport = (next) => {
+    if (followingRef.current) follow(null);
+    setView(next);
+  };
 
   // Session timer
   useEffect(() => {
@@ -257,74 +798,232 @@ export default function App() {
   }, [roomId]);
 
   const publishRoomEvent = useCallback((destination, payload) => {
-    if (!roomDestinations || !stompRef.current?.connected) return;
-    stompRef.current.publish({
+    if (!roomDestinations) return;
+    const message = {
       destination: `${roomDestinations.appBase}/${destination}`,
       body: JSON.stringify({ ...payload, roomId })
-    });
-  }, [roomDestinations, roomId, stompRef.current?.connected]);
+    };
+    if (stompRef.current?.connected) stompRef.current.publish(message);
+    // Everything but cursor and view moves is replayed on reconnect
+    else if (!transientEvents.some(prefix => destination.startsWith(prefix))) outboxRef.current.push(message);
+  }, [roomDestinations, roomId]);
+
+  const currentBoard = () => ({
+    lines: linesRef.current,
+    shapes: shapesRef.current,
+    images: imagesRef.current,
+    texts: textsRef.current,
+    groups: groupsRef.current,
+    connectors: connectorsRef.current
+  });
 
-  const removeElement = useCallback((id) => {
-    setLines(prev => {
-      const filtered = prev.filter(l => l.id !== id);
-      if (filtered.length !== prev.length) publishRoomEvent('line-removed', { id });
-      return filtered;
-    });
-    setShapes(prev => {
-      const filtered = prev.filter(s => s.id !== id);
-      if (filtered.length !== prev.length) publishRoomEvent('shape-removed', { id });
-      return filtered;
-    });
-    setImages(prev => {
-      const filtered = prev.filter(i => i.id !== id);
-      if (filtered.length !== prev.length) publishRoomEvent('image-removed', { id });
-      return filtered;
-    });
-    setTexts(prev => {
-      const filtered = prev.filter(t => t.id !== id);
-      if (filtered.length !== prev.length) publishRoomEvent('text-removed', { id });
-      return filtered;
+  const commitBoard = (board) => {
+    linesRef.current = board.lines;
+    shapesRef.current = board.shapes;
+    imagesRef.current = board.images;
+    textsRef.current = board.texts;
+    groupsRef.current = board.groups;
+    connectorsRef.current = board.connectors;
+    setLines(board.lines);
+    setShapes(board.shapes);
+    setImages(board.images);
+    setTexts(board.texts);
+    setGroups(board.groups);
+    setConnectors(board.connectors);
+  };
+
+  const findElement = (id) => {
+    const board = currentBoard();
+    for (const kind of elementKinds) {
+      const element = board[`${kind}s`].find(e => e.id === id);
+      if (element) return { kind, element };
+    }
+    return null;
+  };
+
+  // Tags a locally written element with the next Lamport version and our client id
+  const stamp = (element) => ({ ...element, version: clockRef.current.tick(), author: clientIdRef.current });
+
+  // Merges an element event into the board; local and remote events go through the same rule
+  const mergeElementEvent = (kind, action, payload) => {
+    const state = { board: currentBoard(), tombstones: tombstonesRef.current };
+    const next = applyElementEvent(state, kind, action, payload);
+    if (next === state) return;
+    tombstonesRef.current = next.tombstones;
+    commitBoard(next.board);
+  };
+
+  const emitElementEvent = useCallback((kind, action, payload) => {
+    mergeElementEvent(kind, action, payload);
+    publishRoomEvent(`${kind}-${action}`, payload);
+  }, [publishRoomEvent]);
+
+  // Applies ops to the board and broadcasts the resulting element events,
+  // as a single batch when one action touched several elements
+  const runOps = useCallback((ops) => {
+    const { events } = applyOps(currentBoard(), ops, stamp);
+    events.forEach(({ event, payload }) => {
+      const { kind, action } = parseEventName(event);
+      mergeElementEvent(kind, action, payload);
     });
-    saveHistory();
+    if (events.length === 1) publishRoomEvent(events[0].event, events[0].payload);
+    else if (events.length > 1) publishRoomEvent('batch', { events });
   }, [publishRoomEvent]);
 
-  const saveHistory = useCallback((explicitState = null) => {
-    const newState = explicitState || {
-      lines: linesRef.current,
-      shapes: shapesRef.current,
-      images: imagesRef.current,
-      texts: textsRef.current
-    };
-    setHistory(prev => {
-      const newHistory = prev.slice(0, historyStep + 1);
-      return [...newHistory, newState];
+  // Swaps an element locally without publishing, for in-progress drawing
+  const replaceElement = (kind, element) => {
+    const board = currentBoard();
+    const key = `${kind}s`;
+    commitBoard({ ...board, [key]: board[key].map(e => (e.id === element.id ? element : e)) });
+  };
+
+  // Sends the points drawn since the last flush instead of the whole stroke
+  const flushStroke = () => {
+    const stream = strokeStreamRef.current;
+    if (!stream) return;
+    if (stream.frame) {
+      cancelAnimationFrame(stream.frame);
+      stream.frame = null;
+    }
+    const line = linesRef.current.find(l => l.id === stream.id);
+    if (!line || line.points.length <= stream.sent) return;
+    const stamped = stamp(line);
+    replaceElement('line', stamped);
+    publishRoomEvent('line-points-appended', {
+      id: line.id,
+      offset: stream.sent,
+      points: line.points.slice(stream.sent),
+      pressures: line.pressures?.slice(stream.sent / 2),
+      version: stamped.version,
+      author: stamped.author
+    });
+    stream.sent = line.points.length;
+  };
+
+  const scheduleStrokeFlush = () => {
+    const stream = strokeStreamRef.current;
+    if (stream && !stream.frame) {
+      stream.frame = requestAnimationFrame(() => {
+        stream.frame = null;
+        flushStroke();
+      });
+    }
+  };
+
+  const recordHistory = useCallback((ops) => {
+    historyRef.current = pushEntry(historyRef.current, ops);
+  }, []);
+
+  // Connectors attached to anything the ops touch are re-routed in the same step
+  const applyLocalOps = useCallback((ops) => {
+    const routed = [...ops, ...rerouteOps(applyOps(currentBoard(), ops).board, ops.map(op => op.id))];
+    runOps(routed);
+    recordHistory(routed);
+  }, [runOps, recordHistory]);
+
+  // The pointer in board coordinates, or null before it has entered the stage
+  const boardPointer = () => {
+    const stage = stageRef.current;
+    const pointer = stage?.getPointerPosition();
+    return pointer && toBoard(viewportRef.current, pointer);
+  };
+
+  // Adds copied elements under fresh ids as one undoable step and selects them
+  const insertElements = useCallback((copied, anchor) => {
+    const placed = stackedFrom(withFreshIds(placeElements(copied, anchor), buildId), nextZ(currentBoard()));
+    const ops = elementKinds.flatMap(kind => placed[`${kind}s`].map(element => elementOp(kind, null, element)));
+    if (!ops.length) return;
+    applyLocalOps(ops);
+    setSelectedIds(ops.map(op => op.id));
+  }, [applyLocalOps]);
+
+  // Removing a group removes everything in it
+  const removeElements = useCallback((ids) => {
+    const ops = withDescendants(ids, groupsRef.current).map(findElement).filter(Boolean).map(({ kind, element }) => elementOp(kind, element, null));
+    if (ops.length) applyLocalOps(ops);
+  }, [applyLocalOps]);
+
+  const groupSelection = useCallback(() => {
+    const grouped = groupOps(currentBoard(), selectedIds, buildId);
+    if (!grouped) return;
+    applyLocalOps(grouped.ops);
+    setSelectedIds([grouped.id]);
+  }, [selectedIds, applyLocalOps]);
+
+  // command: 'front', 'back', 'forward' or 'backward'
+  const reorderSelection = useCallback((command) => {
+    if (!selectedIds.length) return;
+    applyLocalOps(reorderOps(currentBoard(), selectedIds, command));
+  }, [selectedIds, applyLocalOps]);
+
+  // What new elements are drawn with; the properties panel edits these when nothing is selected
+  const styleDefaults = { color: strokeColor, fill: fillColor, strokeWidth, dash: dashStyle, opacity: elementOpacity, ...textStyle };
+
+  const setDefaults = (patch) => {
+    if ('color' in patch) setStrokeColor(patch.color);
+    if ('fill' in patch) setFillColor(patch.fill);
+    if ('strokeWidth' in patch) setStrokeWidth(patch.strokeWidth);
+    if ('dash' in patch) setDashStyle(patch.dash);
+    if ('opacity' in patch) setElementOpacity(patch.opacity);
+    const textPatch = Object.fromEntries(Object.entries(patch).filter(([key]) => key in textStyle));
+    if (Object.keys(textPatch).length) setTextStyle(prev => ({ ...prev, ...textPatch }));
+  };
+
+  // A slider drag restyles the selection live and is recorded as one step on release,
+  // from the board as it was when the drag began
+  const styleSessionRef = useRef(null);
+
+  const previewProperties = (patch) => {
+    setDefaults(patch);
+    if (!selectedIds.length) return;
+    const session = styleSessionRef.current || { board: currentBoard(), patch: {} };
+    styleSessionRef.current = { ...session, patch: { ...session.patch, ...patch } };
+    runOps(propertyOps(currentBoard(), selectedIds, patch));
+  };
+
+  const commitProperties = () => {
+    const session = styleSessionRef.current;
+    styleSessionRef.current = null;
+    if (session) recordHistory(propertyOps(session.board, selectedIds, session.patch));
+  };
+
+  const applyProperties = (patch) => {
+    commitProperties();
+    setDefaults(patch);
+    if (selectedIds.length) applyLocalOps(propertyOps(currentBoard(), selectedIds, patch));
+  };
+
+  // Each selected group is dissolved in turn so nested parents see the earlier changes
+  const ungroupSelection = useCallback(() => {
+    let board = currentBoard();
+    const ops = [];
+    const ids = [];
+    selectedIds.forEach((id) => {
+      const ungrouped = ungroupOps(board, id);
+      if (!ungrouped) {
+        ids.push(id);
+        return;
+      }
+      board = applyOps(board, ungrouped.ops).board;
+      ops.push(...ungrouped.ops);
+      ids.push(...ungrouped.ids);
     });
-    setHistoryStep(prev => prev + 1);
-  }, [historyStep]);
+    if (!ops.length) return;
+    applyLocalOps(ops);
+    setSelectedIds(ids);
+  }, [selectedIds, applyLocalOps]);
 
   const undo = useCallback(() => {
-    if (historyStep === 0) return;
-    const newStep = historyStep - 1;
-    const prevState = history[newStep];
-    setLines(prevState.lines);
-    setShapes(prevState.shapes);
-    setImages(prevState.images);
-    setTexts(prevState.texts || []);
-    setHistoryStep(newStep);
-    publishRoomEvent('state-sync', { lines: prevState.lines, shapes: prevState.shapes, images: prevState.images, texts: prevState.texts });
-  }, [history, historyStep, publishRoomEvent]);
+    const { history, ops } = undoEntry(historyRef.current);
+    historyRef.current = history;
+    runOps(ops);
+  }, [runOps]);
 
   const redo = useCallback(() => {
-    if (historyStep === history.length - 1) return;
-    const newStep = historyStep + 1;
-    const nextState = history[newStep];
-    setLines(nextState.lines);
-    setShapes(nextState.shapes);
-    setImages(nextState.images);
-    setTexts(nextState.texts || []);
-    setHistoryStep(newStep);
-    publishRoomEvent('state-sync', { lines: nextState.lines, shapes: nextState.shapes, images: nextState.images, texts: nextState.texts });
-  }, [history, historyStep, publishRoomEvent]);
+    const { history, ops } = redoEntry(historyRef.current);
+    historyRef.current = history;
+    runOps(ops);
+  }, [runOps]);
 
   // UI Visibility & Idle Logic
   const resetUiTimer = useCallback(() => {
@@ -348,25 +1047,77 @@ export default function App() {
       resetUiTimer();
     };
     const handleKeyDown = (e) => {
-      if (editingText) return; // Prevent deletion while editing text
-      if ((e.key === 'Delete' || e.key === 'Backspace') && selectedId) {
-        removeElement(selectedId);
-        setSelectedId(null);
+      // Keys typed into the text editor or a dialog field are not board shortcuts
+      if (editingText || isTyping(e)) return;
+      if (e.code === 'Space') {
+        e.preventDefault();
+        setSpaceHeld(true);
+      }
+      // Shift+1 fits the board on screen and Shift+2 the selection, as in most editors
+      if (e.shiftKey && (e.code === 'Digit1' || e.code === 'Digit2')) {
+        if (e.code === 'Digit1') zoomToFit();
+        else zoomToSelection();
+      }
+      if ((e.key === 'Delete' || e.key === 'Backspace') && selectedIds.length) {
+        removeElements(selectedIds);
+        setSelectedIds([]);
       }
       if (e.ctrlKey || e.metaKey) {
         if (e.key === 'z') { e.preventDefault(); undo(); }
         if (e.key === 'y') { e.preventDefault(); redo(); }
+        // Ctrl+= / Ctrl+- / Ctrl+0 zoom the board instead of the page
+        if (e.key === '=' || e.key === '+' || e.key === '-' || e.key === '0') {
+          e.preventDefault();
+          zoomBy(e.key === '0' ? 0 : (e.key === '-' ? -1 : 1));
+        }
+        if (e.key === 'd' && selectedIds.length) {
+          e.preventDefault();
+          insertElements(parseClipboard(serializeSelection(currentBoard(), selectedIds)));
+        }
+        if (e.key.toLowerCase() === 'g' && selectedIds.length) {
+          e.preventDefault();
+          if (e.shiftKey) ungroupSelection();
+          else groupSelection();
+        }
+        // Ctrl+] / Ctrl+[ step forward and backward; with Shift they go all the way
+        if ((e.code === 'BracketRight' || e.code === 'BracketLeft') && selectedIds.length) {
+          e.preventDefault();
+          const up = e.code === 'BracketRight';
+          reorderSelection(e.shiftKey ? (up ? 'front' : 'back') : (up ? 'forward' : 'backward'));
+        }
       }
     };
 
+    // Ctrl+C/X go through the clipboard events so no permission prompt is needed
+    const isTyping = e => editingTextRef.current || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target?.tagName);
+    const handleCopy = (e) => {
+      if (isTyping(e) || !selectedIds.length) return;
+      e.preventDefault();
+      e.clipboardData.setData('text/plain', serializeSelection(currentBoard(), selectedIds));
+    };
+    const handleCut = (e) => {
+      if (isTyping(e) || !selectedIds.length) return;
+      handleCopy(e);
+      removeElements(selectedIds);
+      setSelectedIds([]);
+    };
+
     const handlePaste = (e) => {
-      const items = (e.clipboardData || e.originalEvent.clipboardData).items;
+      if (isTyping(e)) return;
+      const clipboard = e.clipboardData || e.originalEvent.clipboardData;
+      const copied = parseClipboard(clipboard.getData('text/plain'));
+      if (copied) {
+        e.preventDefault();
+        insertElements(copied, boardPointer());
+        return;
+      }
+      const items = clipboard.items;
       for (const item of items) {
         if (item.type.indexOf('image') !== -1) {
           const blob = item.getAsFile();
           const reader = new FileReader();
           reader.onload = (event) => {
-            const pos = stageRef.current.getPointerPosition() || { x: 100, y: 100 };
+            const pos = boardPointer() || { x: 100, y: 100 };
             const img = {
               id: buildId(),
               src: event.target.result,
@@ -376,33 +1127,45 @@ export default function App() {
               height: 200,
               scaleX: 1,
               scaleY: 1,
-              rotation: 0
+              rotation: 0,
+              z: nextZ(currentBoard())
             };
-            setImages(prev => [...prev, img]);
-            publishRoomEvent('image-created', img);
-            saveHistory();
+            applyLocalOps([elementOp('image', null, img)]);
           };
           reader.readAsDataURL(blob);
         }
       }
     };
 
+    const handleKeyUp = (e) => {
+      if (e.code === 'Space') setSpaceHeld(false);
+    };
+    const handleBlur = () => setSpaceHeld(false);
+
     window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
     window.addEventListener('mousemove', handleGlobalActivity);
     window.addEventListener('mousedown', handleGlobalActivity);
     window.addEventListener('touchstart', handleGlobalActivity);
     window.addEventListener('paste', handlePaste);
+    window.addEventListener('copy', handleCopy);
+    window.addEventListener('cut', handleCut);
     resetUiTimer();
     return () => {
       window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
       window.removeEventListener('mousemove', handleGlobalActivity);
       window.removeEventListener('mousedown', handleGlobalActivity);
       window.removeEventListener('touchstart', handleGlobalActivity);
       window.removeEventListener('paste', handlePaste);
+      window.removeEventListener('copy', handleCopy);
+      window.removeEventListener('cut', handleCut);
       if (uiTimerRef.current) clearTimeout(uiTimerRef.current);
       if (idleTimerRef.current) clearTimeout(idleTimerRef.current);
     };
-  }, [resetUiTimer, selectedId, removeElement, undo, redo, exportMenuOpen]);
+  }, [resetUiTimer, selectedIds, removeElements, insertElements, groupSelection, ungroupSelection, reorderSelection, undo, redo, applyLocalOps, exportMenuOpen]);
 
   // Click outside export menu
   useEffect(() => {
@@ -417,27 +1180,52 @@ export default function App() {
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, [exportMenuOpen]);
 
+  useEffect(() => {
+    if (!contextMenu) return undefined;
+    const close = (e) => {
+      if (e.type === 'keydown' ? e.key === 'Escape' : !contextMenuRef.current?.contains(e.target)) setContextMenu(null);
+    };
+    document.addEventListener('mousedown', close);
+    document.addEventListener('keydown', close);
+    return () => {
+      document.removeEventListener('mousedown', close);
+      document.removeEventListener('keydown', close);
+    };
+  }, [contextMenu]);
+
+  const openPngDialog = () => {
+    setPngOptions({ scope: selectedIds.length ? 'selection' : 'board', pixelRatio: 2, padding: 24, background: 'theme' });
+    setExportMenuOpen(false);
+  };
+
+  const pngElementIds = useCallback((scope) => {
+    if (scope === 'selection') return selectedIds;
+    const board = currentBoard();
+    return elementKinds.flatMap(kind => board[`${kind}s`].filter(element => !element.isNew).map(element => element.id));
+  }, [selectedIds]);
+
+  // The preview is the export itself, re-rendered whenever an option changes
+  useEffect(() => {
+    if (!pngOptions || !stageRef.current) {
+      setPngPreview(null);
+      return;
+    }
+    setPngPreview(renderStagePng(stageRef.current, pngElementIds(pngOptions.scope), { ...pngOptions, darkMode }));
+  }, [pngOptions, darkMode, pngElementIds]);
+
   const handleExportPNG = () => {
-    const stage = stageRef.current;
-    if (!stage) return;
-    const dataURL = stage.toDataURL({ pixelRatio: 2 });
+    if (!pngPreview) return;
     const link = document.createElement('a');
     link.download = `radical-board-${Date.now()}.png`;
-    link.href = dataURL;
+    link.href = pngPreview.dataURL;
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
-    setExportMenuOpen(false);
+    setPngOptions(null);
   };
 
   const handleExportJSON = () => {
-    const state = {
-      lines: linesRef.current,
-      shapes: shapesRef.current,
-      images: imagesRef.current,
-      texts: textsRef.current
-    };
-    const blob = new Blob([JSON.stringify(state, null, 2)], { type: 'application/json' });
+    const blob = new Blob([JSON.stringify(serializeBoard(currentBoard()), null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.download = `radical-board-${Date.now()}.json`;
@@ -449,47 +1237,51 @@ export default function App() {
     setExportMenuOpen(false);
   };
 
-  const handleExportSVG = () => {
-    const stage = stageRef.current;
-    if (!stage) return;
-
-    const width = stage.width();
-    const height = stage.height();
-    const bg = darkMode ? '#0c0c0e' : '#faf9f6';
-
-    let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`;
-    svg += `<rect width="100%" height="100%" fill="${bg}" />`;
-
-    // Lines
-    linesRef.current.forEach(l => {
-      const points = l.points.join(' ');
-      const color = getAdaptiveColor(l.color, darkMode);
-      svg += `<polyline points="${points}" fill="none" stroke="${color}" stroke-width="${l.strokeWidth}" stroke-linecap="round" stroke-linejoin="round" opacity="0.9" />`;
+  const readBoardFile = (file) => {
+    if (!joined) {
+      setPendingImport({ fileName: file.name, error: 'Join a session before opening a board' });
+      return;
+    }
+    file.text().then((text) => {
+      setPendingImport({ fileName: file.name, board: parseBoardFile(text) });
+    }).catch((e) => {
+      setPendingImport({ fileName: file.name, error: e instanceof BoardFileError ? e.message : 'The file could not be read' });
     });
+  };
 
-    // Shapes
-    shapesRef.current.forEach(s => {
-      const color = getAdaptiveColor(s.color, darkMode);
-      if (s.type === 'rect') {
-        svg += `<rect x="${s.x}" y="${s.y}" width="${s.width}" height="${s.height}" fill="none" stroke="${color}" stroke-width="2" rx="2" />`;
-      } else if (s.type === 'circle') {
-        svg += `<circle cx="${s.x}" y="${s.y}" r="${s.radius}" fill="none" stroke="${color}" stroke-width="2" />`;
-      }
-    });
+  const handleImportFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) readBoardFile(file);
+  };
 
-    // Images
-    imagesRef.current.forEach(img => {
-      svg += `<image href="${img.src}" x="${img.x}" y="${img.y}" width="${img.width}" height="${img.height}" transform="rotate(${img.rotation || 0}, ${img.x + (img.width / 2)}, ${img.y + (img.height / 2)}) scale(${img.scaleX || 1}, ${img.scaleY || 1})" />`;
-    });
+  const handleDrop = (e) => {
+    const file = [...(e.dataTransfer?.files || [])].find(f => f.name.endsWith('.json') || f.type === 'application/json');
+    if (!file) return;
+    e.preventDefault();
+    readBoardFile(file);
+  };
 
-    // Texts
-    textsRef.current.forEach(t => {
-      if (t.isNew) return;
-      const color = getAdaptiveColor(t.color, darkMode);
-      svg += `<text x="${t.x}" y="${t.y + 20}" fill="${color}" font-family="Outfit, sans-serif" font-size="22">${t.content}</text>`;
-    });
+  // Replace removes everything first; merge re-ids the file so nothing collides and
+  // stacks it on top. Either way it is one history entry and plain element events for the room.
+  const applyImport = (mode) => {
+    const board = currentBoard();
+    const imported = mode === 'merge' ? stackedFrom(withFreshIds(pendingImport.board, buildId), nextZ(board)) : pendingImport.board;
+    const ops = [];
+    if (mode === 'replace') {
+      elementKinds.forEach(kind => board[`${kind}s`].forEach(element => ops.push(elementOp(kind, element, null))));
+    }
+    elementKinds.forEach(kind => imported[`${kind}s`].forEach(element => ops.push(elementOp(kind, null, element))));
+    applyLocalOps(ops);
+    setPendingImport(null);
+  };
 
-    svg += '</svg>';
+  // bounds: 'visible' for what is on screen right now, 'board' for every element
+  const handleExportSVG = (bounds) => {
+    const stage = stageRef.current;
+    if (!stage) return;
+    const viewport = { ...viewportRef.current, width: stage.width(), height: stage.height() };
+    const svg = exportBoardSvg(currentBoard(), { bounds, viewport, darkMode });
 
     const blob = new Blob([svg], { type: 'image/svg+xml' });
     const url = URL.createObjectURL(blob);
@@ -503,6 +1295,36 @@ export default function App() {
     setExportMenuOpen(false);
   };
 
+  const openPdfDialog = () => {
+    setPdfOptions({ title: joined ? `Radical Board · ${roomInfo?.name ?? roomId}` : 'Radical Board', pageSize: 'a4', layout: 'fit', busy: false });
+    setExportMenuOpen(false);
+  };
+
+  const handleExportPDF = () => {
+    const stage = stageRef.current;
+    if (!stage || pdfOptions.busy) return;
+    const viewport = { ...viewportRef.current, width: stage.width(), height: stage.height() };
+    const { title, pageSize, layout } = pdfOptions;
+    setPdfOptions(options => ({ ...options, busy: true }));
+    exportBoardPdf(currentBoard(), { viewport, darkMode, pageSize, layout, title }).then((doc) => {
+      doc.save(`radical-board-${Date.now()}.pdf`);
+      setPdfOptions(null);
+    }).catch(() => {
+      setPdfOptions(options => options && { ...options, busy: false, error: 'The PDF could not be created' });
+    });
+  };
+
+  const parents = useMemo(() => parentMap(groups), [groups]);
+  const boardState = useMemo(() => ({ lines, shapes, images, texts, groups, connectors }), [lines, shapes, images, texts, groups, connectors]);
+  const stacked = useMemo(() => orderedItems(boardState), [boardState]);
+  const elementsById = useMemo(() => {
+    const byId = {};
+    elementKinds.forEach((kind) => {
+      boardState[`${kind}s`].forEach((element) => { byId[element.id] = { kind, element }; });
+    });
+    return byId;
+  }, [boardState]);
+
   // Magnet Drag Style
   const driftStyle = useMemo(() => {
     if (isTbDragging) {
@@ -520,6 +1342,12 @@ export default function App() {
     return { left: `calc(50% + ${offsetX}px)`, transform: 'translateX(-50%)' };
   }, [mousePos.x, mousePos.y, tbPos, isTbDragging]);
 
+  const receiveElementEvent = (kind, action, inc) => {
+    if (!inc?.id) return;
+    clockRef.current.observe(inc.version || 0);
+    mergeElementEvent(kind, action, inc);
+  };
+
   const connectToRoom = () => {
     if (!roomDestinations) return;
     stompRef.current?.deactivate();
@@ -527,112 +1355,203 @@ export default function App() {
     const client = createStompClient({
       onConnect: () => {
         const { topicBase, appBase } = roomDestinations;
+        failedAttemptsRef.current = 0;
+        setConnectionStatus('connected');
 
-        client.subscribe(`${topicBase}/line-created`, (m) => {
-          const inc = safeParse(m);
-          if (inc) setLines(prev => prev.some(l => l.id === inc.id) ? prev : [...prev, inc]);
-        });
-
-        client.subscribe(`${topicBase}/line-updated`, (m) => {
-          const inc = safeParse(m);
-          if (inc) setLines(prev => prev.map(l => (l.id === inc.id ? inc : l)));
-        });
-
-        client.subscribe(`${topicBase}/line-removed`, (m) => {
-          const inc = safeParse(m);
-          if (inc?.id) setLines(prev => prev.filter(l => l.id !== inc.id));
-        });
-
-        client.subscribe(`${topicBase}/shape-created`, (m) => {
-          const inc = safeParse(m);
-          if (inc) setShapes(prev => prev.some(s => s.id === inc.id) ? prev : [...prev, inc]);
-        });
-
-        client.subscribe(`${topicBase}/shape-updated`, (m) => {
-          const inc = safeParse(m);
-          if (inc) setShapes(prev => prev.map(s => (s.id === inc.id ? inc : s)));
+        elementKinds.forEach((kind) => {
+          const actions = kind === 'line' ? [...elementActions, ...strokeActions] : elementActions;
+          actions.forEach((action) => {
+            client.subscribe(`${topicBase}/${kind}-${action}`, (m) => receiveElementEvent(kind, action, safeParse(m)));
+          });
         });
 
-        client.subscribe(`${topicBase}/shape-removed`, (m) => {
+        client.subscribe(`${topicBase}/batch`, (m) => {
           const inc = safeParse(m);
-          if (inc?.id) setShapes(prev => prev.filter(s => s.id !== inc.id));
+          (inc?.events || []).forEach(({ event, payload }) => {
+            const { kind, action } = parseEventName(event);
+            receiveElementEvent(kind, action, payload);
+          });
         });
 
         client.subscribe(`${topicBase}/cursor-updated`, (m) => {
           const inc = safeParse(m);
-          if (inc) setCursors(prev => ({ ...prev, [inc.id]: inc }));
+          if (inc?.id && inc.id !== clientIdRef.current) cursorChannel.publish(inc);
         });
 
         client.subscribe(`${topicBase}/cursor-left`, (m) => {
           const inc = safeParse(m);
-          if (inc?.id) setCursors(prev => { const n = { ...prev }; delete n[inc.id]; return n; });
+          if (inc?.id) cursorChannel.publish({ id: inc.id, left: true });
         });
 
-        client.subscribe(`${topicBase}/image-created`, (m) => {
+        // The server keeps the member list per connection and sends all of it on every change
+        client.subscribe(`${topicBase}/members`, (m) => {
           const inc = safeParse(m);
-          if (inc) setImages(prev => prev.some(i => i.id === inc.id) ? prev : [...prev, inc]);
+          if (Array.isArray(inc?.members)) setMembers(inc.members);
         });
+        publishRoomEvent('member-joined', identityRef.current);
 
-        client.subscribe(`${topicBase}/image-updated`, (m) => {
+        client.subscribe(`${topicBase}/viewport-updated`, (m) => {
           const inc = safeParse(m);
-          if (inc) setImages(prev => prev.map(i => (i.id === inc.id ? inc : i)));
+          if (!inc?.id || inc.id === clientIdRef.current) return;
+          remoteViewsRef.current[inc.id] = { x: inc.x, y: inc.y, width: inc.width, height: inc.height };
+          if (followingRef.current === inc.id) showArea(remoteViewsRef.current[inc.id]);
         });
 
-        client.subscribe(`${topicBase}/image-removed`, (m) => {
+        // A presenter bringing everyone to their view; we follow them until we move away
+        client.subscribe(`${topicBase}/follow-requested`, (m) => {
           const inc = safeParse(m);
-          if (inc?.id) setImages(prev => prev.filter(i => i.id !== inc.id));
+          if (!inc?.id || inc.id === clientIdRef.current) return;
+          remoteViewsRef.current[inc.id] = { x: inc.x, y: inc.y, width: inc.width, height: inc.height };
+          follow(inc.id);
         });
 
-        client.subscribe(`${topicBase}/text-created`, (m) => {
+        // Renames and deletion come from the room API, whoever made them
+        client.subscribe(`${topicBase}/room-updated`, (m) => {
           const inc = safeParse(m);
-          if (inc) setTexts(prev => prev.some(t => t.id === inc.id) ? prev : [...prev, inc]);
+          if (!inc?.id) return;
+          setRoomInfo(inc);
+          setRecentRooms(prev => rememberRoom(prev, inc));
         });
 
-        client.subscribe(`${topicBase}/text-updated`, (m) => {
-          const inc = safeParse(m);
-          if (inc) setTexts(prev => prev.map(t => (t.id === inc.id ? inc : t)));
+        client.subscribe(`${topicBase}/room-deleted`, () => {
+          setRoomDeleted(true);
+          setRecentRooms(prev => forgetRoom(prev, roomId));
+          client.deactivate();
         });
 
-        client.subscribe(`${topicBase}/text-removed`, (m) => {
+        client.subscribe('/user/queue/errors', (m) => {
           const inc = safeParse(m);
-          if (inc?.id) setTexts(prev => prev.filter(t => t.id !== inc.id));
+          if (inc?.error) setRoomError(inc.error);
         });
 
-        client.subscribe(`${topicBase}/state-sync`, (m) => {
-          const inc = safeParse(m);
-          if (inc?.lines) setLines(inc.lines);
-          if (inc?.shapes) setShapes(inc.shapes);
-          if (inc?.images) setImages(inc.images);
-          if (inc?.texts) setTexts(inc.texts);
-        });
-
-        client.subscribe(`${topicBase}/request-state`, () => {
-          client.publish({
-            destination: `${appBase}/state-sync`,
-            body: JSON.stringify({
-              roomId,
-              lines: linesRef.current,
-              shapes: shapesRef.current,
-              images: imagesRef.current,
-              texts: textsRef.current
-            })
-          });
-        });
+        const queued = outboxRef.current;
+        outboxRef.current = [];
+        queued.forEach(message => client.publish(message));
 
-        client.publish({
-          destination: `${appBase}/request-state`,
-          body: JSON.stringify({ roomId, requesterId: clientIdRef.current })
+        // The server owns the board; it answers this subscription with the current snapshot.
+        // Anything we still hold that the room lacks (or has older) is published again.
+        client.subscribe(`${appBase}/snapshot`, (m) => {
+          const inc = safeParse(m);
+          if (!inc) return;
+          clockRef.current.observe(maxVersion(inc));
+          const local = { board: currentBoard(), tombstones: tombstonesRef.current };
+          const missing = diffAgainstSnapshot(local, inc);
+          const next = mergeSnapshot(local, inc);
+          tombstonesRef.current = next.tombstones;
+          commitBoard(next.board);
+          missing.forEach(({ event, payload }) => publishRoomEvent(event, payload));
         });
       },
-      onDisconnect: () => setCursors({})
+      onDisconnect: () => {
+        cursorChannel.publish({ clear: true });
+        setMembers([]);
+      },
+      onWebSocketClose: () => {
+        cursorChannel.publish({ clear: true });
+        cursorOutRef.current.sent = null;
+        setMembers([]);
+        failedAttemptsRef.current += 1;
+        const offline = !navigator.onLine || failedAttemptsRef.current >= OFFLINE_AFTER_ATTEMPTS;
+        setConnectionStatus(offline ? 'offline' : 'reconnecting');
+      }
     });
 
     stompRef.current = client;
+    setConnectionStatus('reconnecting');
     client.activate();
   };
 
-  const joinRoom = () => {
-    if (!roomId.trim()) return;
+  // Our cursor goes out at most every CURSOR_INTERVAL ms, the latest position always and
+  // only the fields peers don't have yet
+  const flushCursor = () => {
+    const out = cursorOutRef.current;
+    out.timer = null;
+    const patch = cursorPatch(out.sent, out.queued);
+    if (!patch) return;
+    out.sent = out.queued;
+    out.sentAt = Date.now();
+    publishRoomEvent('cursor-updated', { id: clientIdRef.current, ...patch });
+  };
+
+  const queueCursor = (sample) => {
+    const out = cursorOutRef.current;
+    out.queued = sample;
+    if (!out.timer) out.timer = setTimeout(flushCursor, Math.max(0, out.sentAt + CURSOR_INTERVAL - Date.now()));
+  };
+
+  // Newcomers have none of our cursor yet, so the next send is a whole one; a tool
+  // change is sent without waiting for the pointer to move
+  useEffect(() => { cursorOutRef.current.sent = null; }, [members]);
+
+  useEffect(() => {
+    const out = cursorOutRef.current;
+    if (joined && out.queued) queueCursor({ ...out.queued, tool });
+  }, [tool]);
+
+  // Our view, in board coordinates so others can fit it to their screens. While it moves it
+  // goes out at most every VIEWPORT_INTERVAL ms, the last position always; it is sent again
+  // whenever the member list changes so newcomers know where everyone is looking.
+  useEffect(() => {
+    if (!joined) return undefined;
+    const timer = setTimeout(() => {
+      viewSentRef.current = Date.now();
+      publishRoomEvent('viewport-updated', { id: clientIdRef.current, ...visibleArea(viewport, stageSize.width, stageSize.height) });
+    }, Math.max(0, viewSentRef.current + VIEWPORT_INTERVAL - Date.now()));
+    return () => clearTimeout(timer);
+  }, [joined, viewport, stageSize, members, publishRoomEvent]);
+
+  // Stop following someone who left; keep fitting their view when our window resizes
+  useEffect(() => {
+    if (following && !members.some(m => m.id === following)) follow(null);
+  }, [members, following]);
+
+  useEffect(() => {
+    const area = followingRef.current && remoteViewsRef.current[followingRef.current];
+    if (area) showArea(area);
+  }, [stageSize]);
+
+  const bringEveryone = () => {
+    publishRoomEvent('follow-requested', { id: clientIdRef.current, ...visibleArea(viewportRef.current, stageSize.width, stageSize.height) });
+  };
+
+  // Rooms are checked before anyone joins, so a mistyped or deleted id says so
+  // instead of opening an empty board
+  const enterRoom = (room) => {
+    setLobbyError(null);
+    setRoomId(room.id);
+    setRoomInfo(room);
+    setRecentRooms(prev => rememberRoom(prev, room));
+    setJoinDialogOpen(true);
+  };
+
+  const openRoom = async (input) => {
+    const id = roomIdFrom(input);
+    if (!id) return;
+    try {
+      const room = await fetchRoom(id);
+      if (room) enterRoom(room);
+      else setLobbyError(`There is no room with the id "${id}". It may have been deleted, or the link is incomplete.`);
+    } catch (err) {
+      setLobbyError(`Could not reach the server: ${err.message}`);
+    }
+  };
+
+  const createAndEnterRoom = async (name) => {
+    try {
+      enterRoom(await createRoom(name.trim()));
+    } catch (err) {
+      setLobbyError(`Could not create the board: ${err.message}`);
+    }
+  };
+
+  // Joining asks for a display name first
+  const confirmJoin = () => {
+    const name = cleanName(displayName);
+    if (!name) return;
+    localStorage.setItem('displayName', name);
+    identityRef.current = { id: clientIdRef.current, name, color: presenceColor(userId) };
+    setDisplayName(name);
+    setJoinDialogOpen(false);
     setJoined(true);
     connectToRoom();
   };
@@ -654,35 +1573,127 @@ export default function App() {
     window.addEventListener('mouseup', onUp);
   };
 
+  useEffect(() => {
+    const handleOffline = () => setConnectionStatus('offline');
+    const handleOnline = () => setConnectionStatus(stompRef.current?.connected ? 'connected' : 'reconnecting');
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener('online', handleOnline);
+    return () => {
+      window.removeEventListener('offline', handleOffline);
+      window.removeEventListener('online', handleOnline);
+    };
+  }, []);
+
   useEffect(() => {
     const updateSize = () => setStageSize({ width: window.innerWidth, height: window.innerHeight });
     window.addEventListener('resize', updateSize);
     return () => window.removeEventListener('resize', updateSize);
   }, []);
 
+  // What pressing on a node selects: the element itself or its outermost group, unless
+  // drilled in. Pressing outside the group drilled into leaves it.
+  const selectionTarget = (element) => {
+    if (!findElement(element)) return null;
+    const inFocus = focusedGroupId && withDescendants([focusedGroupId], groupsRef.current).includes(element);
+    if (focusedGroupId && !inFocus) setFocusedGroupId(null);
+    return selectableAncestor(element, parents, inFocus ? focusedGroupId : null);
+  };
+
+  // Right-clicking an element offers the stacking commands; anywhere else opens the tool wheel
+  const handleContextMenu = (e) => {
+    e.preventDefault();
+    const stage = stageRef.current;
+    const p = stage.getPointerPosition();
+    if (!p) return;
+    const hit = joined && e.target.tagName === 'CANVAS' ? stage.getIntersection(p) : null;
+    const target = hit && selectionTarget(hit.name());
+    if (!target) {
+      setRadialMenu({ visible: true, x: p.x, y: p.y });
+      return;
+    }
+    if (!selectedIds.includes(target)) setSelectedIds([target]);
+    setTool('select');
+    setContextMenu({ x: p.x, y: p.y });
+  };
+
+  // A second finger turns the gesture into a pinch, dropping whatever the first had started
+  const cancelDrawing = () => {
+    const stream = strokeStreamRef.current;
+    if (stream?.frame) cancelAnimationFrame(stream.frame);
+    strokeStreamRef.current = null;
+    const found = findElement(drawingLineId || drawingShapeId);
+    if (found) emitElementEvent(found.kind, 'removed', stamp({ id: found.element.id }));
+    setDrawingLineId(null);
+    setDrawingShapeId(null);
+    setShapeStart(null);
+    setAnchorHint(null);
+    setMarquee(null);
+    setEraserDrag(null);
+  };
+
+  // Fingers are tracked apart from the pointer handling below; true when the event
+  // belongs to a two-finger pan and pinch
+  const trackTouch = (evt) => {
+    if (evt?.pointerType !== 'touch') return false;
+    const touches = touchesRef.current;
+    if (evt.type === 'pointerup' || evt.type === 'pointercancel') {
+      touches.delete(evt.pointerId);
+      const pinching = !!pinchRef.current;
+      pinchRef.current = touches.size >= 2 ? pinchStart(viewportRef.current, [...touches.values()]) : null;
+      return pinching;
+    }
+    // A first finger starts afresh, whatever lifts we missed off the stage
+    if (evt.type === 'pointerdown' && evt.isPrimary) touches.clear();
+    const rect = stageRef.current.container().getBoundingClientRect();
+    touches.set(evt.pointerId, { x: evt.clientX - rect.left, y: evt.clientY - rect.top });
+    if (touches.size < 2) return false;
+    if (evt.type === 'pointerdown') {
+      if (!pinchRef.current) cancelDrawing();
+      pinchRef.current = pinchStart(viewportRef.current, [...touches.values()]);
+    } else if (pinchRef.current) {
+      moveViewport(pinchViewport(pinchRef.current, [...touches.values()]));
+    }
+    return true;
+  };
+
+  // Pointer events cover mouse, touch and pen alike; only the first finger or pen draws
   const handleMouseDown = (e) => {
+    if (trackTouch(e.evt)) return;
+    if (e.evt?.isPrimary === false) return;
+    if (followingRef.current) follow(null);
     if (editingText) {
       commitText();
       return;
     }
+    // The hand tool, a held Space and the middle button drag the board around
+    if (tool === 'hand' || spaceHeld || e.evt?.button === 1) {
+      panRef.current = { from: { x: e.evt.clientX, y: e.evt.clientY }, viewport: viewportRef.current };
+      setPanning(true);
+      return;
+    }
     const clickedOnEmpty = e.target === e.target.getStage();
 
     if (tool === 'select') {
+      const additive = !!(e.evt?.shiftKey || e.evt?.ctrlKey || e.evt?.metaKey);
       if (clickedOnEmpty) {
-        setSelectedId(null);
-      } else {
-        const name = e.target.name();
-        // Allow selecting shapes, lines, images, and texts
-        if (shapes.some(s => s.id === name) || lines.some(l => l.id === name) || images.some(i => i.id === name) || texts.some(t => t.id === name)) {
-          setSelectedId(name);
+        // Start a rubber band; it replaces the selection unless a modifier is held
+        const stage = stageRef.current;
+        const pointer = stage.getPointerPosition();
+        const pos = toBoard(viewportRef.current, pointer);
+        setMarquee({ x1: pos.x, y1: pos.y, x2: pos.x, y2: pos.y, additive });
+        if (!additive) {
+          setSelectedIds([]);
+          setFocusedGroupId(null);
         }
+        return;
       }
-      return;
-    }
-
-    if (tool === 'eraser') {
-      if (!clickedOnEmpty) {
-        removeElement(e.target.name() || e.target.id());
+      const name = selectionTarget(e.target.name());
+      if (!name) return;
+      if (additive) {
+        setSelectedIds(ids => (ids.includes(name) ? ids.filter(id => id !== name) : [...ids, name]));
+      } else if (!selectedIds.includes(name)) {
+        // Pressing on a member of the selection keeps it, so dragging moves the whole group
+        setSelectedIds([name]);
       }
       return;
     }
@@ -690,85 +1701,225 @@ export default function App() {
     if (!joined || (e.evt && e.evt.button !== 0)) return;
     if (radialMenu.visible) { setRadialMenu({ visible: false, x: 0, y: 0 }); return; }
 
-    if (clickedOnEmpty) setSelectedId(null);
+    // Nothing is erased until the mouse comes up, so a whole drag is one undo step
+    if (tool === 'eraser') {
+      const pos = boardPointer();
+      if (!pos) return;
+      setEraserDrag({
+        points: [pos.x, pos.y],
+        radius: ERASER_RADIUS / viewportRef.current.scale,
+        ids: clickedOnEmpty ? [] : [e.target.name() || e.target.id()]
+      });
+      return;
+    }
+
+    if (clickedOnEmpty) setSelectedIds([]);
 
     const stage = stageRef.current;
     const pointer = stage.getPointerPosition();
-    const pos = { x: (pointer.x - stage.x()) / stage.scaleX(), y: (pointer.y - stage.y()) / stage.scaleY() };
+    const pos = toBoard(viewportRef.current, pointer);
 
     if (tool === 'pen') {
-      const line = { id: buildId(), points: [pos.x, pos.y], color: strokeColor, strokeWidth };
-      setLines(p => [...p, line]);
+      const pressure = pointerPressure(e.evt);
+      const line = stamp({
+        id: buildId(),
+        points: [pos.x, pos.y],
+        ...(pressure !== null && { pressures: [pressure] }),
+        ...styleFor('line', styleDefaults),
+        z: nextZ(currentBoard())
+      });
+      emitElementEvent('line', 'created', line);
       setDrawingLineId(line.id);
-      publishRoomEvent('line-created', line);
-    } else if (tool === 'rect') {
-      const shape = { id: buildId(), type: 'rect', x: pos.x, y: pos.y, width: 0, height: 0, color: strokeColor, scaleX: 1, scaleY: 1, rotation: 0 };
-      setShapes(p => [...p, shape]);
+      strokeStreamRef.current = { id: line.id, sent: line.points.length, frame: null };
+    } else if (tool === 'shape') {
+      const shape = stamp({ id: buildId(), type: activeShapeType, ...shapeGeometry(activeShapeType, pos, pos), ...styleFor('shape', styleDefaults), scaleX: 1, scaleY: 1, rotation: 0, z: nextZ(currentBoard()) });
+      emitElementEvent('shape', 'created', shape);
       setDrawingShapeId(shape.id);
       setShapeStart(pos);
-      publishRoomEvent('shape-created', shape);
-    } else if (tool === 'circle') {
-      const shape = { id: buildId(), type: 'circle', x: pos.x, y: pos.y, radius: 0, color: strokeColor, scaleX: 1, scaleY: 1, rotation: 0 };
-      setShapes(p => [...p, shape]);
-      setDrawingShapeId(shape.id);
-      setShapeStart(pos);
-      publishRoomEvent('shape-created', shape);
-    } else if (tool === 'text') {
-      const textObj = { id: buildId(), content: '', x: pos.x, y: pos.y, color: strokeColor, isNew: true, scaleX: 1, scaleY: 1, rotation: 0 };
-      setTexts(p => [...p, textObj]);
-      publishRoomEvent('text-created', textObj);
+    } else if (tool === 'line' || tool === 'arrow') {
+      // Starting on an anchor attaches that end; the other end attaches where it is dropped
+      const snap = nearestAnchor(currentBoard(), pos, SNAP_DISTANCE / viewportRef.current.scale);
+      const start = snap || pos;
+      const connector = stamp({
+        id: buildId(),
+        points: [start.x, start.y, start.x, start.y],
+        start: snap && { id: snap.id, anchor: snap.anchor },
+        end: null,
+        startHead: 'none',
+        endHead: tool === 'arrow' ? arrowhead : 'none',
+        ...styleFor('connector', styleDefaults),
+        z: nextZ(currentBoard())
+      });
+      emitElementEvent('connector', 'created', connector);
+      setDrawingShapeId(connector.id);
+      setShapeStart(start);
+    } else if (tool === 'text' || tool === 'note') {
+      // Notes wrap at a fixed width; plain text has no background
+      const style = tool === 'note' ? { ...styleFor('text', styleDefaults), width: NOTE_WIDTH } : { ...styleFor('text', styleDefaults), background: 'none' };
+      const textObj = stamp({ id: buildId(), content: '', x: pos.x, y: pos.y, ...style, isNew: true, scaleX: 1, scaleY: 1, rotation: 0, z: nextZ(currentBoard()) });
+      emitElementEvent('text', 'created', textObj);
 
       // Trigger editor immediately
-      const stage = stageRef.current;
-      const container = stage.container().getBoundingClientRect();
-      const pointer = stage.getPointerPosition();
-      const screenX = pointer.x + container.left;
-      const screenY = pointer.y + container.top;
-      setEditingText({ id: textObj.id, x: screenX, y: screenY, value: '', color: strokeColor, scale: stage.scaleX() });
+      setEditingText({ id: textObj.id, value: '', matrix: textEditorMatrix(textObj) });
     }
   };
 
-  const handleMouseMove = () => {
-    if (!joined) return;
+  const handleMouseMove = (e) => {
+    if (trackTouch(e?.evt)) return;
+    if (e?.evt?.isPrimary === false) return;
+    if (panRef.current) {
+      const { from, viewport: start } = panRef.current;
+      moveViewport(panBy(start, e.evt.clientX - from.x, e.evt.clientY - from.y));
+      return;
+    }
     const stage = stageRef.current;
     const pointer = stage.getPointerPosition();
     if (!pointer) return;
-    const pos = { x: (pointer.x - stage.x()) / stage.scaleX(), y: (pointer.y - stage.y()) / stage.scaleY() };
+    const pos = toBoard(viewportRef.current, pointer);
+    if (marquee) setMarquee({ ...marquee, x2: pos.x, y2: pos.y });
+    if (eraserDrag) {
+      // The whole-stroke eraser collects whatever it passes over
+      const hit = eraserMode === 'stroke' && stage.getIntersection(pointer);
+      const id = hit && (hit.name() || hit.id());
+      setEraserDrag(drag => drag && {
+        ...drag,
+        points: [...drag.points, pos.x, pos.y],
+        ids: id && !drag.ids.includes(id) ? [...drag.ids, id] : drag.ids
+      });
+    }
+    if (!joined) return;
 
-    publishRoomEvent('cursor-updated', { id: clientIdRef.current, x: pos.x, y: pos.y, color: strokeColor });
+    queueCursor(cursorSample(pos, tool));
+
+    if ((tool === 'line' || tool === 'arrow') && !drawingShapeId) {
+      const snap = nearestAnchor(currentBoard(), pos, SNAP_DISTANCE / viewportRef.current.scale);
+      setAnchorHint(snap && { id: snap.id, anchor: snap.anchor });
+    }
 
     if (tool === 'pen' && drawingLineId) {
-      setLines((prev) => prev.map((line) => {
-        if (line.id !== drawingLineId) return line;
-        const updated = { ...line, points: [...line.points, pos.x, pos.y] };
-        publishRoomEvent('line-updated', updated);
-        return updated;
+      const line = linesRef.current.find(l => l.id === drawingLineId);
+      if (line) {
+        // Draw locally right away; peers get the new points once per animation frame
+        const pressure = pointerPressure(e?.evt);
+        replaceElement('line', {
+          ...line,
+          points: [...line.points, pos.x, pos.y],
+          ...(line.pressures && { pressures: [...line.pressures, pressure ?? 0.5] })
+        });
+        scheduleStrokeFlush();
+      }
+    } else if (drawingShapeId && shapeStart && connectorsRef.current.some(c => c.id === drawingShapeId)) {
+      const connector = connectorsRef.current.find(c => c.id === drawingShapeId);
+      const snap = nearestAnchor(currentBoard(), pos, SNAP_DISTANCE / viewportRef.current.scale, connector.start?.id);
+      const end = snap || pos;
+      setAnchorHint(snap && { id: snap.id, anchor: snap.anchor });
+      emitElementEvent('connector', 'updated', stamp({
+        ...connector,
+        points: [shapeStart.x, shapeStart.y, end.x, end.y],
+        end: snap && { id: snap.id, anchor: snap.anchor }
       }));
     } else if (drawingShapeId && shapeStart) {
-      setShapes((prev) => prev.map((shape) => {
-        if (shape.id !== drawingShapeId) return shape;
-        if (shape.type === 'rect') {
-          return {
-            ...shape,
-            x: Math.min(shapeStart.x, pos.x), y: Math.min(shapeStart.y, pos.y),
-            width: Math.abs(pos.x - shapeStart.x), height: Math.abs(pos.y - shapeStart.y)
-          };
-        } else {
-          // Circle: calculate radius from start to current
-          const radius = Math.sqrt(Math.pow(pos.x - shapeStart.x, 2) + Math.pow(pos.y - shapeStart.y, 2));
-          return { ...shape, radius };
-        }
-      }));
-      const updated = shapesRef.current.find(s => s.id === drawingShapeId);
-      if (updated) publishRoomEvent('shape-updated', updated);
+      const shape = shapesRef.current.find(s => s.id === drawingShapeId);
+      if (!shape) return;
+      // Shift keeps it regular: a square, circle or equilateral triangle
+      emitElementEvent('shape', 'updated', stamp({ ...shape, ...shapeGeometry(shape.type, shapeStart, pos, !!e?.evt?.shiftKey) }));
     }
   };
 
-  const handleMouseUp = () => {
-    if (drawingLineId || drawingShapeId) {
-      setLastStrokeId(drawingLineId || drawingShapeId);
+  // Selects every element whose bounds touch the rubber band
+  const finishMarquee = () => {
+    const stage = stageRef.current;
+    const box = rectFromPoints(marquee.x1, marquee.y1, marquee.x2, marquee.y2);
+    const board = currentBoard();
+    const hits = elementKinds.flatMap(kind => board[`${kind}s`].map(element => element.id))
+      .filter(id => (parents[id] ?? null) === focusedGroupId)
+      .filter((id) => {
+        const node = stage.findOne('#' + id);
+        return node && rectsIntersect(box, node.getClientRect({ relativeTo: stage }));
+      });
+    setSelectedIds(ids => (marquee.additive ? [...new Set([...ids, ...hits])] : hits));
+    setMarquee(null);
+  };
+
+  const finishErase = () => {
+    const { points, radius, ids } = eraserDrag;
+    setEraserDrag(null);
+    if (eraserMode === 'stroke') {
+      removeElements(ids.filter(id => findElement(id)));
+      return;
+    }
+    const ops = eraseOps(currentBoard(), points, radius, buildId);
+    if (ops.length) applyLocalOps(ops);
+  };
+
+  // The clean element a stroke snaps to, in the stroke's style; lines and arrows attach
+  // to shapes their ends were drawn onto. Null when the stroke doesn't look like one.
+  const snappedElement = (line) => {
+    if (line.x || line.y || (line.scaleX ?? 1) !== 1 || (line.scaleY ?? 1) !== 1 || line.rotation) return null;
+    const found = recognizeStroke(line.points);
+    if (!found) return null;
+    const style = { color: line.color, strokeWidth: line.strokeWidth, dash: line.dash, opacity: line.opacity };
+    if (found.kind === 'shape') {
+      const shape = { id: buildId(), type: found.type, ...found.geometry, ...styleFor('shape', styleDefaults), ...style, scaleX: 1, scaleY: 1, rotation: 0, z: line.z };
+      return { kind: 'shape', element: shape };
+    }
+    const board = currentBoard();
+    const distance = SNAP_DISTANCE / viewportRef.current.scale;
+    const [x1, y1, x2, y2] = found.points;
+    const start = nearestAnchor(board, { x: x1, y: y1 }, distance);
+    const end = nearestAnchor(board, { x: x2, y: y2 }, distance, start?.id);
+    const connector = {
+      id: buildId(),
+      points: [start?.x ?? x1, start?.y ?? y1, end?.x ?? x2, end?.y ?? y2],
+      start: start && { id: start.id, anchor: start.anchor },
+      end: end && { id: end.id, anchor: end.anchor },
+      startHead: 'none',
+      endHead: found.endHead,
+      ...style,
+      z: line.z
+    };
+    return { kind: 'connector', element: connector };
+  };
+
+  const handleMouseUp = (e) => {
+    if (trackTouch(e?.evt)) return;
+    if (e?.evt?.isPrimary === false) return;
+    if (panRef.current) {
+      panRef.current = null;
+      setPanning(false);
+      return;
+    }
+    if (marquee) finishMarquee();
+    if (eraserDrag) finishErase();
+    let finishedId = drawingLineId || drawingShapeId;
+    if (drawingLineId) {
+      flushStroke();
+      strokeStreamRef.current = null;
+      const line = linesRef.current.find(l => l.id === drawingLineId);
+      const snapped = line && snapToShape && snappedElement(line);
+      if (snapped) {
+        // The stroke was only ever a sketch of the element, which takes its place
+        runOps([elementOp('line', line, null), elementOp(snapped.kind, null, snapped.element)]);
+        finishedId = snapped.element.id;
+      } else if (line) {
+        emitElementEvent('line', 'finalized', stamp({ ...line, ...simplifyStroke(line, penTolerance) }));
+      }
+    }
+    // A click without a drag leaves no zero-length connector behind
+    const connector = connectorsRef.current.find(c => c.id === drawingShapeId);
+    if (connector && connector.points[0] === connector.points[2] && connector.points[1] === connector.points[3]) {
+      emitElementEvent('connector', 'removed', stamp({ id: connector.id }));
+      setDrawingShapeId(null);
+      setShapeStart(null);
+      return;
+    }
+    setAnchorHint(null);
+    if (finishedId) {
+      setLastStrokeId(finishedId);
       setTimeout(() => setLastStrokeId(null), 1200);
-      saveHistory(); // Save after finished drawing
+      // The stroke was already broadcast while drawing; only its creation goes on the undo stack
+      const found = findElement(finishedId);
+      if (found) recordHistory([elementOp(found.kind, null, found.element)]);
     }
     setDrawingLineId(null);
     setDrawingShapeId(null);
@@ -777,155 +1928,327 @@ export default function App() {
 
   const handleWheel = (e) => {
     e.evt.preventDefault();
-    const stage = stageRef.current;
-    const oldScale = stage.scaleX();
-    const pointer = stage.getPointerPosition();
-    const mousePointTo = { x: (pointer.x - stage.x()) / oldScale, y: (pointer.y - stage.y()) / oldScale };
+    const view = viewportRef.current;
     const speed = 0.05;
-    const newScale = e.evt.deltaY > 0 ? oldScale / (1 + speed) : oldScale * (1 + speed);
-    stage.scale({ x: newScale, y: newScale });
-    stage.position({ x: pointer.x - mousePointTo.x * newScale, y: pointer.y - mousePointTo.y * newScale });
+    const newScale = e.evt.deltaY > 0 ? view.scale / (1 + speed) : view.scale * (1 + speed);
+    moveViewport(zoomAt(view, stageRef.current.getPointerPosition(), newScale));
   };
 
-  const handleTransformEnd = (e) => {
-    const node = e.target;
-    const updateState = (setter, list, eventName) => {
-      setter(prev => {
-        const next = prev.map(item => item.id !== node.id() ? item : {
-          ...item,
-          x: node.x(),
-          y: node.y(),
-          scaleX: node.scaleX(),
-          scaleY: node.scaleY(),
-          rotation: node.rotation()
-        });
-        const updated = next.find(i => i.id === node.id());
-        if (updated) publishRoomEvent(eventName, updated);
-
-        // Manual Ref sync for history stability
-        if (setter === setLines) linesRef.current = next;
-        else if (setter === setShapes) shapesRef.current = next;
-        else if (setter === setImages) imagesRef.current = next;
-        else if (setter === setTexts) textsRef.current = next;
-
-        const finalState = {
-          lines: linesRef.current,
-          shapes: shapesRef.current,
-          images: imagesRef.current,
-          texts: textsRef.current
-        };
-        saveHistory(finalState);
-        return next;
-      });
-    };
+  // Zoom buttons and shortcuts zoom around the middle of the stage; no direction means 100%
+  const zoomBy = (direction) => {
+    const stage = stageRef.current;
+    const view = viewportRef.current;
+    moveViewport(zoomAt(view, { x: stage.width() / 2, y: stage.height() / 2 }, direction ? steppedScale(view.scale, direction) : 1));
+  };
 
-    if (shapes.some(s => s.id === node.id())) {
-      updateState(setShapes, shapes, 'shape-updated');
-    } else if (lines.some(l => l.id === node.id())) {
-      updateState(setLines, lines, 'line-updated');
-    } else if (images.some(i => i.id === node.id())) {
-      updateState(setImages, images, 'image-updated');
-    } else if (texts.some(t => t.id === node.id())) {
-      updateState(setTexts, texts, 'text-updated');
+  // An empty board goes back to where it started
+  const zoomToBox = (box, maxScale) => {
+    const stage = stageRef.current;
+    moveViewport(box ? fitViewport(box, stage.width(), stage.height(), { maxScale }) : DEFAULT_VIEWPORT);
+  };
+
+  // Fitting never zooms in past 100%; a small selection may be blown up a little further
+  const zoomToFit = () => zoomToBox(boardBounds(currentBoard()), 1);
+
+  const zoomToSelection = () => {
+    const stage = stageRef.current;
+    const box = unionBounds(selectedIds.map(id => stage.findOne('#' + id)).filter(Boolean).map(node => node.getClientRect({ relativeTo: stage })));
+    if (box) zoomToBox(box, 2);
+  };
+
+  // Konva ends a multi-node drag or transform with one event per node, all in the same
+  // task. They are gathered here and committed together: one batch, one history entry.
+  const handleTransformEnd = (e) => {
+    if (!transformedIdsRef.current) {
+      transformedIdsRef.current = new Set();
+      queueMicrotask(commitTransforms);
     }
+    transformedIdsRef.current.add(e.target.id());
   };
 
+  const commitTransforms = () => {
+    const ids = transformedIdsRef.current;
+    transformedIdsRef.current = null;
+    const stage = stageRef.current;
+    const ops = [...ids].map((id) => {
+      const found = findElement(id);
+      const node = stage?.findOne('#' + id);
+      if (!found || !node) return null;
+      const after = { ...found.element, x: node.x(), y: node.y(), scaleX: node.scaleX(), scaleY: node.scaleY(), rotation: node.rotation() };
+      return elementOp(found.kind, found.element, after);
+    }).filter(Boolean);
+    if (ops.length) applyLocalOps(ops);
+  };
 
+  useEffect(() => {
+    if (!transformerRef.current) return;
+    const nodes = selectedIds.map(id => stageRef.current.findOne('#' + id)).filter(Boolean);
+    transformerRef.current.nodes(nodes);
+    transformerRef.current.getLayer().batchDraw();
+  }, [selectedIds, boardState]);
 
+  // Drop ids that were removed, locally or by someone else
   useEffect(() => {
-    if (selectedId && transformerRef.current) {
-      const selectedNode = stageRef.current.findOne('#' + selectedId);
-      transformerRef.current.nodes(selectedNode ? [selectedNode] : []);
-      transformerRef.current.getLayer().batchDraw();
-    }
-  }, [selectedId]);
+    setSelectedIds(ids => {
+      const present = ids.filter(id => findElement(id));
+      return present.length === ids.length ? ids : present;
+    });
+    setFocusedGroupId(id => (id && findElement(id) ? id : null));
+  }, [boardState]);
 
   const handleMouseLeave = () => {
+    const out = cursorOutRef.current;
+    clearTimeout(out.timer);
+    out.timer = null;
+    out.sent = null;
     publishRoomEvent('cursor-left', { id: clientIdRef.current });
   };
 
-  const handleTextSelect = (id, forceEdit = false) => {
-    setSelectedId(id);
-    if (forceEdit) {
-      const stage = stageRef.current;
-      const node = stage.findOne('#' + id);
-      if (node) {
-        const t = textsRef.current.find(tx => tx.id === id);
-        const container = stage.container().getBoundingClientRect();
-        const absPos = node.getAbsolutePosition();
-        setEditingText({
-          id,
-          x: absPos.x + container.left,
-          y: absPos.y + container.top,
-          value: t.content,
-          color: t.color,
-          scaleX: stage.scaleX() * (t.scaleX || 1),
-          scaleY: stage.scaleY() * (t.scaleY || 1)
-        });
-      }
+  // Page coordinates of a text's own coordinates: the stage container's offset, the
+  // stage pan and zoom, then the groups the text sits in and its own transform
+  const textEditorMatrix = (text) => {
+    const stage = stageRef.current;
+    const container = stage.container().getBoundingClientRect();
+    const view = viewportMatrix(viewportRef.current, { x: container.left, y: container.top });
+    return multiplyMatrices(view, worldMatrix(currentBoard(), text));
+  };
+
+  // The editor overlay follows its text as the view pans and zooms
+  useEffect(() => {
+    const editing = editingTextRef.current && textsRef.current.find(t => t.id === editingTextRef.current.id);
+    if (editing) setEditingText(prev => prev && { ...prev, matrix: textEditorMatrix(editing) });
+  }, [viewport]);
+
+  const editText = (id) => {
+    setSelectedIds([id]);
+    const t = textsRef.current.find(tx => tx.id === id);
+    if (t) setEditingText({ id, value: t.content, matrix: textEditorMatrix(t) });
+  };
+
+  // Double-click drills one level into a group; on a text that is already reachable it edits it
+  const handleDblClick = (e) => {
+    const id = e.target.name();
+    if (!findElement(id)) return;
+    const target = selectableAncestor(id, parents, focusedGroupId);
+    if (target !== id) {
+      setFocusedGroupId(target);
+      setSelectedIds([selectableAncestor(id, parents, target)]);
+    } else if (textsRef.current.some(t => t.id === id)) {
+      editText(id);
     }
   };
 
   const commitText = useCallback(() => {
-    setEditingText((current) => {
-      if (!current) return null;
-      const { id, value } = current;
-      setTexts(prev => {
-        const target = prev.find(t => t.id === id);
-        if (!target) return prev;
-
-        // Remove empty texts
-        if (target.isNew && !value.trim()) {
-          const next = prev.filter(t => t.id !== id);
-          publishRoomEvent('text-removed', { id });
-          textsRef.current = next;
-          saveHistory({ lines: linesRef.current, shapes: shapesRef.current, images: imagesRef.current, texts: next });
-          return next;
-        }
-
-        const next = prev.map(t => t.id === id ? { ...t, content: value, isNew: false } : t);
-        const updated = next.find(t => t.id === id);
-        if (updated) publishRoomEvent('text-updated', updated);
+    const current = editingTextRef.current;
+    if (!current) return;
+    editingTextRef.current = null;
+    setEditingText(null);
+
+    const { id, value } = current;
+    const target = textsRef.current.find(t => t.id === id);
+    if (!target) return;
+
+    // Remove empty texts
+    if (target.isNew && !value.trim()) {
+      runOps([elementOp('text', target, null)]);
+      return;
+    }
 
-        textsRef.current = next;
-        saveHistory({ lines: linesRef.current, shapes: shapesRef.current, images: imagesRef.current, texts: next });
-        return next;
-      });
-      return null;
-    });
-  }, [publishRoomEvent, saveHistory]);
+    const updated = { ...target, content: value, isNew: false };
+    runOps([elementOp('text', target, updated)]);
+    // A new note goes on the undo stack as one creation, not as "typed into a blank note"
+    recordHistory([elementOp('text', target.isNew ? null : target, updated)]);
+  }, [runOps, recordHistory]);
+
+  // Top-level elements and the children of the group drilled into can be dragged on their own;
+  // anything deeper moves with its group
+  const isDraggable = id => tool === 'select' && !spaceHeld && (parents[id] ?? null) === focusedGroupId;
+
+  // The panel edits what the selection has in common with itself, or the current tool's defaults
+  const styled = styledElements(boardState, selectedIds);
+  const panelKeys = selectedIds.length
+    ? [...new Set(styled.flatMap(({ kind, element }) => editableProperties(kind, element)))]
+    : Object.keys(styleFor(toolKinds[tool] || 'group', styleDefaults)).filter(key => key !== 'background' || tool === 'note');
+  const editingElement = editingText && texts.find(t => t.id === editingText.id);
+
+  const panelValues = selectedIds.length
+    ? Object.fromEntries(panelKeys.map(key => [key, sharedValue(styled, key)]))
+    : styleDefaults;
+
+  const avatars = avatarList(members, clientIdRef.current, MAX_AVATARS);
+  const followedMember = following && members.find(m => m.id === following);
+
+  const renderElement = (kind, element, seen = new Set()) => {
+    const draggable = isDraggable(element.id);
+    if (kind === 'line') {
+      // Pressure strokes are filled outlines of varying width instead of a stroked path
+      const color = getAdaptiveColor(element.color, darkMode);
+      const look = hasPressure(element)
+        ? { points: strokeOutline(element.points, element.pressures, element.strokeWidth), closed: true, fill: color }
+        : { points: element.points, stroke: color, strokeWidth: element.strokeWidth, dash: dashPattern(element.dash, element.strokeWidth), hitStrokeWidth: 20, tension: 0.5, lineCap: 'round', lineJoin: 'round' };
+      return (
+        <Line
+          key={element.id}
+          id={element.id}
+          name={element.id}
+          {...look}
+          draggable={draggable}
+          onTransformEnd={handleTransformEnd}
+          onDragEnd={handleTransformEnd}
+          x={element.x || 0}
+          y={element.y || 0}
+          scaleX={element.scaleX || 1}
+          scaleY={element.scaleY || 1}
+          rotation={element.rotation || 0}
+          shadowColor={lastStrokeId === element.id ? element.color : 'transparent'}
+          shadowBlur={lastStrokeId === element.id ? 40 : 0}
+          opacity={(lastStrokeId === element.id ? 1 : 0.9) * opacityOf(element)}
+        />
+      );
+    }
+    if (kind === 'image') {
+      return <URLImage key={element.id} image={element} draggable={draggable} onTransform={handleTransformEnd} />;
+    }
+    if (kind === 'text') {
+      return editingText?.id === element.id ? null : (
+        <DynamicText
+          key={element.id}
+          text={{ ...element, color: textInk(element, darkMode) }}
+          draggable={draggable}
+          onTransform={handleTransformEnd}
+        />
+      );
+    }
+    if (kind === 'shape') {
+      const adaptiveColor = getAdaptiveColor(element.color, darkMode);
+      const fill = fillOf(element);
+      const cp = { id: element.id, name: element.id, key: element.id, stroke: adaptiveColor, strokeWidth: strokeWidthOf(element), dash: dashPattern(element.dash, strokeWidthOf(element)), lineCap: element.dash === 'dotted' ? 'round' : undefined, fill: fill ? getAdaptiveColor(fill, darkMode) : undefined, opacity: opacityOf(element), strokeScaleEnabled: false, shadowColor: lastStrokeId === element.id ? adaptiveColor : 'transparent', shadowBlur: 40, shadowOpacity: lastStrokeId === element.id ? 1 : 0, draggable, onTransformEnd: handleTransformEnd, onDragEnd: handleTransformEnd, scaleX: element.scaleX || 1, scaleY: element.scaleY || 1, rotation: element.rotation || 0 };
+      const { component, props } = shapeType(element).konva(element);
+      const ShapeNode = shapeNodes[component];
+      return <ShapeNode {...cp} x={element.x} y={element.y} {...props} />;
+    }
+    if (kind === 'connector') {
+      // Drawn from the live anchors, so it follows attached elements even before the
+      // re-routed points arrive
+      const points = routeConnector(boardState, element);
+      const color = getAdaptiveColor(element.color, darkMode);
+      return (
+        <Group
+          key={element.id}
+          id={element.id}
+          name={element.id}
+          x={element.x || 0}
+          y={element.y || 0}
+          scaleX={element.scaleX || 1}
+          scaleY={element.scaleY || 1}
+          rotation={element.rotation || 0}
+          opacity={opacityOf(element)}
+          draggable={draggable}
+          onTransformEnd={handleTransformEnd}
+          onDragEnd={handleTransformEnd}
+        >
+          <Line name={element.id} points={points} stroke={color} strokeWidth={element.strokeWidth} dash={dashPattern(element.dash, element.strokeWidth)} hitStrokeWidth={20} lineCap="round" lineJoin="round" />
+          {connectorHeads(element, points).map(({ d, filled }, i) => (
+            <Path key={i} name={element.id} data={d} stroke={color} strokeWidth={element.strokeWidth} fill={filled ? color : undefined} lineCap="round" lineJoin="round" />
+          ))}
+        </Group>
+      );
+    }
+    // Members render inside the group node so its transform applies to them
+    if (seen.has(element.id)) return null;
+    return (
+      <Group
+        key={element.id}
+        id={element.id}
+        name={element.id}
+        x={element.x || 0}
+        y={element.y || 0}
+        scaleX={element.scaleX || 1}
+        scaleY={element.scaleY || 1}
+        rotation={element.rotation || 0}
+        draggable={draggable}
+        onTransformEnd={handleTransformEnd}
+        onDragEnd={handleTransformEnd}
+      >
+        {sortByZ(element.members.filter(id => elementsById[id] && parents[id] === element.id).map(id => elementsById[id]))
+          .map(member => renderElement(member.kind, member.element, new Set([...seen, element.id])))}
+      </Group>
+    );
+  };
 
   return (
-    <div className={`app ${darkMode ? 'dark' : ''} ${isIdle ? 'idle' : ''}`} onContextMenu={(e) => { e.preventDefault(); const p = stageRef.current.getPointerPosition(); if (p) setRadialMenu({ visible: true, x: p.x, y: p.y }); }}>
+    <div className={`app ${darkMode ? 'dark' : ''} ${isIdle ? 'idle' : ''}`} onContextMenu={handleContextMenu}>
       <header className={`ui-atom top-bar ${(!uiVisible || !!drawingLineId || !!drawingShapeId) ? 'hidden' : ''}`}>
         <div ref={exportMenuRef} className="menu-trigger" onClick={() => setExportMenuOpen(!exportMenuOpen)}>
           <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="1" /><circle cx="12" cy="5" r="1" /><circle cx="12" cy="19" r="1" /></svg>
           {exportMenuOpen && (
             <div className="export-menu">
-              <button onClick={handleExportPNG}>
+              <button onClick={openPngDialog}>
                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" /><polyline points="7 10 12 15 17 10" /><line x1="12" y1="15" x2="12" y2="3" /></svg>
                 Export PNG
               </button>
-              <button onClick={handleExportSVG}>
+              <button onClick={() => handleExportSVG('visible')}>
                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" /><polyline points="7 10 12 15 17 10" /><line x1="12" y1="15" x2="12" y2="3" /></svg>
-                Export SVG
+                SVG · Visible area
+              </button>
+              <button onClick={() => handleExportSVG('board')}>
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" /><polyline points="7 10 12 15 17 10" /><line x1="12" y1="15" x2="12" y2="3" /></svg>
+                SVG · Whole board
+              </button>
+              <button onClick={openPdfDialog}>
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z" /><polyline points="14 2 14 8 20 8" /><path d="M9 15l3 3 3-3M12 11v7" /></svg>
+                Export PDF
               </button>
               <div className="divider" />
               <button onClick={handleExportJSON}>
                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z" /><polyline points="14 2 14 8 20 8" /><line x1="16" y1="13" x2="8" y2="13" /><line x1="16" y1="17" x2="8" y2="17" /><polyline points="10 9 9 9 8 9" /></svg>
                 Save JSON
               </button>
+              <button onClick={() => importInputRef.current?.click()}>
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" /><polyline points="17 8 12 3 7 8" /><line x1="12" y1="3" x2="12" y2="15" /></svg>
+                Open JSON
+              </button>
             </div>
           )}
         </div>
+        <input ref={importInputRef} type="file" accept=".json,application/json" onChange={handleImportFile} style={{ display: 'none' }} />
         <div className="brand">
-          <div className="pulse-dot" />
+          <div className={`pulse-dot ${joined ? connectionStatus : ''}`} />
           <h1 style={{ color: 'var(--ink-color)' }}>Radical Board</h1>
-          <div className="session-info" style={{ color: 'var(--accent-color)' }}>Live for {elapsed} <span className="ephemerality-tag">· Not saved</span></div>
+          <div className="session-info" style={{ color: 'var(--accent-color)' }}>
+            Live for {elapsed}
+            {joined && <span className={`connection-status ${connectionStatus}`}>· {connectionLabels[connectionStatus]}</span>}
+          </div>
         </div>
+        {joined && members.length > 0 && (
+          <div className="member-list">
+            {avatars.shown.map(m => (m.id === clientIdRef.current ? (
+              <span key={m.id} className="avatar" style={{ background: m.color }} title={`${m.name} (you)`}>
+                {initialsOf(m.name)}
+              </span>
+            ) : (
+              <button
+                key={m.id}
+                className={`avatar ${following === m.id ? 'following' : ''}`}
+                style={{ background: m.color, '--member-color': m.color }}
+                onClick={() => follow(following === m.id ? null : m.id)}
+                title={following === m.id ? `Stop following ${m.name}` : `Follow ${m.name}`}
+              >
+                {initialsOf(m.name)}
+              </button>
+            )))}
+            {avatars.overflow > 0 && (
+              <span className="avatar overflow" title={`${members.length} in this room`}>+{avatars.overflow}</span>
+            )}
+            {members.length > 1 && (
+              <button className="present-button" onClick={bringEveryone} title="Bring everyone to me">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><rect x="2" y="4" width="20" height="13" rx="2" /><path d="M12 17v4M8 21h8M10 8.5l4 2-4 2z" /></svg>
+              </button>
+            )}
+          </div>
+        )}
         <div className="room-controls">
-          <input type="text" placeholder="Summon ID" value={roomId} onChange={(e) => setRoomId(e.target.value)} disabled={joined} />
-          {!joined && <button onClick={joinRoom}>create session</button>}
+          {joined && <span className="room-name" title={roomId}>{roomInfo?.name}</span>}
           {joined && (
             <button
               onClick={() => {
@@ -955,18 +2278,56 @@ export default function App() {
         </div>
         <div className="tool-group">
           {tools.map(t => (
-            <button key={t.id} className={tool === t.id ? 'active' : ''} onClick={() => { setTool(t.id); if (t.id !== 'select') setSelectedId(null); }} title={t.id}>
+            <button key={t.id} className={tool === t.id ? 'active' : ''} onClick={() => { setTool(t.id); if (t.id !== 'select') setSelectedIds([]); }} title={t.id}>
               {t.icon}
             </button>
           ))}
         </div>
+        {tool === 'shape' && (
+          <div className="tool-group">
+            {Object.entries(shapeTypes).map(([type, { label }]) => (
+              <button key={type} className={activeShapeType === type ? 'active' : ''} onClick={() => setActiveShapeType(type)} title={label}>
+                <ShapeIcon type={type} />
+              </button>
+            ))}
+          </div>
+        )}
+        {tool === 'pen' && (
+          <div className="tool-group">
+            <button className={snapToShape ? 'active' : ''} onClick={() => setSnapToShape(!snapToShape)} title="Snap to shape">
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><path d="M4 14c0-5 3-9 8-9 4 0 7 2 7 6" /><rect x="11" y="13" width="9" height="7" rx="1" /></svg>
+            </button>
+            <label title="How far simplifying may move a stroke; higher sends fewer points">
+              Simplify
+              <input type="range" min="0" max="4" step="0.25" value={penTolerance} onChange={e => setPenTolerance(Number(e.target.value))} />
+            </label>
+          </div>
+        )}
+        {tool === 'eraser' && (
+          <div className="tool-group">
+            {eraserModes.map(mode => (
+              <button key={mode.id} className={eraserMode === mode.id ? 'active' : ''} onClick={() => setEraserMode(mode.id)} title={mode.label}>
+                {mode.icon}
+              </button>
+            ))}
+          </div>
+        )}
+        {tool === 'arrow' && (
+          <div className="tool-group">
+            {ARROWHEADS.map(style => (
+              <button key={style} className={arrowhead === style ? 'active' : ''} onClick={() => setArrowhead(style)} title={`${style} head`}>
+                {arrowheadIcons[style]}
+              </button>
+            ))}
+          </div>
+        )}
         <div className="tool-group palette">
           {palette.map(p => (
             <div
               key={p.color}
               className={`ink-dot ${strokeColor === p.color ? 'active' : ''}`}
               style={{ '--dot-color': getAdaptiveColor(p.color, darkMode) }}
-              onClick={() => { setStrokeColor(p.color); setShowAdvancedPicker(false); }}
+              onClick={() => { applyProperties({ color: p.color }); setShowAdvancedPicker(false); }}
               title={p.name}
             />
           ))}
@@ -976,7 +2337,8 @@ export default function App() {
               ref={colorInputRef}
               type="color"
               value={strokeColor}
-              onChange={(e) => setStrokeColor(e.target.value)}
+              onChange={(e) => previewProperties({ color: e.target.value })}
+              onBlur={commitProperties}
               style={{ position: 'absolute', opacity: 0, inset: 0, cursor: 'pointer', border: 'none' }}
             />
           </div>
@@ -986,7 +2348,9 @@ export default function App() {
               min="1"
               max="15"
               value={strokeWidth}
-              onChange={(e) => setStrokeWidth(Number(e.target.value))}
+              onChange={(e) => previewProperties({ strokeWidth: Number(e.target.value) })}
+              onPointerUp={commitProperties}
+              onKeyUp={commitProperties}
               disabled={!joined}
               style={{ '--active-color': strokeColor }}
             />
@@ -1001,85 +2365,136 @@ export default function App() {
         </div>
       </div>
 
+      {joined && panelKeys.length > 0 && (
+        <PropertiesPanel
+          hidden={!uiVisible || !!drawingLineId || !!drawingShapeId}
+          keys={panelKeys}
+          values={panelValues}
+          darkMode={darkMode}
+          onPreview={previewProperties}
+          onCommit={commitProperties}
+          onApply={applyProperties}
+        />
+      )}
+
+      {followedMember && (
+        <>
+          <div className="follow-frame" style={{ '--member-color': followedMember.color }} />
+          <div className="follow-banner" style={{ '--member-color': followedMember.color }}>
+            Following {followedMember.name}
+            <button onClick={() => follow(null)}>Stop</button>
+          </div>
+        </>
+      )}
+
+      {roomError && (
+        <div className="error-banner" role="alert">
+          {roomError}
+          <button onClick={() => setRoomError(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {joined && (
+        <div className={`ui-atom zoom-controls ${!uiVisible || !!drawingLineId || !!drawingShapeId ? 'hidden' : ''}`}>
+          <Minimap
+            board={boardState}
+            viewport={viewport}
+            stageSize={stageSize}
+            onNavigate={point => moveViewport(centerOn(viewportRef.current, point, stageSize.width, stageSize.height))}
+          />
+          <div className="zoom-buttons">
+            <button onClick={() => zoomBy(-1)} title="Zoom out (Ctrl+-)">−</button>
+            <button className="zoom-level" onClick={() => zoomBy(0)} title="Reset to 100% (Ctrl+0)">{Math.round(viewport.scale * 100)}%</button>
+            <button onClick={() => zoomBy(1)} title="Zoom in (Ctrl+=)">+</button>
+            <button onClick={zoomToFit} title="Zoom to fit (Shift+1)">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><path d="M4 9V4h5M15 4h5v5M20 15v5h-5M9 20H4v-5" /></svg>
+            </button>
+            <button onClick={zoomToSelection} disabled={!selectedIds.length} title="Zoom to selection (Shift+2)">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><path d="M4 9V4h5M15 4h5v5M20 15v5h-5M9 20H4v-5" /><rect x="9" y="9" width="6" height="6" rx="1" /></svg>
+            </button>
+          </div>
+        </div>
+      )}
+
       {radialMenu.visible && (
         <div className="radial-menu" style={{ left: radialMenu.x, top: radialMenu.y }}>
           {tools.map((t, i) => {
             const angle = (i / tools.length) * 2 * Math.PI - Math.PI / 2;
-            return <div key={t.id} className="radial-item" style={{ transform: `translate(${Math.cos(angle) * 75 - 26}px, ${Math.sin(angle) * 75 - 26}px)` }} onClick={() => { setTool(t.id); if (t.id !== 'select') setSelectedId(null); setRadialMenu({ visible: false, x: 0, y: 0 }); }}>{t.icon}</div>;
+            return <div key={t.id} className="radial-item" style={{ transform: `translate(${Math.cos(angle) * 75 - 26}px, ${Math.sin(angle) * 75 - 26}px)` }} onClick={() => { setTool(t.id); if (t.id !== 'select') setSelectedIds([]); setRadialMenu({ visible: false, x: 0, y: 0 }); }}>{t.icon}</div>;
           })}
         </div>
       )}
 
-      <main className="board">
+      {contextMenu && (
+        <div ref={contextMenuRef} className="export-menu context-menu" style={{ left: contextMenu.x, top: contextMenu.y }}>
+          {[['front', 'Bring to front', 'Ctrl+Shift+]'], ['forward', 'Bring forward', 'Ctrl+]'], ['backward', 'Send backward', 'Ctrl+['], ['back', 'Send to back', 'Ctrl+Shift+[']].map(([command, label, keys]) => (
+            <button key={command} onClick={() => { reorderSelection(command); setContextMenu(null); }}>
+              {label}
+              <span className="shortcut">{keys}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* The middle button pans rather than starting the browser's autoscroll */}
+      <main className="board" onDragOver={(e) => e.preventDefault()} onDrop={handleDrop} onMouseDown={e => e.button === 1 && e.preventDefault()}>
         <Stage
           ref={stageRef}
           width={stageSize.width}
           height={stageSize.height}
-          className={`stage cursor-${tool}`}
-          onMouseDown={handleMouseDown}
-          onMouseMove={handleMouseMove}
-          onMouseUp={handleMouseUp}
+          x={viewport.x}
+          y={viewport.y}
+          scaleX={viewport.scale}
+          scaleY={viewport.scale}
+          className={`stage cursor-${panning ? 'grabbing' : (spaceHeld ? 'hand' : tool)}`}
+          onPointerDown={handleMouseDown}
+          onPointerMove={handleMouseMove}
+          onPointerUp={handleMouseUp}
+          onPointerCancel={handleMouseUp}
           onWheel={handleWheel}
-          onMouseLeave={handleMouseLeave}
-          onTouchStart={handleMouseDown}
-          onTouchMove={handleMouseMove}
-          onTouchEnd={handleMouseUp}
+          onDblClick={handleDblClick}
+          onDblTap={handleDblClick}
+          onPointerLeave={handleMouseLeave}
         >
           <Layer>
-            {lines.map((line) => (
+            {stacked.map(({ kind, element }) => renderElement(kind, element))}
+            {(tool === 'line' || tool === 'arrow') && anchorHint && elementsById[anchorHint.id] && (
+              anchorPoints(boardState, elementsById[anchorHint.id].kind, elementsById[anchorHint.id].element).map(point => (
+                <Circle
+                  key={point.anchor}
+                  x={point.x}
+                  y={point.y}
+                  radius={point.anchor === anchorHint.anchor ? 6 : 4}
+                  fill={point.anchor === anchorHint.anchor ? (darkMode ? '#8181ff' : '#5d5dff') : boardBackground(darkMode)}
+                  stroke={darkMode ? '#8181ff' : '#5d5dff'}
+                  strokeWidth={1.5}
+                  strokeScaleEnabled={false}
+                  listening={false}
+                />
+              ))
+            )}
+            {eraserDrag && (
               <Line
-                key={line.id}
-                id={line.id}
-                name={line.id}
-                points={line.points}
-                stroke={getAdaptiveColor(line.color, darkMode)}
-                strokeWidth={line.strokeWidth}
-                hitStrokeWidth={20}
-                tension={0.5}
+                points={eraserDrag.points.length > 2 ? eraserDrag.points : [...eraserDrag.points, ...eraserDrag.points]}
+                stroke={darkMode ? 'rgba(255, 255, 255, 0.2)' : 'rgba(0, 0, 0, 0.12)'}
+                strokeWidth={eraserDrag.radius * 2}
                 lineCap="round"
                 lineJoin="round"
-                draggable={tool === 'select'}
-                onTransformEnd={handleTransformEnd}
-                onDragEnd={handleTransformEnd}
-                x={line.x || 0}
-                y={line.y || 0}
-                scaleX={line.scaleX || 1}
-                scaleY={line.scaleY || 1}
-                rotation={line.rotation || 0}
-                shadowColor={lastStrokeId === line.id ? line.color : 'transparent'}
-                shadowBlur={lastStrokeId === line.id ? 40 : 0}
-                opacity={lastStrokeId === line.id ? 1 : 0.9}
+                listening={false}
               />
-            ))}
-            {images.map((img) => (
-              <URLImage
-                key={img.id}
-                image={img}
-                tool={tool}
-                onTransform={handleTransformEnd}
+            )}
+            {marquee && (
+              <Rect
+                {...rectFromPoints(marquee.x1, marquee.y1, marquee.x2, marquee.y2)}
+                fill={darkMode ? 'rgba(129, 129, 255, 0.08)' : 'rgba(93, 93, 255, 0.08)'}
+                stroke={darkMode ? '#8181ff' : '#5d5dff'}
+                strokeWidth={1}
+                strokeScaleEnabled={false}
+                dash={[6, 4]}
+                listening={false}
               />
-            ))}
-            {texts.map((t) => (
-              editingText?.id === t.id ? null : (
-                <DynamicText
-                  key={t.id}
-                  text={{ ...t, color: getAdaptiveColor(t.color, darkMode) }}
-                  tool={tool}
-                  onSelect={handleTextSelect}
-                  onTransform={handleTransformEnd}
-                />
-              )
-            ))}
-            {shapes.map((s) => {
-              const adaptiveColor = getAdaptiveColor(s.color, darkMode);
-              const cp = { id: s.id, name: s.id, key: s.id, stroke: adaptiveColor, strokeWidth: 2, strokeScaleEnabled: false, shadowColor: lastStrokeId === s.id ? adaptiveColor : 'transparent', shadowBlur: 40, shadowOpacity: lastStrokeId === s.id ? 1 : 0, draggable: tool === 'select', onTransformEnd: handleTransformEnd, onDragEnd: handleTransformEnd, scaleX: s.scaleX || 1, scaleY: s.scaleY || 1, rotation: s.rotation || 0 };
-              return s.type === 'rect' ? (
-                <Rect {...cp} x={s.x} y={s.y} width={s.width} height={s.height} cornerRadius={2} />
-              ) : (
-                <Circle {...cp} x={s.x} y={s.y} radius={s.radius} />
-              );
-            })}
-            {selectedId && (
+            )}
+            {selectedIds.length > 0 && (
               <Transformer
                 ref={transformerRef}
                 rotateEnabled={true}
@@ -1096,21 +2511,155 @@ export default function App() {
                 keepRatio={false}
               />
             )}
-            {Object.values(cursors).filter(c => c.id !== clientIdRef.current).map((c) => (
-              <Group key={c.id}>
-                <Circle x={c.x} y={c.y} radius={14} fill={c.color} opacity={0.08} />
-                <Circle x={c.x} y={c.y} radius={8} fill={c.color} opacity={0.18} />
-                <Circle x={c.x} y={c.y} radius={4} fill={c.color} />
-              </Group>
-            ))}
+          </Layer>
+          <Layer listening={false}>
+            <RemoteCursors channel={cursorChannel} members={members} scale={viewport.scale} />
           </Layer>
         </Stage>
-        {!joined && <div className="overlay"><p>Move your cursor to start a session.</p></div>}
+        {!joined && (
+          <Lobby
+            recentRooms={recentRooms}
+            error={lobbyError}
+            onCreate={createAndEnterRoom}
+            onOpen={openRoom}
+            onRemember={room => setRecentRooms(prev => prev.map(r => (r.id === room.id ? { id: room.id, name: room.name } : r)))}
+            onForget={id => setRecentRooms(prev => forgetRoom(prev, id))}
+          />
+        )}
       </main>
 
-      {editingText && (
+      {roomDeleted && (
+        <div className="dialog-backdrop">
+          <div className="dialog">
+            <h2>{roomInfo?.name} was deleted</h2>
+            <p>This board no longer exists, for you or anyone else who was in it.</p>
+            <div className="dialog-actions">
+              <button className="primary" onClick={() => window.location.assign(window.location.pathname)}>Back to the lobby</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {joinDialogOpen && (
+        <div className="dialog-backdrop" onMouseDown={() => setJoinDialogOpen(false)}>
+          <form className="dialog" onMouseDown={(e) => e.stopPropagation()} onSubmit={(e) => { e.preventDefault(); confirmJoin(); }}>
+            <h2>Join {roomInfo?.name ?? roomId}</h2>
+            <label>
+              Your name
+              <input type="text" autoFocus maxLength={MAX_NAME_LENGTH} value={displayName} onChange={(e) => setDisplayName(e.target.value)} />
+            </label>
+            <p className="join-preview">
+              <span className="avatar" style={{ background: presenceColor(userId) }}>{initialsOf(cleanName(displayName)) || '?'}</span>
+              Everyone in the room sees you like this
+            </p>
+            <div className="dialog-actions">
+              <button type="button" onClick={() => setJoinDialogOpen(false)}>Cancel</button>
+              <button type="submit" className="primary" disabled={!cleanName(displayName)}>Join</button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {pendingImport && (
+        <div className="dialog-backdrop" onMouseDown={() => setPendingImport(null)}>
+          <div className="dialog" onMouseDown={(e) => e.stopPropagation()}>
+            <h2>Open {pendingImport.fileName}</h2>
+            {pendingImport.error ? (
+              <>
+                <p className="dialog-error">{pendingImport.error}</p>
+                <div className="dialog-actions">
+                  <button onClick={() => setPendingImport(null)}>Close</button>
+                </div>
+              </>
+            ) : (
+              <>
+                <p>Replace everything on this board, or add the file's elements next to what is already here?</p>
+                <div className="dialog-actions">
+                  <button onClick={() => setPendingImport(null)}>Cancel</button>
+                  <button onClick={() => applyImport('merge')}>Merge</button>
+                  <button className="primary" onClick={() => applyImport('replace')}>Replace board</button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {pngOptions && (
+        <div className="dialog-backdrop" onMouseDown={() => setPngOptions(null)}>
+          <div className="dialog" onMouseDown={(e) => e.stopPropagation()}>
+            <h2>Export PNG</h2>
+            <label>
+              Area
+              <select value={pngOptions.scope} onChange={(e) => setPngOptions({ ...pngOptions, scope: e.target.value })}>
+                <option value="board">Whole board</option>
+                <option value="selection" disabled={!selectedIds.length}>Selection</option>
+              </select>
+            </label>
+            <label>
+              Resolution
+              <select value={pngOptions.pixelRatio} onChange={(e) => setPngOptions({ ...pngOptions, pixelRatio: Number(e.target.value) })}>
+                {PIXEL_RATIOS.map(ratio => <option key={ratio} value={ratio}>{ratio}×</option>)}
+              </select>
+            </label>
+            <label>
+              Padding
+              <input type="number" min="0" max="500" value={pngOptions.padding} onChange={(e) => setPngOptions({ ...pngOptions, padding: Math.max(0, Number(e.target.value) || 0) })} />
+            </label>
+            <label>
+              Background
+              <select value={pngOptions.background} onChange={(e) => setPngOptions({ ...pngOptions, background: e.target.value })}>
+                <option value="theme">{darkMode ? 'Dark' : 'Light'} board</option>
+                <option value="transparent">Transparent</option>
+              </select>
+            </label>
+            <div className="export-preview">
+              {pngPreview ? <img src={pngPreview.dataURL} alt="Export preview" /> : <span>Nothing to export</span>}
+            </div>
+            {pngPreview && <p>{pngPreview.width} × {pngPreview.height} px</p>}
+            <div className="dialog-actions">
+              <button onClick={() => setPngOptions(null)}>Cancel</button>
+              <button className="primary" onClick={handleExportPNG} disabled={!pngPreview}>Download</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {pdfOptions && (
+        <div className="dialog-backdrop" onMouseDown={() => !pdfOptions.busy && setPdfOptions(null)}>
+          <div className="dialog" onMouseDown={(e) => e.stopPropagation()}>
+            <h2>Export PDF</h2>
+            <label>
+              Title
+              <input type="text" value={pdfOptions.title} onChange={(e) => setPdfOptions({ ...pdfOptions, title: e.target.value })} />
+            </label>
+            <label>
+              Paper
+              <select value={pdfOptions.pageSize} onChange={(e) => setPdfOptions({ ...pdfOptions, pageSize: e.target.value })}>
+                {Object.entries(PAGE_SIZES).map(([key, size]) => <option key={key} value={key}>{size.label}</option>)}
+              </select>
+            </label>
+            <label>
+              Layout
+              <select value={pdfOptions.layout} onChange={(e) => setPdfOptions({ ...pdfOptions, layout: e.target.value })}>
+                <option value="fit">Fit on one page</option>
+                <option value="tile">Tile across pages</option>
+              </select>
+            </label>
+            {pdfOptions.error && <p className="dialog-error">{pdfOptions.error}</p>}
+            <div className="dialog-actions">
+              <button onClick={() => setPdfOptions(null)} disabled={pdfOptions.busy}>Cancel</button>
+              <button className="primary" onClick={handleExportPDF} disabled={pdfOptions.busy}>{pdfOptions.busy ? 'Exporting…' : 'Export'}</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {editingElement && (
         <TextEditor
-          text={editingText}
+          text={{ ...editingElement, color: textInk(editingElement, darkMode) }}
+          value={editingText.value}
+          matrix={editingText.matrix}
           onChange={(val) => setEditingText(prev => ({ ...prev, value: val }))}
           onBlur={commitText}
         />
@@ -0,0 +1,144 @@
+// The "Save JSON" file format. Files carry a schema version so older boards can be
+// migrated step by step when element types change; see `migrations` below.
+import { shapeTypes } from './shapes';
+
+export const BOARD_FILE_FORMAT = 'radical-board';
+export const BOARD_FILE_VERSION = 3;
+
+const collections = ['lines', 'shapes', 'images', 'texts', 'groups', 'connectors'];
+
+export class BoardFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BoardFileError';
+  }
+}
+
+// migrations[n] turns a version n file into version n + 1
+const migrations = {
+  // Version 0: the unversioned { lines, shapes, images, texts } dump
+  0: data => ({ ...data, format: BOARD_FILE_FORMAT, version: 1 }),
+  // Version 2 added groups
+  1: data => ({ ...data, groups: [], version: 2 }),
+  // Version 3 added lines, arrows and connectors
+  2: data => ({ ...data, connectors: [], version: 3 })
+};
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isOptionalNumber = value => value === undefined || isNumber(value);
+const isEnd = end => end === null || end === undefined || (typeof end === 'object' && typeof end.id === 'string' && typeof end.anchor === 'string');
+
+const checks = {
+  lines: (line) => {
+    if (!Array.isArray(line.points) || line.points.length % 2 !== 0 || !line.points.every(isNumber)) {
+      return 'points must be an even-length list of numbers';
+    }
+    if (line.pressures !== undefined && !(Array.isArray(line.pressures) && line.pressures.every(isNumber))) {
+      return 'pressures must be a list of numbers';
+    }
+    return isNumber(line.strokeWidth) ? null : 'strokeWidth must be a number';
+  },
+  shapes: (shape) => {
+    if (!isNumber(shape.x) || !isNumber(shape.y)) return 'x and y must be numbers';
+    if (!Object.hasOwn(shapeTypes, shape.type)) return `unknown shape type "${shape.type}"`;
+    return shapeTypes[shape.type].validate(shape);
+  },
+  images: (image) => {
+    if (typeof image.src !== 'string') return 'src must be a string';
+    return [image.x, image.y, image.width, image.height].every(isNumber) ? null : 'x, y, width and height must be numbers';
+  },
+  texts: (text) => {
+    if (typeof text.content !== 'string') return 'content must be a string';
+    if (!isOptionalNumber(text.fontSize) || !isOptionalNumber(text.width)) return 'fontSize and width must be numbers';
+    return isNumber(text.x) && isNumber(text.y) ? null : 'x and y must be numbers';
+  },
+  groups: (group) => {
+    if (!Array.isArray(group.members) || !group.members.every(id => typeof id === 'string')) return 'members must be a list of ids';
+    return isOptionalNumber(group.x) && isOptionalNumber(group.y) ? null : 'x and y must be numbers';
+  },
+  connectors: (connector) => {
+    if (!Array.isArray(connector.points) || connector.points.length !== 4 || !connector.points.every(isNumber)) {
+      return 'points must be a list of four numbers';
+    }
+    if (!isEnd(connector.start) || !isEnd(connector.end)) return 'start and end must be null or { id, anchor }';
+    return isNumber(connector.strokeWidth) ? null : 'strokeWidth must be a number';
+  }
+};
+
+const validateElement = (key, element, index) => {
+  const where = `${key}[${index}]`;
+  if (!element || typeof element !== 'object') throw new BoardFileError(`${where} is not an object`);
+  if (typeof element.id !== 'string' || !element.id) throw new BoardFileError(`${where} has no id`);
+  if (!isOptionalNumber(element.scaleX) || !isOptionalNumber(element.scaleY) || !isOptionalNumber(element.rotation)) {
+    throw new BoardFileError(`${where}: scaleX, scaleY and rotation must be numbers`);
+  }
+  if (!isOptionalNumber(element.z)) throw new BoardFileError(`${where}: z must be a number`);
+  if (!isOptionalNumber(element.opacity)) throw new BoardFileError(`${where}: opacity must be a number`);
+  const problem = checks[key](element);
+  if (problem) throw new BoardFileError(`${where}: ${problem}`);
+};
+
+// Sync metadata belongs to the room the board came from, not to the file
+const stripSyncFields = ({ version, author, roomId, ...element }) => element;
+
+// The server refuses groups with no members
+const withMembers = groups => groups.filter(group => group.members.length);
+
+export const serializeBoard = board => ({
+  format: BOARD_FILE_FORMAT,
+  version: BOARD_FILE_VERSION,
+  ...Object.fromEntries(collections.map(key => [key, board[key].map(stripSyncFields)]))
+});
+
+export const parseBoardFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new BoardFileError('The file is not valid JSON');
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new BoardFileError('The file does not contain a board');
+  if (data.format !== undefined && data.format !== BOARD_FILE_FORMAT) throw new BoardFileError(`Unsupported file format "${data.format}"`);
+
+  let version = data.version === undefined ? 0 : data.version;
+  if (!Number.isInteger(version) || version < 0) throw new BoardFileError('The file has an invalid schema version');
+  if (version > BOARD_FILE_VERSION) throw new BoardFileError(`The file was saved by a newer version of the board (schema ${version})`);
+  while (version < BOARD_FILE_VERSION) {
+    data = migrations[version](data);
+    version = data.version;
+  }
+
+  const board = {};
+  collections.forEach((key) => {
+    const list = data[key] === undefined ? [] : data[key];
+    if (!Array.isArray(list)) throw new BoardFileError(`"${key}" must be a list`);
+    list.forEach((element, index) => validateElement(key, element, index));
+    board[key] = list.map(stripSyncFields);
+  });
+
+  // Members deleted before the board was saved are dropped rather than rejected, along
+  // with groups left empty
+  let ids = new Set(collections.flatMap(key => board[key].map(element => element.id)));
+  board.groups = withMembers(board.groups.map(group => ({ ...group, members: group.members.filter(id => ids.has(id)) })));
+  ids = new Set(collections.flatMap(key => board[key].map(element => element.id)));
+  // and so are connector ends attached to them; the stored points still place the end
+  const present = end => (end && ids.has(end.id) ? end : null);
+  board.connectors = board.connectors.map(connector => ({ ...connector, start: present(connector.start), end: present(connector.end) }));
+  return board;
+};
+
+// Gives every element a new id so an imported board can sit next to the current one.
+// Connector ends attached to something outside the board come loose, and groups with
+// none of their members along are left out.
+export const withFreshIds = (board, buildId) => {
+  const ids = {};
+  collections.forEach(key => board[key].forEach((element) => { ids[element.id] = buildId(); }));
+  const reattach = end => (end && ids[end.id] ? { ...end, id: ids[end.id] } : null);
+  const fresh = Object.fromEntries(collections.map(key => [key, board[key].map((element) => {
+    const renamed = { ...element, id: ids[element.id] };
+    if (key === 'groups') renamed.members = element.members.map(id => ids[id]).filter(Boolean);
+    if (key === 'connectors') Object.assign(renamed, { start: reattach(element.start), end: reattach(element.end) });
+    return renamed;
+  })]));
+  return { ...fresh, groups: withMembers(fresh.groups) };
+};
@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+import { BOARD_FILE_VERSION, BoardFileError, parseBoardFile, serializeBoard, withFreshIds } from './boardFile';
+
+const board = {
+  lines: [{ id: 'l1', points: [0, 0, 10, 10], color: '#5d5dff', strokeWidth: 3, version: 4, author: 'a' }],
+  shapes: [{ id: 's1', type: 'rect', x: 1, y: 2, width: 30, height: 40, color: '#1a1a1a', scaleX: 1, scaleY: 1, rotation: 0 }],
+  images: [{ id: 'i1', src: 'data:image/png;base64,AAAA', x: 5, y: 5, width: 300, height: 200 }],
+  texts: [{ id: 't1', content: 'hello', x: 9, y: 9, color: '#0d9488' }],
+  groups: [{ id: 'g1', members: ['s1', 't1'], x: 0, y: 0, scaleX: 1, scaleY: 1, rotation: 0 }],
+  connectors: [{ id: 'c1', points: [16, 2, 9, 20], start: { id: 's1', anchor: 'top' }, end: { id: 't1', anchor: 'left' }, startHead: 'none', endHead: 'arrow', color: '#1a1a1a', strokeWidth: 2 }]
+};
+
+const expectError = (text, message) => {
+  expect(() => parseBoardFile(text)).toThrow(BoardFileError);
+  expect(() => parseBoardFile(text)).toThrow(message);
+};
+
+describe('board file', () => {
+  it('round-trips a saved board without sync metadata', () => {
+    const saved = JSON.stringify(serializeBoard(board));
+
+    const loaded = parseBoardFile(saved);
+
+    expect(JSON.parse(saved).version).toBe(BOARD_FILE_VERSION);
+    expect(loaded.lines).toEqual([{ id: 'l1', points: [0, 0, 10, 10], color: '#5d5dff', strokeWidth: 3 }]);
+    expect(loaded.shapes).toEqual(board.shapes);
+    expect(loaded.texts).toEqual(board.texts);
+    expect(loaded.groups).toEqual(board.groups);
+    expect(loaded.connectors).toEqual(board.connectors);
+  });
+
+  it('drops group members that were deleted before saving', () => {
+    const saved = JSON.stringify(serializeBoard({ ...board, texts: [] }));
+
+    expect(parseBoardFile(saved).groups[0].members).toEqual(['s1']);
+    expect(parseBoardFile(saved).connectors[0]).toMatchObject({ start: { id: 's1', anchor: 'top' }, end: null });
+  });
+
+  it('drops groups whose members were all deleted before saving', () => {
+    const saved = JSON.stringify(serializeBoard({ ...board, groups: [...board.groups, { id: 'g2', members: ['gone'], x: 0, y: 0 }] }));
+
+    expect(parseBoardFile(saved).groups.map(group => group.id)).toEqual(['g1']);
+  });
+
+  it('migrates unversioned exports', () => {
+    const legacy = JSON.stringify({ lines: [], shapes: board.shapes, images: [], texts: [] });
+
+    expect(parseBoardFile(legacy).shapes).toEqual(board.shapes);
+    expect(parseBoardFile(legacy).groups).toEqual([]);
+    expect(parseBoardFile(legacy).connectors).toEqual([]);
+  });
+
+  it('explains what is wrong with a broken file', () => {
+    expectError('{ nope', 'not valid JSON');
+    expectError('[]', 'does not contain a board');
+    expectError(JSON.stringify({ version: 99 }), 'newer version');
+    expectError(JSON.stringify({ shapes: {} }), '"shapes" must be a list');
+    expectError(JSON.stringify({ lines: [{ id: 'l1', points: [0, 0, 1], strokeWidth: 3 }] }), 'lines[0]: points must be an even-length list of numbers');
+    expectError(JSON.stringify({ shapes: [{ id: 's1', type: 'hexagon', x: 0, y: 0 }] }), 'shapes[0]: unknown shape type "hexagon"');
+    expectError(JSON.stringify({ texts: [{ content: 'x', x: 0, y: 0 }] }), 'texts[0] has no id');
+    expectError(JSON.stringify({ version: 3, connectors: [{ id: 'c1', points: [0, 0], strokeWidth: 2 }] }), 'connectors[0]: points must be a list of four numbers');
+  });
+
+  it('re-ids elements for merging', () => {
+    let next = 0;
+    const merged = withFreshIds(board, () => `new-${++next}`);
+
+    expect(merged.lines[0]).toEqual({ ...board.lines[0], id: 'new-1' });
+    expect(merged.texts[0].id).toBe('new-4');
+    expect(merged.groups[0]).toMatchObject({ id: 'new-5', members: ['new-2', 'new-4'] });
+    expect(merged.connectors[0]).toMatchObject({ id: 'new-6', start: { id: 'new-2', anchor: 'top' }, end: { id: 'new-4', anchor: 'left' } });
+  });
+
+  it('lets connector ends come loose when their element is not merged along', () => {
+    const merged = withFreshIds({ ...board, shapes: [], groups: [] }, () => 'fresh');
+
+    expect(merged.connectors[0]).toMatchObject({ start: null, points: [16, 2, 9, 20] });
+  });
+
+  it('leaves out groups none of whose members are merged along', () => {
+    const merged = withFreshIds({ ...board, shapes: [], texts: [] }, () => 'fresh');
+
+    expect(merged.groups).toEqual([]);
+  });
+});
@@ -0,0 +1,95 @@
+// Board-space bounding boxes, following Konva's node transform:
+// translate(x, y) · rotate(rotation) · scale(scaleX, scaleY).
+import { parentMap } from './groups';
+import { shapeType } from './shapes';
+import { textBox } from './textLayout';
+import { hasPressure, pressureScale } from './strokes';
+
+export const transformPoint = (element, px, py) => {
+  const scaleX = element.scaleX ?? 1;
+  const scaleY = element.scaleY ?? 1;
+  const angle = ((element.rotation || 0) * Math.PI) / 180;
+  const sx = px * scaleX;
+  const sy = py * scaleY;
+  return {
+    x: (element.x || 0) + sx * Math.cos(angle) - sy * Math.sin(angle),
+    y: (element.y || 0) + sx * Math.sin(angle) + sy * Math.cos(angle)
+  };
+};
+
+// The element's own box before its transform is applied
+const localBox = {
+  line: (line) => {
+    const xs = line.points.filter((_, i) => i % 2 === 0);
+    const ys = line.points.filter((_, i) => i % 2 === 1);
+    const widest = hasPressure(line) ? pressureScale(Math.max(...line.pressures)) : 1;
+    const half = ((line.strokeWidth || 0) * widest) / 2;
+    return { x: Math.min(...xs) - half, y: Math.min(...ys) - half, width: Math.max(...xs) - Math.min(...xs) + half * 2, height: Math.max(...ys) - Math.min(...ys) + half * 2 };
+  },
+  connector: connector => localBox.line(connector),
+  shape: shape => shapeType(shape).box(shape),
+  image: image => ({ x: 0, y: 0, width: image.width, height: image.height }),
+  text: textBox
+};
+
+export const elementBox = (kind, element) => localBox[kind](element);
+
+// Axis-aligned box around `box` after the element's transform
+const transformBox = (element, box) => {
+  const corners = [[box.x, box.y], [box.x + box.width, box.y], [box.x, box.y + box.height], [box.x + box.width, box.y + box.height]]
+    .map(([px, py]) => transformPoint(element, px, py));
+  const xs = corners.map(c => c.x);
+  const ys = corners.map(c => c.y);
+  return { x: Math.min(...xs), y: Math.min(...ys), width: Math.max(...xs) - Math.min(...xs), height: Math.max(...ys) - Math.min(...ys) };
+};
+
+export const elementBounds = (kind, element) => {
+  if (kind === 'line' && !element.points.length) return null;
+  return transformBox(element, localBox[kind](element));
+};
+
+export const unionBounds = (boxes) => {
+  const present = boxes.filter(Boolean);
+  if (!present.length) return null;
+  const x = Math.min(...present.map(b => b.x));
+  const y = Math.min(...present.map(b => b.y));
+  const right = Math.max(...present.map(b => b.x + b.width));
+  const bottom = Math.max(...present.map(b => b.y + b.height));
+  return { x, y, width: right - x, height: bottom - y };
+};
+
+// Bounds of every element outside a group, groups measured as a whole: [{ id, kind, box }].
+// Group members are measured inside their group and then moved by its transform.
+export const topLevelBounds = (board) => {
+  const byId = {};
+  Object.entries(board).forEach(([key, list]) => list.forEach((element) => { byId[element.id] = { kind: key.slice(0, -1), element }; }));
+  const parents = parentMap(board.groups);
+
+  const itemBounds = ({ kind, element }, seen) => {
+    if (kind === 'text' && element.isNew) return null;
+    if (kind !== 'group') return elementBounds(kind, element);
+    if (seen.has(element.id)) return null;
+    const inner = unionBounds(element.members.map(id => byId[id] && itemBounds(byId[id], new Set([...seen, element.id]))));
+    return inner && transformBox(element, inner);
+  };
+
+  return Object.values(byId)
+    .filter(({ element }) => !parents[element.id])
+    .map(item => ({ id: item.element.id, kind: item.kind, box: itemBounds(item, new Set()) }))
+    .filter(item => item.box);
+};
+
+// Bounds of every element on the board, or null for an empty board
+export const boardBounds = board => unionBounds(topLevelBounds(board).map(item => item.box));
+
+// The box spanned by two corners given in any order, e.g. a marquee drag
+export const rectFromPoints = (x1, y1, x2, y2) => ({
+  x: Math.min(x1, x2),
+  y: Math.min(y1, y2),
+  width: Math.abs(x2 - x1),
+  height: Math.abs(y2 - y1)
+});
+
+export const rectsIntersect = (a, b) => (
+  a.x <= b.x + b.width && b.x <= a.x + a.width && a.y <= b.y + b.height && b.y <= a.y + a.height
+);
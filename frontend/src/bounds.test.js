@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { boardBounds, elementBounds, rectFromPoints, rectsIntersect, topLevelBounds } from './bounds';
+
+describe('bounds', () => {
+  it('applies the element transform like Konva', () => {
+    const box = elementBounds('shape', { type: 'rect', x: 10, y: 10, width: 40, height: 20, scaleX: 2, rotation: 90 });
+
+    expect(box.x).toBeCloseTo(-10);
+    expect(box.y).toBeCloseTo(10);
+    expect(box.width).toBeCloseTo(20);
+    expect(box.height).toBeCloseTo(80);
+  });
+
+  it('grows strokes by half their width and centres circles on x/y', () => {
+    expect(elementBounds('line', { points: [0, 0, 10, 20], strokeWidth: 4 })).toEqual({ x: -2, y: -2, width: 14, height: 24 });
+    expect(elementBounds('shape', { type: 'circle', x: 5, y: 5, radius: 5 })).toEqual({ x: 0, y: 0, width: 10, height: 10 });
+  });
+
+  it('lists top-level elements with groups measured as a whole', () => {
+    const board = {
+      lines: [],
+      shapes: [{ id: 's1', type: 'rect', x: 0, y: 0, width: 10, height: 10 }, { id: 's2', type: 'rect', x: 30, y: 0, width: 10, height: 10 }],
+      images: [],
+      texts: [],
+      groups: [{ id: 'g1', members: ['s1', 's2'], x: 5, y: 5 }]
+    };
+
+    expect(topLevelBounds(board)).toEqual([{ id: 'g1', kind: 'group', box: { x: 5, y: 5, width: 40, height: 10 } }]);
+  });
+
+  it('skips notes that are still being typed', () => {
+    const board = { lines: [], shapes: [], images: [], texts: [{ id: 't1', content: '', x: 900, y: 900, isNew: true }] };
+
+    expect(boardBounds(board)).toBeNull();
+  });
+
+  it('builds marquee rectangles from any drag direction', () => {
+    const marquee = rectFromPoints(50, 40, 10, 0);
+
+    expect(marquee).toEqual({ x: 10, y: 0, width: 40, height: 40 });
+    expect(rectsIntersect(marquee, { x: 45, y: 35, width: 100, height: 100 })).toBe(true);
+    expect(rectsIntersect(marquee, { x: 51, y: 0, width: 10, height: 10 })).toBe(false);
+  });
+});
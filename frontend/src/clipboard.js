@@ -0,0 +1,42 @@
+// Copy/paste of board elements. The clipboard carries a board file holding just the
+// copied elements, so it pastes into any room or tab and is validated like "Open JSON".
+import { BOARD_FILE_FORMAT, BoardFileError, parseBoardFile, serializeBoard } from './boardFile';
+import { boardBounds } from './bounds';
+import { parentMap, withDescendants } from './groups';
+
+export const PASTE_OFFSET = 24;
+
+// Copying a group copies everything inside it
+export const serializeSelection = (board, ids) => {
+  const copied = new Set(withDescendants(ids, board.groups));
+  return JSON.stringify(serializeBoard(
+    Object.fromEntries(Object.entries(board).map(([key, list]) => [key, list.filter(element => copied.has(element.id) && !element.isNew)]))
+  ));
+};
+
+// The copied board, or null when the clipboard holds something else
+export const parseClipboard = (text) => {
+  try {
+    if (JSON.parse(text)?.format !== BOARD_FILE_FORMAT) return null;
+    return parseBoardFile(text);
+  } catch (e) {
+    if (e instanceof SyntaxError || e instanceof BoardFileError) return null;
+    throw e;
+  }
+};
+
+// Moves the top-level elements; group members move with their group
+const translate = (board, dx, dy) => {
+  const parents = parentMap(board.groups);
+  return Object.fromEntries(Object.entries(board).map(([key, list]) => [
+    key,
+    list.map(element => (parents[element.id] ? element : { ...element, x: (element.x || 0) + dx, y: (element.y || 0) + dy }))
+  ]));
+};
+
+// Centres the elements on `anchor` (board coordinates) or shifts them by PASTE_OFFSET
+export const placeElements = (board, anchor = null) => {
+  const bounds = anchor && boardBounds(board);
+  if (!bounds) return translate(board, PASTE_OFFSET, PASTE_OFFSET);
+  return translate(board, anchor.x - (bounds.x + bounds.width / 2), anchor.y - (bounds.y + bounds.height / 2));
+};
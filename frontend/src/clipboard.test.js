@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { PASTE_OFFSET, parseClipboard, placeElements, serializeSelection } from './clipboard';
+
+const board = {
+  lines: [{ id: 'l1', points: [0, 0, 10, 10], color: '#5d5dff', strokeWidth: 3, version: 4, author: 'a' }],
+  shapes: [{ id: 's1', type: 'rect', x: 100, y: 100, width: 20, height: 20, color: '#1a1a1a' }],
+  images: [],
+  texts: [{ id: 't1', content: '', x: 0, y: 0, isNew: true }],
+  groups: [],
+  connectors: []
+};
+
+describe('clipboard', () => {
+  it('copies only the selected elements, without sync metadata', () => {
+    const copied = parseClipboard(serializeSelection(board, ['l1', 't1']));
+
+    expect(copied).toEqual({ lines: [{ id: 'l1', points: [0, 0, 10, 10], color: '#5d5dff', strokeWidth: 3 }], shapes: [], images: [], texts: [], groups: [], connectors: [] });
+  });
+
+  it('copies groups with their members and moves them as one', () => {
+    const grouped = {
+      ...board,
+      texts: [{ id: 't2', content: 'label', x: 0, y: 0 }],
+      groups: [{ id: 'g1', members: ['s1', 't2'], x: 10, y: 10 }]
+    };
+
+    const copied = parseClipboard(serializeSelection(grouped, ['g1']));
+    const moved = placeElements(copied);
+
+    expect(copied.shapes.map(s => s.id)).toEqual(['s1']);
+    expect(copied.texts.map(t => t.id)).toEqual(['t2']);
+    expect(moved.groups[0]).toMatchObject({ x: 10 + PASTE_OFFSET, y: 10 + PASTE_OFFSET });
+    expect(moved.shapes[0]).toMatchObject({ x: 100, y: 100 });
+  });
+
+  it('ignores clipboard text that is not a copied selection', () => {
+    expect(parseClipboard('hello')).toBeNull();
+    expect(parseClipboard('{"lines": []}')).toBeNull();
+    expect(parseClipboard('{"format": "radical-board", "version": 1, "shapes": [{"id": "x"}]}')).toBeNull();
+  });
+
+  it('offsets duplicates and centres pastes on the pointer', () => {
+    const copied = { ...board, texts: [], groups: [] };
+
+    expect(placeElements(copied).shapes[0]).toMatchObject({ x: 100 + PASTE_OFFSET, y: 100 + PASTE_OFFSET });
+
+    const pasted = placeElements(copied, { x: 500, y: 500 });
+    // Bounds run from the stroke's (-1.5, -1.5) to the rect's (120, 120)
+    expect(pasted.shapes[0].x).toBeCloseTo(500 + 100 - 59.25);
+    expect(pasted.lines[0]).toMatchObject({ points: [0, 0, 10, 10] });
+    expect(pasted.lines[0].x).toBeCloseTo(500 - 59.25);
+  });
+});
@@ -0,0 +1,130 @@
+// Straight lines and arrows are elements of kind `connector`:
+// { id, points: [x1, y1, x2, y2], start, end, startHead, endHead, color, strokeWidth }.
+// An end dropped on an anchor point is attached as { id, anchor } and follows that
+// element around; `points` keeps the last routed position, which is what is drawn once
+// the element is gone.
+import { elementOp } from './history';
+import { elementBox } from './bounds';
+import { applyMatrix, invertMatrix, withDescendants, worldMatrix } from './groups';
+import { shapeContains } from './shapes';
+import { sortByZ } from './zOrder';
+
+export const ARROWHEADS = ['arrow', 'triangle', 'circle'];
+// In screen pixels; callers divide by the zoom
+export const SNAP_DISTANCE = 16;
+
+// Rectangles, circles and texts have an anchor in the middle of each side
+const attachableKinds = ['shape', 'text'];
+const anchorOffsets = { top: [0.5, 0], right: [1, 0.5], bottom: [0.5, 1], left: [0, 0.5] };
+
+// Board-space anchor points of an element, empty for kinds connectors don't attach to
+export const anchorPoints = (board, kind, element) => {
+  if (!attachableKinds.includes(kind) || element.isNew) return [];
+  const box = elementBox(kind, element);
+  const matrix = worldMatrix(board, element);
+  return Object.entries(anchorOffsets).map(([anchor, [fx, fy]]) => ({
+    id: element.id,
+    anchor,
+    ...applyMatrix(matrix, box.x + box.width * fx, box.y + box.height * fy)
+  }));
+};
+
+const allAnchors = board => attachableKinds.flatMap(kind => (board[`${kind}s`] || []).flatMap(element => anchorPoints(board, kind, element)));
+
+const closest = (anchors, point, distance = Infinity) => {
+  let nearest = null;
+  let best = distance;
+  anchors.forEach((candidate) => {
+    const gap = Math.hypot(candidate.x - point.x, candidate.y - point.y);
+    if (gap <= best) {
+      nearest = candidate;
+      best = gap;
+    }
+  });
+  return nearest;
+};
+
+const hits = (board, kind, element, point) => {
+  const local = applyMatrix(invertMatrix(worldMatrix(board, element)), point.x, point.y);
+  if (kind === 'shape') return shapeContains(element, local.x, local.y);
+  const box = elementBox(kind, element);
+  return local.x >= box.x && local.y >= box.y && local.x <= box.x + box.width && local.y <= box.y + box.height;
+};
+
+// The anchor closest to `point` within `distance`, or else the closest anchor of the
+// element under `point`, so dropping an end anywhere on a shape attaches it. Null when
+// neither applies.
+export const nearestAnchor = (board, point, distance, excludeId = null) => {
+  const candidates = allAnchors(board).filter(anchor => anchor.id !== excludeId);
+  const near = closest(candidates, point, distance);
+  if (near) return near;
+  const under = sortByZ(attachableKinds.flatMap(kind => (board[`${kind}s`] || []).map(element => ({ kind, element }))))
+    .reverse()
+    .find(({ kind, element }) => element.id !== excludeId && !element.isNew && hits(board, kind, element, point));
+  return under ? closest(candidates.filter(anchor => anchor.id === under.element.id), point) : null;
+};
+
+const attachedPoint = (board, end) => {
+  if (!end) return null;
+  for (const kind of attachableKinds) {
+    const element = (board[`${kind}s`] || []).find(e => e.id === end.id);
+    if (element) return anchorPoints(board, kind, element).find(a => a.anchor === end.anchor) || null;
+  }
+  return null;
+};
+
+// The connector's points with attached ends moved onto their anchors, in its own coordinates
+export const routeConnector = (board, connector) => {
+  const points = connector.points.slice();
+  const ends = [[connector.start, 0], [connector.end, 2]].map(([end, i]) => [attachedPoint(board, end), i]);
+  if (ends.every(([point]) => !point)) return points;
+  const inverse = invertMatrix(worldMatrix(board, connector));
+  ends.forEach(([point, i]) => {
+    if (!point) return;
+    const local = applyMatrix(inverse, point.x, point.y);
+    points[i] = local.x;
+    points[i + 1] = local.y;
+  });
+  return points;
+};
+
+// Updates for the connectors attached to `ids` (or anything inside them) whose stored
+// points are out of date, e.g. after those elements were dragged or transformed
+export const rerouteOps = (board, ids) => {
+  const moved = new Set(withDescendants(ids, board.groups));
+  return (board.connectors || [])
+    .filter(c => moved.has(c.id) || moved.has(c.start?.id) || moved.has(c.end?.id))
+    .flatMap((connector) => {
+      const points = routeConnector(board, connector);
+      const stale = points.some((value, i) => Math.abs(value - connector.points[i]) > 1e-6);
+      return stale ? [elementOp('connector', connector, { ...connector, points })] : [];
+    });
+};
+
+// SVG path data for a head at `tip`, pointing away from `from`; shared by the canvas and
+// the SVG export. Null for 'none'.
+export const arrowheadPath = (style, from, tip, strokeWidth) => {
+  if (!ARROWHEADS.includes(style)) return null;
+  const size = 6 + strokeWidth * 2;
+  const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+  const back = spread => ({ x: tip.x - size * Math.cos(angle + spread), y: tip.y - size * Math.sin(angle + spread) });
+  const fmt = ({ x, y }) => `${Math.round(x * 1000) / 1000} ${Math.round(y * 1000) / 1000}`;
+  if (style === 'circle') {
+    const r = size / 3;
+    return { d: `M${fmt({ x: tip.x - r, y: tip.y })} a${r} ${r} 0 1 0 ${r * 2} 0 a${r} ${r} 0 1 0 ${-r * 2} 0 Z`, filled: true };
+  }
+  const left = back(Math.PI / 7);
+  const right = back(-Math.PI / 7);
+  return style === 'triangle'
+    ? { d: `M${fmt(tip)} L${fmt(left)} L${fmt(right)} Z`, filled: true }
+    : { d: `M${fmt(left)} L${fmt(tip)} L${fmt(right)}`, filled: false };
+};
+
+// The heads of a routed connector, start first
+export const connectorHeads = (connector, points) => {
+  const [x1, y1, x2, y2] = points;
+  return [
+    arrowheadPath(connector.startHead, { x: x2, y: y2 }, { x: x1, y: y1 }, connector.strokeWidth),
+    arrowheadPath(connector.endHead, { x: x1, y: y1 }, { x: x2, y: y2 }, connector.strokeWidth)
+  ].filter(Boolean);
+};
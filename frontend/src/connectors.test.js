@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { applyOps } from './history';
+import { anchorPoints, arrowheadPath, nearestAnchor, rerouteOps, routeConnector } from './connectors';
+
+const box = { id: 'b', type: 'rect', x: 100, y: 100, width: 40, height: 20 };
+const connector = { id: 'c', points: [0, 0, 100, 110], start: null, end: { id: 'b', anchor: 'left' }, startHead: 'none', endHead: 'arrow', strokeWidth: 2 };
+const board = { lines: [], shapes: [box], images: [], texts: [], groups: [], connectors: [connector] };
+
+describe('connectors', () => {
+  it('puts an anchor in the middle of each side, following the transform', () => {
+    const turned = { ...box, rotation: 90, scaleX: 2 };
+
+    const anchors = anchorPoints(board, 'shape', turned).map(({ anchor, x, y }) => [anchor, Math.round(x), Math.round(y)]);
+
+    expect(anchors).toEqual([['top', 100, 140], ['right', 90, 180], ['bottom', 80, 140], ['left', 90, 100]]);
+    expect(anchorPoints(board, 'line', { id: 'l', points: [0, 0] })).toEqual([]);
+  });
+
+  it('snaps to the nearest anchor within the distance', () => {
+    expect(nearestAnchor(board, { x: 118, y: 95 }, 10)).toMatchObject({ id: 'b', anchor: 'top', x: 120, y: 100 });
+    expect(nearestAnchor(board, { x: 118, y: 95 }, 2)).toBeNull();
+    expect(nearestAnchor(board, { x: 118, y: 95 }, 10, 'b')).toBeNull();
+  });
+
+  it('attaches to the closest anchor of the shape under the pointer', () => {
+    const diamond = { id: 'd', type: 'diamond', x: 0, y: 0, width: 100, height: 100 };
+    const withDiamond = { ...board, shapes: [diamond] };
+
+    expect(nearestAnchor(withDiamond, { x: 70, y: 45 }, 5)).toMatchObject({ id: 'd', anchor: 'right' });
+    expect(nearestAnchor(withDiamond, { x: 5, y: 5 }, 5)).toBeNull();
+  });
+
+  it('routes attached ends into the connector and group coordinates', () => {
+    const grouped = { ...board, groups: [{ id: 'g', members: ['b'], x: 50, y: 0 }] };
+    const moved = { ...grouped, connectors: [{ ...connector, x: 10, y: 10 }] };
+
+    expect(routeConnector(board, connector)).toEqual([0, 0, 100, 110]);
+    expect(routeConnector(grouped, connector)).toEqual([0, 0, 150, 110]);
+    expect(routeConnector(moved, moved.connectors[0])).toEqual([0, 0, 140, 100]);
+  });
+
+  it('re-routes connectors attached to moved elements', () => {
+    const moved = { ...board, shapes: [{ ...box, x: 200 }] };
+
+    const ops = rerouteOps(moved, ['b']);
+
+    expect(applyOps(moved, ops).board.connectors[0].points).toEqual([0, 0, 200, 110]);
+    expect(rerouteOps(board, ['b'])).toEqual([]);
+    expect(rerouteOps(moved, ['other'])).toEqual([]);
+  });
+
+  it('draws heads pointing along the line', () => {
+    expect(arrowheadPath('triangle', { x: 0, y: 0 }, { x: 10, y: 0 }, 2).filled).toBe(true);
+    expect(arrowheadPath('arrow', { x: 0, y: 0 }, { x: 10, y: 0 }, 2)).toEqual({ d: 'M0.99 -4.339 L10 0 L0.99 4.339', filled: false });
+    expect(arrowheadPath('none', { x: 0, y: 0 }, { x: 10, y: 0 }, 2)).toBeNull();
+  });
+});
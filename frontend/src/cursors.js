@@ -0,0 +1,83 @@
+// Remote cursors. Each client sends its pointer at most every CURSOR_INTERVAL ms and only
+// the fields that changed since its last send; receivers keep a short trail of timed
+// samples per cursor and draw it INTERPOLATION_DELAY behind real time, gliding between
+// samples instead of jumping. Cursor messages never touch App state: they go through a
+// channel straight to the layer that draws them.
+
+export const CURSOR_INTERVAL = 50;
+// Two send intervals, so there is nearly always a sample ahead of the drawn position
+export const INTERPOLATION_DELAY = 100;
+const MAX_SAMPLES = 8;
+
+const round = value => Math.round(value * 10) / 10;
+
+// What we tell the room about our cursor; a tenth of a board unit is plenty
+export const cursorSample = (point, tool) => ({ x: round(point.x), y: round(point.y), tool });
+
+// The fields of `next` that differ from what was last `sent`, or null when none do.
+// Nothing sent yet means everything.
+export const cursorPatch = (sent, next) => {
+  const patch = Object.fromEntries(Object.entries(next).filter(([key, value]) => !sent || sent[key] !== value));
+  return Object.keys(patch).length ? patch : null;
+};
+
+// The position along `samples` ({ time, x, y }, oldest first) at `time`, held at either end
+export const interpolate = (samples, time) => {
+  const last = samples[samples.length - 1];
+  if (time >= last.time) return { x: last.x, y: last.y };
+  for (let i = samples.length - 1; i > 0; i--) {
+    const a = samples[i - 1];
+    const b = samples[i];
+    if (time >= a.time) {
+      const t = (time - a.time) / (b.time - a.time || 1);
+      return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+    }
+  }
+  return { x: samples[0].x, y: samples[0].y };
+};
+
+// Turns the patches each cursor sends into positions to draw
+export const createCursorTracker = () => {
+  const cursors = new Map(); // id -> { x, y, tool, samples }
+
+  return {
+    // Merges a cursor-updated message received at `time`. True when the cursor became
+    // drawable or changed tool, i.e. when its label needs drawing again.
+    receive({ id, ...patch }, time) {
+      const previous = cursors.get(id) || { x: undefined, y: undefined, tool: null, samples: [] };
+      const x = patch.x ?? previous.x;
+      const y = patch.y ?? previous.y;
+      const tool = 'tool' in patch ? patch.tool : previous.tool;
+      const moved = ('x' in patch || 'y' in patch) && x !== undefined && y !== undefined;
+      const samples = moved ? [...previous.samples, { time, x, y }].slice(-MAX_SAMPLES) : previous.samples;
+      cursors.set(id, { x, y, tool, samples });
+      return samples.length > 0 && (!previous.samples.length || tool !== previous.tool);
+    },
+    remove(id) {
+      cursors.delete(id);
+    },
+    clear() {
+      cursors.clear();
+    },
+    tool(id) {
+      return cursors.get(id)?.tool ?? null;
+    },
+    // Where the cursor is drawn at `time`, or null before its first full sample
+    position(id, time) {
+      const cursor = cursors.get(id);
+      return cursor?.samples.length ? interpolate(cursor.samples, time - INTERPOLATION_DELAY) : null;
+    }
+  };
+};
+
+// Publish/subscribe for messages that shouldn't re-render whoever passes them on
+export const createChannel = () => {
+  const listeners = new Set();
+  return {
+    publish: message => listeners.forEach(listener => listener(message)),
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
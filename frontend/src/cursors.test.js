@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { INTERPOLATION_DELAY, createChannel, createCursorTracker, cursorPatch, cursorSample, interpolate } from './cursors';
+
+describe('cursors', () => {
+  it('sends only what changed since the last send', () => {
+    const sent = cursorSample({ x: 10.04, y: 20 }, 'pen');
+
+    expect(sent).toEqual({ x: 10, y: 20, tool: 'pen' });
+    expect(cursorPatch(null, sent)).toEqual(sent);
+    expect(cursorPatch(sent, cursorSample({ x: 10, y: 25.26 }, 'pen'))).toEqual({ y: 25.3 });
+    expect(cursorPatch(sent, cursorSample({ x: 10.01, y: 20 }, 'pen'))).toBeNull();
+  });
+
+  it('glides between samples and holds at either end', () => {
+    const samples = [{ time: 0, x: 0, y: 0 }, { time: 50, x: 10, y: 20 }, { time: 100, x: 10, y: 40 }];
+
+    expect(interpolate(samples, -20)).toEqual({ x: 0, y: 0 });
+    expect(interpolate(samples, 25)).toEqual({ x: 5, y: 10 });
+    expect(interpolate(samples, 75)).toEqual({ x: 10, y: 30 });
+    expect(interpolate(samples, 500)).toEqual({ x: 10, y: 40 });
+  });
+
+  it('merges patches into cursors drawn a little behind real time', () => {
+    const tracker = createCursorTracker();
+
+    // Only a y: nothing to draw until the x is known
+    expect(tracker.receive({ id: 'a', y: 5 }, 0)).toBe(false);
+    expect(tracker.position('a', 0)).toBeNull();
+
+    expect(tracker.receive({ id: 'a', x: 0, tool: 'pen' }, 0)).toBe(true);
+    expect(tracker.receive({ id: 'a', x: 10 }, 50)).toBe(false);
+    expect(tracker.position('a', 25 + INTERPOLATION_DELAY)).toEqual({ x: 5, y: 5 });
+
+    expect(tracker.receive({ id: 'a', tool: 'shape' }, 60)).toBe(true);
+    expect(tracker.tool('a')).toBe('shape');
+
+    tracker.remove('a');
+    expect(tracker.position('a', 100)).toBeNull();
+  });
+
+  it('delivers channel messages until unsubscribed', () => {
+    const channel = createChannel();
+    const received = [];
+    const unsubscribe = channel.subscribe(message => received.push(message));
+
+    channel.publish({ id: 'a' });
+    unsubscribe();
+    channel.publish({ id: 'b' });
+
+    expect(received).toEqual([{ id: 'a' }]);
+  });
+});
@@ -0,0 +1,41 @@
+// The pixel eraser cuts pen strokes along the path it was dragged over. A cut stroke is
+// removed and every piece left becomes a new stroke with its style and transform, taking
+// its place in any group, so a whole drag is one batch of ops and one undo step.
+import { elementOp } from './history';
+import { applyMatrix, invertMatrix, parentMap, worldMatrix } from './groups';
+import { eraseStroke } from './strokes';
+
+// How far around the pointer the eraser reaches, measured on screen so it feels the same
+// at every zoom; eraseOps wants it in board units
+export const ERASER_RADIUS = 10;
+
+// Ops erasing everything within `radius` of `path` (flat board points) from the strokes
+export const eraseOps = (board, path, radius, buildId) => {
+  const ops = [];
+  const replaced = {};
+  board.lines.forEach((line) => {
+    if (!line.points.length) return;
+    // The path in the stroke's own coordinates, where its width is measured too
+    const matrix = worldMatrix(board, line);
+    const inverse = invertMatrix(matrix);
+    const local = [];
+    for (let i = 0; i < path.length; i += 2) {
+      const point = applyMatrix(inverse, path[i], path[i + 1]);
+      local.push(point.x, point.y);
+    }
+    const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2])) || 1;
+    const pieces = eraseStroke(line, local, radius / scale + (line.strokeWidth || 0) / 2);
+    if (pieces.length === 1 && pieces[0].points === line.points) return;
+    const created = pieces.map(piece => ({ ...line, id: buildId(), ...piece }));
+    ops.push(elementOp('line', line, null), ...created.map(piece => elementOp('line', null, piece)));
+    replaced[line.id] = created.map(piece => piece.id);
+  });
+  const parents = parentMap(board.groups);
+  const groupIds = new Set(Object.keys(replaced).map(id => parents[id]).filter(Boolean));
+  (board.groups || []).filter(group => groupIds.has(group.id)).forEach((group) => {
+    const members = group.members.flatMap(id => replaced[id] || [id]);
+    // A group with every stroke erased goes too; nobody accepts a group with no members
+    ops.push(elementOp('group', group, members.length ? { ...group, members } : null));
+  });
+  return ops;
+};
@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { applyOps } from './history';
+import { eraseOps } from './eraser';
+
+let nextId = 0;
+const buildId = () => `piece-${++nextId}`;
+
+describe('pixel eraser', () => {
+  it('replaces a cut stroke with its pieces, keeping style and group membership', () => {
+    nextId = 0;
+    const line = { id: 'l1', points: [0, 0, 100, 0], color: '#1a1a1a', strokeWidth: 2, x: 10, y: 10, z: 3 };
+    const board = {
+      lines: [line, { id: 'l2', points: [0, 200, 100, 200], color: '#1a1a1a', strokeWidth: 2 }],
+      shapes: [],
+      images: [],
+      texts: [],
+      groups: [{ id: 'g1', members: ['s1', 'l1'], x: 0, y: 0 }],
+      connectors: []
+    };
+
+    const ops = eraseOps(board, [60, -10, 60, 30], 4, buildId);
+    const next = applyOps(board, ops).board;
+
+    expect(next.lines.map(l => l.id)).toEqual(['l2', 'piece-1', 'piece-2']);
+    expect(next.lines[1]).toMatchObject({ color: '#1a1a1a', strokeWidth: 2, x: 10, y: 10, z: 3 });
+    expect(next.lines[1].points[2]).toBeLessThan(45);
+    expect(next.lines[2].points[0]).toBeGreaterThan(55);
+    expect(next.groups[0].members).toEqual(['s1', 'piece-1', 'piece-2']);
+  });
+
+  it('removes a group whose strokes are all erased', () => {
+    const board = {
+      lines: [
+        { id: 'l1', points: [0, 0, 10, 0], strokeWidth: 2 },
+        { id: 'l2', points: [0, 5, 10, 5], strokeWidth: 2 }
+      ],
+      shapes: [],
+      images: [],
+      texts: [],
+      groups: [{ id: 'g1', members: ['l1', 'l2'], x: 0, y: 0 }],
+      connectors: []
+    };
+
+    const ops = eraseOps(board, [-10, 2, 20, 2], 10, buildId);
+    const next = applyOps(board, ops).board;
+
+    expect(next.lines).toEqual([]);
+    expect(next.groups).toEqual([]);
+    expect(ops).toContainEqual(expect.objectContaining({ kind: 'group', id: 'g1', after: null }));
+  });
+
+  it('does nothing where there is no stroke', () => {
+    const board = { lines: [{ id: 'l1', points: [0, 0, 10, 0], strokeWidth: 2 }], shapes: [], images: [], texts: [], groups: [], connectors: [] };
+
+    expect(eraseOps(board, [50, 50, 60, 60], 4, buildId)).toEqual([]);
+  });
+});
@@ -0,0 +1,142 @@
+// Groups are elements of kind `group`: { id, members, x, y, scaleX, scaleY, rotation }.
+// Members (elements or other groups) keep their own transform, expressed inside the
+// group's. Membership lives only on the group, so a member removed by someone else just
+// leaves a dangling id that everything here skips.
+import { elementOp } from './history';
+
+// memberId -> id of the group holding it; the first group wins if two claim one element
+export const parentMap = (groups = []) => {
+  const parents = {};
+  groups.forEach(group => group.members.forEach((id) => {
+    if (!(id in parents) && id !== group.id) parents[id] = group.id;
+  }));
+  return parents;
+};
+
+// What a click on `id` selects: its outermost group, or the child of the group drilled into
+export const selectableAncestor = (id, parents, focusId = null) => {
+  let current = id;
+  const seen = new Set([current]);
+  while (parents[current] && parents[current] !== focusId && !seen.has(parents[current])) {
+    current = parents[current];
+    seen.add(current);
+  }
+  return current;
+};
+
+// Every id nested under the given ids, the ids themselves included
+export const withDescendants = (ids, groups = []) => {
+  const byId = Object.fromEntries(groups.map(group => [group.id, group]));
+  const result = new Set();
+  const visit = (id) => {
+    if (result.has(id)) return;
+    result.add(id);
+    byId[id]?.members.forEach(visit);
+  };
+  ids.forEach(visit);
+  return [...result];
+};
+
+// 2D affine matrices as [a, b, c, d, e, f], the layout Konva.Transform uses
+const toMatrix = ({ x = 0, y = 0, rotation = 0, scaleX = 1, scaleY = 1 }) => {
+  const angle = (rotation * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return [cos * scaleX, sin * scaleX, -sin * scaleY, cos * scaleY, x, y];
+};
+
+export const multiplyMatrices = (m, n) => [
+  m[0] * n[0] + m[2] * n[1],
+  m[1] * n[0] + m[3] * n[1],
+  m[0] * n[2] + m[2] * n[3],
+  m[1] * n[2] + m[3] * n[3],
+  m[0] * n[4] + m[2] * n[5] + m[4],
+  m[1] * n[4] + m[3] * n[5] + m[5]
+];
+
+// Same decomposition as Konva.Transform#decompose. Elements have no skew, so a
+// rotated group with non-uniform scale loses its shear when flattened.
+const decompose = ([a, b, c, d, e, f]) => {
+  const r = Math.hypot(a, b);
+  const rotation = r ? (b > 0 ? Math.acos(a / r) : -Math.acos(a / r)) : 0;
+  return { x: e, y: f, rotation: (rotation * 180) / Math.PI, scaleX: r, scaleY: r ? (a * d - b * c) / r : 0 };
+};
+
+// The child's transform once its parent group is dissolved
+export const composeTransform = (parent, child) => decompose(multiplyMatrices(toMatrix(parent), toMatrix(child)));
+
+export const applyMatrix = ([a, b, c, d, e, f], x, y) => ({ x: a * x + c * y + e, y: b * x + d * y + f });
+
+export const invertMatrix = ([a, b, c, d, e, f]) => {
+  const det = a * d - b * c || 1;
+  return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+};
+
+const findIn = (board, id) => {
+  for (const [key, list] of Object.entries(board)) {
+    const element = list.find(e => e.id === id);
+    if (element) return { kind: key.slice(0, -1), element };
+  }
+  return null;
+};
+
+// Maps an element's own coordinates to the board, through every group it sits in
+export const worldMatrix = (board, element) => {
+  const parents = parentMap(board.groups);
+  let matrix = toMatrix(element);
+  const seen = new Set([element.id]);
+  for (let current = parents[element.id]; current && !seen.has(current); current = parents[current]) {
+    seen.add(current);
+    const group = findIn(board, current);
+    if (!group) break;
+    matrix = multiplyMatrices(toMatrix(group.element), matrix);
+  }
+  return matrix;
+};
+
+// Groups sibling elements. Returns the ops and the new group's id, or null when the
+// ids don't share a parent.
+export const groupOps = (board, ids, buildId) => {
+  const parents = parentMap(board.groups);
+  const parentId = parents[ids[0]] ?? null;
+  if (ids.length < 2 || ids.some(id => (parents[id] ?? null) !== parentId || !findIn(board, id))) return null;
+
+  // The group takes the stacking slot of its topmost member
+  const z = Math.max(...ids.map(id => findIn(board, id).element.z ?? 0));
+  const group = { id: buildId(), members: ids, x: 0, y: 0, scaleX: 1, scaleY: 1, rotation: 0, z };
+  const ops = [elementOp('group', null, group)];
+  const parent = parentId && findIn(board, parentId).element;
+  if (parent) {
+    // The new group takes the place of its first member in the parent
+    const first = parent.members.find(id => ids.includes(id));
+    const members = parent.members.flatMap((id) => {
+      if (id === first) return [group.id];
+      return ids.includes(id) ? [] : [id];
+    });
+    ops.push(elementOp('group', parent, { ...parent, members }));
+  }
+  return { ops, id: group.id };
+};
+
+// Dissolves a group, folding its transform into each member
+export const ungroupOps = (board, groupId) => {
+  const found = findIn(board, groupId);
+  if (!found || found.kind !== 'group') return null;
+  const group = found.element;
+  const ops = [];
+  const members = [];
+  group.members.forEach((id) => {
+    const member = findIn(board, id);
+    if (!member) return;
+    members.push(id);
+    ops.push(elementOp(member.kind, member.element, { ...member.element, ...composeTransform(group, member.element) }));
+  });
+  ops.push(elementOp('group', group, null));
+
+  const parentId = parentMap(board.groups)[groupId];
+  const parent = parentId && findIn(board, parentId).element;
+  if (parent) {
+    ops.push(elementOp('group', parent, { ...parent, members: parent.members.flatMap(id => (id === groupId ? members : [id])) }));
+  }
+  return { ops, ids: members };
+};
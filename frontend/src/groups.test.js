@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { applyOps } from './history';
+import { composeTransform, groupOps, parentMap, selectableAncestor, ungroupOps, withDescendants } from './groups';
+
+const board = {
+  lines: [{ id: 'l1', points: [0, 0, 10, 10], x: 0, y: 0 }],
+  shapes: [
+    { id: 's1', type: 'rect', x: 10, y: 0, width: 20, height: 20 },
+    { id: 's2', type: 'circle', x: 50, y: 50, radius: 5 }
+  ],
+  images: [],
+  texts: [],
+  groups: [
+    { id: 'outer', members: ['inner', 's2'], x: 100, y: 0, scaleX: 1, scaleY: 1, rotation: 0 },
+    { id: 'inner', members: ['s1', 'l1'], x: 0, y: 0, scaleX: 1, scaleY: 1, rotation: 0 }
+  ]
+};
+
+let next = 0;
+const buildId = () => `new-${++next}`;
+
+describe('groups', () => {
+  it('selects the outermost group unless drilled in', () => {
+    const parents = parentMap(board.groups);
+
+    expect(selectableAncestor('s1', parents)).toBe('outer');
+    expect(selectableAncestor('s1', parents, 'outer')).toBe('inner');
+    expect(selectableAncestor('s1', parents, 'inner')).toBe('s1');
+    expect(selectableAncestor('l1', parents, 'unrelated')).toBe('outer');
+  });
+
+  it('collects nested members', () => {
+    expect(withDescendants(['outer'], board.groups).sort()).toEqual(['inner', 'l1', 'outer', 's1', 's2']);
+  });
+
+  it('groups siblings in place of the first one inside their parent', () => {
+    const { ops, id } = groupOps(board, ['s2', 'inner'], buildId);
+    const result = applyOps(board, ops).board;
+
+    expect(result.groups.find(g => g.id === 'outer').members).toEqual([id]);
+    expect(result.groups.find(g => g.id === id).members).toEqual(['s2', 'inner']);
+    expect(groupOps(board, ['s1', 's2'], buildId)).toBeNull();
+  });
+
+  it('keeps members where they are on screen when ungrouping', () => {
+    const rotated = { ...board, groups: [{ id: 'g', members: ['s1'], x: 100, y: 50, scaleX: 2, scaleY: 2, rotation: 90 }] };
+
+    const { ops, ids } = ungroupOps(rotated, 'g');
+    const result = applyOps(rotated, ops).board;
+
+    expect(ids).toEqual(['s1']);
+    expect(result.groups).toEqual([]);
+    const shape = result.shapes.find(s => s.id === 's1');
+    expect(shape.x).toBeCloseTo(100);
+    expect(shape.y).toBeCloseTo(70);
+    expect(shape.rotation).toBeCloseTo(90);
+    expect(shape.scaleX).toBeCloseTo(2);
+    expect(shape.scaleY).toBeCloseTo(2);
+  });
+
+  it('hands members back to the parent group', () => {
+    const { ops } = ungroupOps(board, 'inner');
+
+    expect(applyOps(board, ops).board.groups).toEqual([{ ...board.groups[0], members: ['s1', 'l1', 's2'] }]);
+  });
+
+  it('composes transforms like nested Konva nodes', () => {
+    const composed = composeTransform({ x: 10, y: 0, rotation: 180 }, { x: 5, y: 5, rotation: 45, scaleX: 3, scaleY: 3 });
+
+    expect(composed.x).toBeCloseTo(5);
+    expect(composed.y).toBeCloseTo(-5);
+    expect(composed.rotation).toBeCloseTo(-135);
+    expect(composed.scaleX).toBeCloseTo(3);
+  });
+});
@@ -0,0 +1,79 @@
+// Per-user undo/redo built from element operations instead of board snapshots.
+// An op is { kind, id, before, after } where `kind` is line/shape/image/text/group/connector
+// and `before`/`after` are the element before and after the change (null = absent).
+// Undoing only re-applies this user's own ops, so collaborators' work survives.
+
+const HISTORY_LIMIT = 100;
+
+export const createHistory = () => ({ undoStack: [], redoStack: [] });
+
+export const elementOp = (kind, before, after) => ({ kind, id: (after || before).id, before, after });
+
+export const pushEntry = (history, ops) => {
+  if (!ops.length) return history;
+  return { undoStack: [...history.undoStack, ops].slice(-HISTORY_LIMIT), redoStack: [] };
+};
+
+export const invertOps = (ops) => ops.slice().reverse().map(op => ({ ...op, before: op.after, after: op.before }));
+
+export const undoEntry = (history) => {
+  const entry = history.undoStack[history.undoStack.length - 1];
+  if (!entry) return { history, ops: [] };
+  return {
+    history: { undoStack: history.undoStack.slice(0, -1), redoStack: [...history.redoStack, entry] },
+    ops: invertOps(entry)
+  };
+};
+
+export const redoEntry = (history) => {
+  const entry = history.redoStack[history.redoStack.length - 1];
+  if (!entry) return { history, ops: [] };
+  return {
+    history: { undoStack: [...history.undoStack, entry], redoStack: history.redoStack.slice(0, -1) },
+    ops: entry
+  };
+};
+
+const sameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+// Move only the properties this op changed, leaving whatever others edited since
+const patchElement = (current, from, to) => {
+  const next = { ...current };
+  const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+  keys.forEach((key) => {
+    if (sameValue(from[key], to[key])) return;
+    if (to[key] === undefined) delete next[key];
+    else next[key] = to[key];
+  });
+  return next;
+};
+
+// Applies ops to a { lines, shapes, images, texts, groups, connectors } board and returns
+// the new board plus the room events to publish. Ops that no longer make sense (updating
+// an element someone else removed, re-creating one that exists) are skipped. `stamp` tags
+// every written element with its sync version (see sync.js).
+export const applyOps = (board, ops, stamp = element => element) => {
+  let next = board;
+  const events = [];
+  ops.forEach((op) => {
+    const key = `${op.kind}s`;
+    const list = next[key];
+    const current = list.find(e => e.id === op.id);
+    if (!op.after) {
+      if (!current) return;
+      next = { ...next, [key]: list.filter(e => e.id !== op.id) };
+      events.push({ event: `${op.kind}-removed`, payload: stamp({ id: op.id }) });
+    } else if (!op.before) {
+      if (current) return;
+      const created = stamp(op.after);
+      next = { ...next, [key]: [...list, created] };
+      events.push({ event: `${op.kind}-created`, payload: created });
+    } else {
+      if (!current) return;
+      const updated = stamp(patchElement(current, op.before, op.after));
+      next = { ...next, [key]: list.map(e => (e.id === op.id ? updated : e)) };
+      events.push({ event: `${op.kind}-updated`, payload: updated });
+    }
+  });
+  return { board: next, events };
+};
@@ -0,0 +1,125 @@
+import { describe, expect, it } from 'vitest';
+import { applyOps, createHistory, elementOp, pushEntry, redoEntry, undoEntry } from './history';
+
+const emptyBoard = () => ({ lines: [], shapes: [], images: [], texts: [] });
+
+// What every other participant does with a published event
+const receive = (board, { event, payload }) => {
+  const [kind, action] = event.split('-');
+  const key = `${kind}s`;
+  if (action === 'created') return { ...board, [key]: [...board[key], payload] };
+  if (action === 'updated') return { ...board, [key]: board[key].map(e => (e.id === payload.id ? payload : e)) };
+  return { ...board, [key]: board[key].filter(e => e.id !== payload.id) };
+};
+
+// Two clients sharing a room: local ops are applied and broadcast to the other side
+const createRoom = () => {
+  const clients = { a: { board: emptyBoard(), history: createHistory() }, b: { board: emptyBoard(), history: createHistory() } };
+  const broadcast = (from, events) => {
+    Object.entries(clients).forEach(([name, client]) => {
+      if (name !== from) events.forEach((e) => { client.board = receive(client.board, e); });
+    });
+  };
+  const edit = (name, ops) => {
+    const client = clients[name];
+    const { board, events } = applyOps(client.board, ops);
+    client.board = board;
+    client.history = pushEntry(client.history, ops);
+    broadcast(name, events);
+  };
+  const step = (name, fn) => {
+    const client = clients[name];
+    const { history, ops } = fn(client.history);
+    const { board, events } = applyOps(client.board, ops);
+    client.history = history;
+    client.board = board;
+    broadcast(name, events);
+    return events;
+  };
+  return { clients, edit, undo: name => step(name, undoEntry), redo: name => step(name, redoEntry) };
+};
+
+const line = (id, extra = {}) => ({ id, points: [0, 0, 10, 10], color: '#5d5dff', ...extra });
+const rect = (id, extra = {}) => ({ id, type: 'rect', x: 0, y: 0, width: 40, height: 20, color: '#5d5dff', ...extra });
+
+describe('operation-based history', () => {
+  it('undo only removes the local user\'s own stroke', () => {
+    const room = createRoom();
+    room.edit('a', [elementOp('line', null, line('a1'))]);
+    room.edit('b', [elementOp('line', null, line('b1'))]);
+    room.edit('a', [elementOp('line', null, line('a2'))]);
+
+    const events = room.undo('a');
+
+    expect(events).toEqual([{ event: 'line-removed', payload: { id: 'a2' } }]);
+    room.undo('a');
+    expect(room.clients.a.board.lines.map(l => l.id)).toEqual(['b1']);
+    expect(room.clients.b.board.lines.map(l => l.id)).toEqual(['b1']);
+  });
+
+  it('undoing an update restores only the properties that user changed', () => {
+    const room = createRoom();
+    const original = rect('r1');
+    room.edit('a', [elementOp('shape', null, original)]);
+    room.edit('b', [elementOp('shape', original, { ...original, x: 200 })]);
+    const moved = room.clients.a.board.shapes[0];
+    room.edit('a', [elementOp('shape', moved, { ...moved, color: '#dc2626' })]);
+
+    room.undo('a');
+
+    const expected = { ...original, x: 200 };
+    expect(room.clients.a.board.shapes).toEqual([expected]);
+    expect(room.clients.b.board.shapes).toEqual([expected]);
+  });
+
+  it('undo and redo of a removal re-create and remove the element again', () => {
+    const room = createRoom();
+    const text = { id: 't1', content: 'hello', x: 5, y: 5 };
+    room.edit('b', [elementOp('text', null, text)]);
+    room.edit('a', [elementOp('text', text, null)]);
+
+    room.undo('a');
+    expect(room.clients.b.board.texts).toEqual([text]);
+
+    room.redo('a');
+    expect(room.clients.a.board.texts).toEqual([]);
+    expect(room.clients.b.board.texts).toEqual([]);
+  });
+
+  it('skips ops on elements another participant has since removed', () => {
+    const room = createRoom();
+    const shape = rect('r1');
+    room.edit('a', [elementOp('shape', null, shape)]);
+    room.edit('a', [elementOp('shape', shape, { ...shape, x: 50 })]);
+    room.edit('b', [elementOp('shape', room.clients.b.board.shapes[0], null)]);
+
+    expect(room.undo('a')).toEqual([]);
+    expect(room.undo('a')).toEqual([]);
+    expect(room.clients.a.board.shapes).toEqual([]);
+  });
+
+  it('reverts a batched entry as one step', () => {
+    const room = createRoom();
+    room.edit('b', [elementOp('line', null, line('b1'))]);
+    room.edit('a', [elementOp('line', null, line('a1')), elementOp('image', null, { id: 'i1', src: 'data:' })]);
+
+    const events = room.undo('a');
+
+    expect(events).toEqual([
+      { event: 'image-removed', payload: { id: 'i1' } },
+      { event: 'line-removed', payload: { id: 'a1' } }
+    ]);
+    expect(room.clients.b.board).toEqual({ ...emptyBoard(), lines: [line('b1')] });
+  });
+
+  it('drops the redo stack when a new edit is made', () => {
+    let history = pushEntry(createHistory(), [elementOp('line', null, line('a1'))]);
+    history = undoEntry(history).history;
+    expect(history.redoStack).toHaveLength(1);
+
+    history = pushEntry(history, [elementOp('line', null, line('a2'))]);
+
+    expect(history.redoStack).toHaveLength(0);
+    expect(redoEntry(history).ops).toEqual([]);
+  });
+});
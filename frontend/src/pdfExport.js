@@ -0,0 +1,104 @@
+// PDF export. The board is drawn through the SVG exporter and converted to PDF
+// vector content with svg2pdf, so nothing leaves the browser.
+import { exportArea, exportBoardSvg } from './svgExport';
+
+// Page sizes in points
+export const PAGE_SIZES = {
+  a4: { label: 'A4', width: 595.28, height: 841.89 },
+  letter: { label: 'Letter', width: 612, height: 792 }
+};
+
+const PAGE_MARGIN = 36;
+// CSS pixels to points, so tiled pages print the board at its on-screen size
+const TILE_SCALE = 0.75;
+// Boards that would need more pages at print size are printed smaller
+export const MAX_TILE_PAGES = 64;
+
+const orient = (size, landscape) => (landscape
+  ? { width: Math.max(size.width, size.height), height: Math.min(size.width, size.height) }
+  : { width: Math.min(size.width, size.height), height: Math.max(size.width, size.height) });
+
+// The largest scale, up to print size, that tiles the board onto at most MAX_TILE_PAGES
+// pages, and the columns and rows of tiles it takes
+const tileGrid = (area, contentWidth, contentHeight) => {
+  const columns = Math.ceil((area.width * TILE_SCALE) / contentWidth);
+  const rows = Math.ceil((area.height * TILE_SCALE) / contentHeight);
+  if (columns * rows <= MAX_TILE_PAGES) return { scale: TILE_SCALE, columns, rows };
+  let best = { scale: 0 };
+  for (let c = 1; c <= MAX_TILE_PAGES; c++) {
+    const r = Math.floor(MAX_TILE_PAGES / c);
+    const scale = Math.min((c * contentWidth) / area.width, (r * contentHeight) / area.height);
+    if (scale > best.scale) best = { scale, columns: c, rows: r };
+  }
+  // The scale is set by one side, which may leave the other side's grid a page too long
+  return {
+    scale: best.scale,
+    columns: Math.min(best.columns, Math.ceil((area.width * best.scale) / contentWidth)),
+    rows: Math.min(best.rows, Math.ceil((area.height * best.scale) / contentHeight))
+  };
+};
+
+const tileCount = (area, page) => (
+  Math.ceil((area.width * TILE_SCALE) / (page.width - PAGE_MARGIN * 2))
+  * Math.ceil((area.height * TILE_SCALE) / (page.height - PAGE_MARGIN * 2))
+);
+
+// Where the board lands on each page. `x`/`y` place the board's top-left corner
+// relative to the page, `scale` is points per board pixel.
+export const pageLayout = (area, { pageSize = 'a4', layout = 'fit' } = {}) => {
+  const size = PAGE_SIZES[pageSize];
+  if (layout === 'fit') {
+    const page = orient(size, area.width > area.height);
+    const contentWidth = page.width - PAGE_MARGIN * 2;
+    const contentHeight = page.height - PAGE_MARGIN * 2;
+    const scale = Math.min(contentWidth / area.width, contentHeight / area.height);
+    return {
+      ...page,
+      scale,
+      pages: [{
+        x: PAGE_MARGIN + (contentWidth - area.width * scale) / 2,
+        y: PAGE_MARGIN + (contentHeight - area.height * scale) / 2
+      }]
+    };
+  }
+
+  // Tiles keep the board at print size where they can; pick whichever orientation needs
+  // fewer pages
+  const portrait = orient(size, false);
+  const landscape = orient(size, true);
+  const page = tileCount(area, landscape) < tileCount(area, portrait) ? landscape : portrait;
+  const contentWidth = page.width - PAGE_MARGIN * 2;
+  const contentHeight = page.height - PAGE_MARGIN * 2;
+  const { scale, columns, rows } = tileGrid(area, contentWidth, contentHeight);
+  const pages = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      pages.push({ x: PAGE_MARGIN - column * contentWidth, y: PAGE_MARGIN - row * contentHeight });
+    }
+  }
+  return { ...page, scale, pages };
+};
+
+// Resolves to a jsPDF document; the caller decides whether to save or preview it
+export const exportBoardPdf = async (board, { viewport, darkMode, bounds = 'board', pageSize, layout, title, date = new Date() }) => {
+  const [{ jsPDF }, { svg2pdf }] = await Promise.all([import('jspdf'), import('svg2pdf.js')]);
+  const area = exportArea(board, { bounds, viewport });
+  const { width, height, scale, pages } = pageLayout(area, { pageSize, layout });
+  const svg = new DOMParser().parseFromString(exportBoardSvg(board, { bounds, viewport, darkMode }), 'image/svg+xml').documentElement;
+
+  const doc = new jsPDF({ unit: 'pt', format: [width, height], orientation: width > height ? 'landscape' : 'portrait' });
+  doc.setProperties({ title, subject: `Exported ${date.toLocaleString()}`, creator: 'Radical Board' });
+  doc.setCreationDate(date);
+
+  for (const [index, page] of pages.entries()) {
+    if (index > 0) doc.addPage([width, height], width > height ? 'landscape' : 'portrait');
+    // Clip to the margins so neighbouring tiles don't bleed into each other
+    doc.saveGraphicsState();
+    doc.rect(PAGE_MARGIN, PAGE_MARGIN, width - PAGE_MARGIN * 2, height - PAGE_MARGIN * 2, null);
+    doc.clip();
+    doc.discardPath();
+    await svg2pdf(svg, doc, { x: page.x, y: page.y, width: area.width * scale, height: area.height * scale });
+    doc.restoreGraphicsState();
+  }
+  return doc;
+};
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import { MAX_TILE_PAGES, PAGE_SIZES, pageLayout } from './pdfExport';
+
+describe('pdf page layout', () => {
+  it('fits a wide board onto one landscape page, centred', () => {
+    const layout = pageLayout({ x: -50, y: 0, width: 2000, height: 500 }, { pageSize: 'a4', layout: 'fit' });
+
+    expect(layout.width).toBe(PAGE_SIZES.a4.height);
+    expect(layout.pages).toHaveLength(1);
+    expect(layout.scale).toBeCloseTo((PAGE_SIZES.a4.height - 72) / 2000);
+    expect(layout.pages[0].x).toBeCloseTo(36);
+    expect(layout.pages[0].y).toBeGreaterThan(36);
+  });
+
+  it('tiles a large board across pages at print size', () => {
+    const layout = pageLayout({ x: 0, y: 0, width: 1000, height: 1600 }, { pageSize: 'letter', layout: 'tile' });
+
+    // 750pt × 1200pt of board on 540pt × 720pt of portrait page content
+    expect([layout.width, layout.height]).toEqual([612, 792]);
+    expect(layout.scale).toBe(0.75);
+    expect(layout.pages).toEqual([
+      { x: 36, y: 36 }, { x: -504, y: 36 },
+      { x: 36, y: -684 }, { x: -504, y: -684 }
+    ]);
+  });
+
+  it('turns tiles landscape when that needs fewer pages', () => {
+    const layout = pageLayout({ x: 0, y: 0, width: 1900, height: 700 }, { pageSize: 'letter', layout: 'tile' });
+
+    expect(layout.width).toBe(792);
+    expect(layout.pages).toHaveLength(2);
+  });
+
+  it('prints a huge board smaller rather than on thousands of pages', () => {
+    const area = { x: 0, y: 0, width: 200000, height: 90000 };
+    const layout = pageLayout(area, { pageSize: 'a4', layout: 'tile' });
+    const contentWidth = layout.width - 72;
+    const contentHeight = layout.height - 72;
+
+    expect(layout.pages.length).toBeLessThanOrEqual(MAX_TILE_PAGES);
+    expect(layout.scale).toBeLessThan(0.75);
+    // The tiles still cover the whole board
+    const last = layout.pages[layout.pages.length - 1];
+    expect(36 - last.x + contentWidth).toBeGreaterThanOrEqual(area.width * layout.scale - 1e-6);
+    expect(36 - last.y + contentHeight).toBeGreaterThanOrEqual(area.height * layout.scale - 1e-6);
+  });
+});
@@ -0,0 +1,56 @@
+// PNG export of the whole board or a selection, independent of the current pan/zoom.
+// Konva renders the region straight from the stage, so off-screen content is included.
+import { unionBounds } from './bounds';
+import { boardBackground } from './theme';
+import { toScreen } from './viewport';
+
+export const PIXEL_RATIOS = [1, 2, 3, 4];
+// Browsers refuse to allocate canvases much larger than this on a side
+const MAX_CANVAS_SIDE = 16384;
+
+// Turns board-space bounds into the stage.toCanvas() config for them.
+// `pixelRatio` is output pixels per board pixel, whatever the zoom level.
+export const captureRegion = (bounds, { padding = 0, pixelRatio = 2, viewport }) => {
+  const width = bounds.width + padding * 2;
+  const height = bounds.height + padding * 2;
+  const ratio = Math.min(pixelRatio, MAX_CANVAS_SIDE / width, MAX_CANVAS_SIDE / height);
+  return {
+    ...toScreen(viewport, { x: bounds.x - padding, y: bounds.y - padding }),
+    width: width * viewport.scale,
+    height: height * viewport.scale,
+    pixelRatio: ratio / viewport.scale,
+    outputWidth: Math.round(width * ratio),
+    outputHeight: Math.round(height * ratio)
+  };
+};
+
+// Renders the given element ids to a PNG data URL, or null when none of them are on the stage.
+// Selection handles and other people's cursors are hidden for the capture.
+export const renderStagePng = (stage, ids, { padding, pixelRatio, background, darkMode }) => {
+  const nodes = ids.map(id => stage.findOne(`#${id}`)).filter(Boolean);
+  const bounds = unionBounds(nodes.map(node => node.getClientRect({ relativeTo: stage })));
+  if (!bounds) return null;
+
+  const viewport = { x: stage.x(), y: stage.y(), scale: stage.scaleX() };
+  const { outputWidth, outputHeight, ...region } = captureRegion(bounds, { padding, pixelRatio, viewport });
+  const hidden = [...stage.find('Transformer'), ...stage.find('.presence')].filter(node => node.visible());
+  hidden.forEach(node => node.visible(false));
+  let canvas;
+  try {
+    canvas = stage.toCanvas(region);
+  } finally {
+    hidden.forEach(node => node.visible(true));
+  }
+
+  if (background === 'theme') {
+    const filled = document.createElement('canvas');
+    filled.width = canvas.width;
+    filled.height = canvas.height;
+    const context = filled.getContext('2d');
+    context.fillStyle = boardBackground(darkMode);
+    context.fillRect(0, 0, filled.width, filled.height);
+    context.drawImage(canvas, 0, 0);
+    canvas = filled;
+  }
+  return { dataURL: canvas.toDataURL('image/png'), width: outputWidth, height: outputHeight };
+};
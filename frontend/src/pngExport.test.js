@@ -0,0 +1,17 @@
+import { describe, expect, it } from 'vitest';
+import { captureRegion } from './pngExport';
+
+describe('png capture region', () => {
+  it('maps board bounds through the stage pan and zoom', () => {
+    const region = captureRegion({ x: 100, y: 50, width: 200, height: 100 }, { padding: 10, pixelRatio: 2, viewport: { x: -40, y: 20, scale: 0.5 } });
+
+    expect(region).toEqual({ x: 5, y: 40, width: 110, height: 60, pixelRatio: 4, outputWidth: 440, outputHeight: 240 });
+  });
+
+  it('lowers the pixel ratio for boards too large for one canvas', () => {
+    const region = captureRegion({ x: 0, y: 0, width: 20000, height: 1000 }, { pixelRatio: 3, viewport: { x: 0, y: 0, scale: 1 } });
+
+    expect(region.outputWidth).toBe(16384);
+    expect(region.pixelRatio).toBeLessThan(1);
+  });
+});
@@ -0,0 +1,27 @@
+// Who is in the room. Everyone joins under a display name and is shown in a colour
+// derived from an id their browser keeps, so they look the same every time they come back.
+// The server tracks members per connection and broadcasts the list on every change.
+
+export const MAX_NAME_LENGTH = 32;
+
+// Dark enough to carry white label text on either theme
+export const PRESENCE_COLORS = ['#e11d48', '#ea580c', '#ca8a04', '#16a34a', '#0d9488', '#0284c7', '#4f46e5', '#9333ea', '#db2777', '#65a30d'];
+
+export const presenceColor = (seed) => {
+  const hash = [...seed].reduce((h, c) => (h * 31 + c.charCodeAt(0)) >>> 0, 0);
+  return PRESENCE_COLORS[hash % PRESENCE_COLORS.length];
+};
+
+// Collapses whitespace and trims to what the server accepts; empty means no name yet
+export const cleanName = name => name.replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH).trim();
+
+export const initialsOf = name => name.split(' ').filter(Boolean).slice(0, 2).map(word => [...word][0].toUpperCase()).join('');
+
+// "Ada · Pen": who a cursor belongs to and what they are drawing with
+export const cursorLabel = (name, tool) => (tool ? `${name} · ${tool[0].toUpperCase()}${tool.slice(1)}` : name);
+
+// The header avatars: us first, then everyone else in join order, the rest counted
+export const avatarList = (members, selfId, max) => {
+  const ordered = [...members.filter(m => m.id === selfId), ...members.filter(m => m.id !== selfId)];
+  return { shown: ordered.slice(0, max), overflow: Math.max(0, ordered.length - max) };
+};
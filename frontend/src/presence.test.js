@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { MAX_NAME_LENGTH, PRESENCE_COLORS, avatarList, cleanName, cursorLabel, initialsOf, presenceColor } from './presence';
+
+describe('presence', () => {
+  it('gives the same seed the same colour every time', () => {
+    expect(PRESENCE_COLORS).toContain(presenceColor('1700000000000-abc123'));
+    expect(presenceColor('1700000000000-abc123')).toBe(presenceColor('1700000000000-abc123'));
+  });
+
+  it('cleans display names down to what the server accepts', () => {
+    expect(cleanName('  Ada   Lovelace \n')).toBe('Ada Lovelace');
+    expect(cleanName('   ')).toBe('');
+    expect(cleanName('x'.repeat(50))).toHaveLength(MAX_NAME_LENGTH);
+  });
+
+  it('labels avatars and cursors', () => {
+    expect(initialsOf('ada lovelace byron')).toBe('AL');
+    expect(initialsOf('Bo')).toBe('B');
+    expect(cursorLabel('Ada', 'pen')).toBe('Ada · Pen');
+    expect(cursorLabel('Ada', undefined)).toBe('Ada');
+  });
+
+  it('lists us first and counts the avatars that do not fit', () => {
+    const members = ['a', 'b', 'c', 'd'].map(id => ({ id, name: id, color: '#e11d48' }));
+
+    const { shown, overflow } = avatarList(members, 'c', 3);
+
+    expect(shown.map(m => m.id)).toEqual(['c', 'a', 'b']);
+    expect(overflow).toBe(1);
+  });
+});
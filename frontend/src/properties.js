@@ -0,0 +1,77 @@
+// Style properties: fill, stroke colour (`color`), stroke width, dash pattern, corner
+// radius and opacity, plus the text ones laid out by textLayout.js. Which kinds take
+// which property lives here, along with the ops the properties panel applies; elements
+// saved before these existed fall back to the values they were always drawn with.
+import { elementOp } from './history';
+import { withDescendants } from './groups';
+import { shapeType } from './shapes';
+import { TEXT_FONT_SIZE } from './textLayout';
+
+export const DASH_STYLES = ['solid', 'dashed', 'dotted'];
+
+const propertiesByKind = {
+  line: ['color', 'strokeWidth', 'dash', 'opacity'],
+  connector: ['color', 'strokeWidth', 'dash', 'opacity'],
+  shape: ['fill', 'color', 'strokeWidth', 'dash', 'opacity', 'cornerRadius'],
+  text: ['color', 'opacity', 'fontSize', 'fontFamily', 'bold', 'italic', 'align', 'background'],
+  image: ['opacity'],
+  group: []
+};
+
+// Corner radius only means something for shape types that have corners to round
+export const editableProperties = (kind, element) => propertiesByKind[kind]
+  .filter(key => key !== 'cornerRadius' || shapeType(element).rounded);
+
+// The defaults a new element of `kind` starts with. Corner radius comes from the shape type.
+export const styleFor = (kind, defaults) => Object.fromEntries(
+  propertiesByKind[kind].filter(key => key !== 'cornerRadius' && key in defaults).map(key => [key, defaults[key]])
+);
+
+// What elements saved before a property existed were drawn with
+const LEGACY_STYLE = {
+  fill: 'none',
+  strokeWidth: 2,
+  dash: 'solid',
+  opacity: 1,
+  cornerRadius: 2,
+  fontSize: TEXT_FONT_SIZE,
+  fontFamily: 'sans',
+  bold: false,
+  italic: false,
+  align: 'left',
+  background: 'none'
+};
+
+export const strokeWidthOf = element => element.strokeWidth ?? LEGACY_STYLE.strokeWidth;
+
+export const opacityOf = element => element.opacity ?? LEGACY_STYLE.opacity;
+
+// 'none' and a missing fill both leave the shape hollow
+export const fillOf = element => (element.fill && element.fill !== 'none' ? element.fill : null);
+
+// Konva `dash` / SVG `stroke-dasharray` for a stroke of `width`; dots need round caps
+export const dashPattern = (dash, width) => {
+  if (dash === 'dashed') return [width * 4, width * 3];
+  if (dash === 'dotted') return [0, width * 2.5];
+  return null;
+};
+
+// The elements the panel edits: the selection, with groups standing for their members
+export const styledElements = (board, ids) => {
+  const byId = {};
+  Object.entries(board).forEach(([key, list]) => list.forEach((element) => { byId[element.id] = { kind: key.slice(0, -1), element }; }));
+  return withDescendants(ids, board.groups).map(id => byId[id]).filter(item => item && item.kind !== 'group');
+};
+
+// The value the panel shows for `key`: that of the first styled element taking it
+export const sharedValue = (items, key) => {
+  const item = items.find(({ kind, element }) => editableProperties(kind, element).includes(key));
+  return item && (item.element[key] ?? LEGACY_STYLE[key]);
+};
+
+// Ops setting `patch` on the styled elements, skipping keys an element doesn't take
+export const propertyOps = (board, ids, patch) => styledElements(board, ids).flatMap(({ kind, element }) => {
+  const keys = editableProperties(kind, element).filter(key => key in patch && element[key] !== patch[key]);
+  if (!keys.length) return [];
+  return [elementOp(kind, element, { ...element, ...Object.fromEntries(keys.map(key => [key, patch[key]])) })];
+});
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { applyOps } from './history';
+import { dashPattern, editableProperties, propertyOps, sharedValue, styleFor, styledElements } from './properties';
+
+const board = {
+  lines: [{ id: 'l', points: [0, 0, 10, 10], color: '#1a1a1a', strokeWidth: 3 }],
+  shapes: [
+    { id: 'r', type: 'rect', x: 0, y: 0, width: 10, height: 10, color: '#5d5dff' },
+    { id: 'c', type: 'circle', x: 0, y: 0, radius: 5, color: '#5d5dff', fill: '#ea580c' }
+  ],
+  images: [{ id: 'i', src: 'data:', x: 0, y: 0, width: 10, height: 10 }],
+  texts: [],
+  groups: [{ id: 'g', members: ['l', 'c'] }],
+  connectors: []
+};
+
+describe('properties', () => {
+  it('offers corner radius only for shape types with corners', () => {
+    expect(editableProperties('shape', board.shapes[0])).toContain('cornerRadius');
+    expect(editableProperties('shape', board.shapes[1])).not.toContain('cornerRadius');
+    expect(editableProperties('image', board.images[0])).toEqual(['opacity']);
+  });
+
+  it('applies a patch to the selection, groups standing for their members', () => {
+    const ops = propertyOps(board, ['g', 'i'], { strokeWidth: 6, opacity: 0.5 });
+    const next = applyOps(board, ops).board;
+
+    expect(ops.map(op => op.id)).toEqual(['l', 'c', 'i']);
+    expect(next.lines[0]).toMatchObject({ strokeWidth: 6, opacity: 0.5 });
+    expect(next.shapes[1]).toMatchObject({ strokeWidth: 6, opacity: 0.5 });
+    expect(next.images[0]).toEqual({ ...board.images[0], opacity: 0.5 });
+  });
+
+  it('skips elements that already have the value', () => {
+    expect(propertyOps(board, ['l'], { strokeWidth: 3 })).toEqual([]);
+  });
+
+  it('shows what older elements were drawn with when a property is missing', () => {
+    const rect = styledElements(board, ['r']);
+
+    expect(sharedValue(rect, 'fill')).toBe('none');
+    expect(sharedValue(rect, 'strokeWidth')).toBe(2);
+    expect(sharedValue(rect, 'cornerRadius')).toBe(2);
+    expect(sharedValue(styledElements(board, ['i']), 'color')).toBeUndefined();
+  });
+
+  it('starts new elements with the defaults their kind takes', () => {
+    const defaults = { color: '#0d9488', fill: '#ffffff', strokeWidth: 5, dash: 'dashed', opacity: 0.8 };
+
+    expect(styleFor('line', defaults)).toEqual({ color: '#0d9488', strokeWidth: 5, dash: 'dashed', opacity: 0.8 });
+    expect(styleFor('text', defaults)).toEqual({ color: '#0d9488', opacity: 0.8 });
+  });
+
+  it('scales dash patterns with the stroke width', () => {
+    expect(dashPattern('dashed', 2)).toEqual([8, 6]);
+    expect(dashPattern('dotted', 2)).toEqual([0, 5]);
+    expect(dashPattern('solid', 2)).toBeNull();
+  });
+});
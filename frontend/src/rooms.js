@@ -0,0 +1,76 @@
+// Rooms and the lobby. The socket service creates rooms under ids nobody can guess and
+// describes them as { id, name, created, lastActivity, participants }; this browser
+// remembers the ones it has been in so the lobby can list them.
+
+export const roomsUrl = 'http://localhost:8080/api/rooms';
+export const MAX_ROOM_NAME_LENGTH = 64;
+export const MAX_RECENT_ROOMS = 10;
+const RECENT_ROOMS_KEY = 'recentRooms';
+
+// Most recently opened first; anything unreadable counts as nothing
+export const loadRecentRooms = (storage = localStorage) => {
+  try {
+    const rooms = JSON.parse(storage.getItem(RECENT_ROOMS_KEY));
+    return Array.isArray(rooms) ? rooms.filter(room => typeof room?.id === 'string') : [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveRecentRooms = (rooms, storage = localStorage) => {
+  storage.setItem(RECENT_ROOMS_KEY, JSON.stringify(rooms));
+};
+
+// Moves the room to the front, keeping its name for when the server can't be reached
+export const rememberRoom = (rooms, room) => [
+  { id: room.id, name: room.name },
+  ...rooms.filter(r => r.id !== room.id)
+].slice(0, MAX_RECENT_ROOMS);
+
+export const forgetRoom = (rooms, id) => rooms.filter(r => r.id !== id);
+
+// What someone typed to join: a room id, or a shared link with the id in it
+export const roomIdFrom = (input) => {
+  const text = input.trim();
+  try {
+    return new URL(text).searchParams.get('room') || '';
+  } catch {
+    return text;
+  }
+};
+
+// "just now", "5 min ago", "3 h ago", "2 d ago"
+export const timeAgo = (time, now = Date.now()) => {
+  const minutes = Math.floor((now - time) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 60 * 24) return `${Math.floor(minutes / 60)} h ago`;
+  return `${Math.floor(minutes / (60 * 24))} d ago`;
+};
+
+const request = async (path, options = {}) => {
+  const response = await fetch(`${roomsUrl}${path}`, {
+    ...options,
+    headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+  });
+  if (response.status === 204) return null;
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const error = new Error(body?.error || `The server answered ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return body;
+};
+
+export const createRoom = name => request('', { method: 'POST', body: JSON.stringify({ name }) });
+
+// The room, or null when there is no room with that id
+export const fetchRoom = id => request(`/${encodeURIComponent(id)}`).catch((error) => {
+  if (error.status === 404) return null;
+  throw error;
+});
+
+export const renameRoom = (id, name) => request(`/${encodeURIComponent(id)}`, { method: 'PATCH', body: JSON.stringify({ name }) });
+
+export const deleteRoom = id => request(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { MAX_RECENT_ROOMS, forgetRoom, loadRecentRooms, rememberRoom, roomIdFrom, saveRecentRooms, timeAgo } from './rooms';
+
+const memoryStorage = () => {
+  const items = {};
+  return { getItem: key => items[key] ?? null, setItem: (key, value) => { items[key] = value; } };
+};
+
+describe('rooms', () => {
+  it('remembers recent rooms, latest first and without repeats', () => {
+    let recent = rememberRoom([], { id: 'a', name: 'Retro', participants: 2 });
+    recent = rememberRoom(recent, { id: 'b', name: 'Planning' });
+    recent = rememberRoom(recent, { id: 'a', name: 'Retro 2' });
+
+    expect(recent).toEqual([{ id: 'a', name: 'Retro 2' }, { id: 'b', name: 'Planning' }]);
+    expect(forgetRoom(recent, 'a')).toEqual([{ id: 'b', name: 'Planning' }]);
+
+    const many = Array.from({ length: 15 }, (_, i) => ({ id: `r${i}`, name: `Room ${i}` })).reduce(rememberRoom, []);
+    expect(many).toHaveLength(MAX_RECENT_ROOMS);
+    expect(many[0].id).toBe('r14');
+  });
+
+  it('keeps recent rooms in storage and shrugs off anything unreadable', () => {
+    const storage = memoryStorage();
+    expect(loadRecentRooms(storage)).toEqual([]);
+
+    saveRecentRooms([{ id: 'a', name: 'Retro' }], storage);
+    expect(loadRecentRooms(storage)).toEqual([{ id: 'a', name: 'Retro' }]);
+
+    storage.setItem('recentRooms', '{not json');
+    expect(loadRecentRooms(storage)).toEqual([]);
+  });
+
+  it('finds the room id in a pasted link', () => {
+    expect(roomIdFrom('  kq3JX0bYl9m2Vt8cZr4aQw ')).toBe('kq3JX0bYl9m2Vt8cZr4aQw');
+    expect(roomIdFrom('https://board.example/?room=kq3JX0bYl9m2Vt8cZr4aQw')).toBe('kq3JX0bYl9m2Vt8cZr4aQw');
+  });
+
+  it('says how long ago something happened', () => {
+    const now = 10 * 24 * 60 * 60000;
+    expect(timeAgo(now - 20000, now)).toBe('just now');
+    expect(timeAgo(now - 5 * 60000, now)).toBe('5 min ago');
+    expect(timeAgo(now - 3 * 60 * 60000, now)).toBe('3 h ago');
+    expect(timeAgo(now - 2 * 24 * 60 * 60000, now)).toBe('2 d ago');
+  });
+});
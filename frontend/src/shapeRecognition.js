@@ -0,0 +1,89 @@
+// Snap to shape: recognizes a finished pen stroke as a rectangle, ellipse, straight line
+// or arrow so the pen can swap it for the clean element. Works on the stroke's flat
+// points; every tolerance is relative to the size of the stroke.
+import { shapeGeometry } from './shapes';
+
+// Strokes smaller than this are left alone, as are scribbles that fit nothing well
+const MIN_SIZE = 12;
+// Straight-line distance over path length for a stroke to count as a line
+const STRAIGHTNESS = 0.94;
+// How close the ends must come, relative to the stroke's size, to count as closed
+const CLOSED_GAP = 0.25;
+const FIT_TOLERANCE = 0.12;
+
+const pointAt = (points, i) => ({ x: points[i * 2], y: points[i * 2 + 1] });
+const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+const pathLength = (points, from, to) => {
+  let length = 0;
+  for (let i = from + 1; i <= to; i++) length += distance(pointAt(points, i - 1), pointAt(points, i));
+  return length;
+};
+
+const boxOf = (points) => {
+  const xs = points.filter((_, i) => i % 2 === 0);
+  const ys = points.filter((_, i) => i % 2 === 1);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+};
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const samplesOf = points => Array.from({ length: points.length / 2 }, (_, i) => pointAt(points, i));
+
+// How far the samples stray from an ellipse filling the box, as a fraction of its radii
+const ellipseError = (points, box) => {
+  const rx = box.width / 2 || 1;
+  const ry = box.height / 2 || 1;
+  return mean(samplesOf(points).map(({ x, y }) => Math.abs(Math.hypot((x - box.x - rx) / rx, (y - box.y - ry) / ry) - 1)));
+};
+
+// How far the samples stray from the box's edges, as a fraction of its half size
+const rectError = (points, box) => {
+  const half = Math.min(box.width, box.height) / 2 || 1;
+  return mean(samplesOf(points).map(({ x, y }) => Math.min(
+    Math.abs(x - box.x),
+    Math.abs(x - box.x - box.width),
+    Math.abs(y - box.y),
+    Math.abs(y - box.y - box.height)
+  ) / half));
+};
+
+// An arrow drawn in one go: a straight shaft out to the tip, then the head's wings
+// scribbled close around the tip
+const arrowTip = (points) => {
+  const count = points.length / 2;
+  const start = pointAt(points, 0);
+  let tip = 0;
+  for (let i = 1; i < count; i++) if (distance(start, pointAt(points, i)) > distance(start, pointAt(points, tip))) tip = i;
+  const shaft = distance(start, pointAt(points, tip));
+  if (tip === count - 1 || shaft < MIN_SIZE || shaft / pathLength(points, 0, tip) < STRAIGHTNESS) return null;
+  const head = pathLength(points, tip, count - 1);
+  const staysNear = samplesOf(points).slice(tip).every(point => distance(point, pointAt(points, tip)) <= shaft * 0.35);
+  return head >= shaft * 0.1 && staysNear ? pointAt(points, tip) : null;
+};
+
+// { kind: 'shape', type, geometry }, { kind: 'connector', points, endHead } or null
+export const recognizeStroke = (points) => {
+  const count = points.length / 2;
+  if (count < 2) return null;
+  const box = boxOf(points);
+  const size = Math.max(box.width, box.height);
+  if (size < MIN_SIZE) return null;
+  const start = pointAt(points, 0);
+  const end = pointAt(points, count - 1);
+  const length = pathLength(points, 0, count - 1);
+
+  if (distance(start, end) <= size * CLOSED_GAP && length > size * 2) {
+    const fits = [['ellipse', ellipseError(points, box)], ['rect', rectError(points, box)]].sort((a, b) => a[1] - b[1]);
+    const [type, error] = fits[0];
+    if (error > FIT_TOLERANCE) return null;
+    return { kind: 'shape', type, geometry: shapeGeometry(type, { x: box.x, y: box.y }, { x: box.x + box.width, y: box.y + box.height }) };
+  }
+  if (distance(start, end) / length >= STRAIGHTNESS) {
+    return { kind: 'connector', points: [start.x, start.y, end.x, end.y], endHead: 'none' };
+  }
+  const tip = arrowTip(points);
+  return tip ? { kind: 'connector', points: [start.x, start.y, tip.x, tip.y], endHead: 'arrow' } : null;
+};
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { recognizeStroke } from './shapeRecognition';
+
+// A slightly wobbly hand-drawn path through the given corners
+const through = (...corners) => corners.slice(1).flatMap((corner, c) => {
+  const from = corners[c];
+  return Array.from({ length: 10 }, (_, i) => {
+    const t = (i + 1) / 10;
+    const wobble = Math.sin((c * 10 + i) * 1.7) * 0.8;
+    return [from[0] + (corner[0] - from[0]) * t + wobble, from[1] + (corner[1] - from[1]) * t - wobble];
+  }).flat();
+});
+const stroke = (...corners) => [...corners[0], ...through(...corners)];
+
+describe('shape recognition', () => {
+  it('snaps a closed loop with corners to a rectangle', () => {
+    const result = recognizeStroke(stroke([10, 10], [110, 10], [110, 60], [10, 60], [12, 12]));
+
+    expect(result.kind).toBe('shape');
+    expect(result.type).toBe('rect');
+    expect(result.geometry.width).toBeCloseTo(100, -1);
+    expect(result.geometry.height).toBeCloseTo(50, -1);
+  });
+
+  it('snaps a round loop to an ellipse', () => {
+    const points = Array.from({ length: 40 }, (_, i) => {
+      const angle = (i / 39) * Math.PI * 2;
+      return [100 + Math.cos(angle) * 60, 50 + Math.sin(angle) * 30];
+    }).flat();
+    const result = recognizeStroke(points);
+
+    expect(result).toMatchObject({ kind: 'shape', type: 'ellipse' });
+    expect(result.geometry.x).toBeCloseTo(100, 0);
+    expect(result.geometry.y).toBeCloseTo(50, 0);
+    expect(result.geometry.radiusX).toBeCloseTo(60, 0);
+    expect(result.geometry.radiusY).toBeCloseTo(30, 0);
+  });
+
+  it('straightens a nearly straight stroke into a line', () => {
+    const result = recognizeStroke(stroke([0, 0], [100, 50]));
+
+    expect(result.kind).toBe('connector');
+    expect(result.endHead).toBe('none');
+    expect(result.points[0]).toBe(0);
+  });
+
+  it('turns a shaft with a head scribbled at its end into an arrow', () => {
+    const result = recognizeStroke(stroke([0, 0], [100, 0], [85, -10], [100, 0], [85, 10]));
+
+    expect(result).toMatchObject({ kind: 'connector', endHead: 'arrow' });
+    expect(result.points[2]).toBeCloseTo(100, -1);
+  });
+
+  it('leaves scribbles and dots as they are', () => {
+    expect(recognizeStroke(stroke([0, 0], [100, 0], [0, 40], [100, 80], [0, 120]))).toBeNull();
+    expect(recognizeStroke([5, 5, 6, 6])).toBeNull();
+  });
+});
@@ -0,0 +1,138 @@
+// Shape types. Each entry says how a drag creates the shape, its box, how the canvas
+// (a react-konva component name and props) and the SVG export draw it, and whether a
+// point hits it. Everything works in the shape's own coordinates: Konva puts the node
+// at (x, y) and applies rotation and scale on top, the same for every type. Adding a
+// type here is enough for the tools, exports, file checks and connectors to pick it up.
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+// The box dragged out from `start` to `end`. `regular` (Shift held) locks it to
+// `ratio` height per width, growing in the direction of the drag.
+const dragBox = (start, end, regular, ratio = 1) => {
+  let width = Math.abs(end.x - start.x);
+  let height = Math.abs(end.y - start.y);
+  if (regular) {
+    width = Math.max(width, height / ratio);
+    height = width * ratio;
+  }
+  return {
+    x: end.x < start.x ? start.x - width : start.x,
+    y: end.y < start.y ? start.y - height : start.y,
+    width,
+    height
+  };
+};
+
+const sizeCheck = shape => (isNumber(shape.width) && isNumber(shape.height) ? null : 'width and height must be numbers');
+const ownBox = shape => ({ x: 0, y: 0, width: shape.width, height: shape.height });
+const inBox = (shape, x, y) => x >= 0 && y >= 0 && x <= shape.width && y <= shape.height;
+
+// Corners of a polygon scaled into the shape's box, as a flat [x0, y0, x1, y1, ...] list
+const polygonTypes = {
+  triangle: () => [0.5, 0, 1, 1, 0, 1],
+  diamond: () => [0.5, 0, 1, 0.5, 0.5, 1, 0, 0.5],
+  // A regular polygon inscribed in the box, first corner at the top
+  polygon: (shape) => {
+    const sides = shape.sides || 6;
+    return Array.from({ length: sides }, (_, i) => {
+      const angle = -Math.PI / 2 + (i * 2 * Math.PI) / sides;
+      return [0.5 + Math.cos(angle) / 2, 0.5 + Math.sin(angle) / 2];
+    }).flat();
+  },
+  // Five points, the inner corners at half the radius
+  star: () => {
+    const corners = 10;
+    return Array.from({ length: corners }, (_, i) => {
+      const angle = -Math.PI / 2 + (i * Math.PI * 2) / corners;
+      const r = i % 2 ? 0.5 : 1;
+      return [0.5 + (Math.cos(angle) * r) / 2, 0.5 + (Math.sin(angle) * r) / 2];
+    }).flat();
+  }
+};
+
+export const polygonPoints = shape => polygonTypes[shape.type](shape).map((value, i) => value * (i % 2 ? shape.height : shape.width));
+
+const round = value => Math.round(value * 1000) / 1000;
+const pathData = (points) => {
+  const pairs = [];
+  for (let i = 0; i < points.length; i += 2) pairs.push(`${round(points[i])} ${round(points[i + 1])}`);
+  return `M${pairs.join(' L')} Z`;
+};
+
+// Even-odd ray cast
+const inPolygon = (points, x, y) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 2; i < points.length; j = i, i += 2) {
+    const [xi, yi, xj, yj] = [points[i], points[i + 1], points[j], points[j + 1]];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+const polygonType = (label, ratio = 1) => ({
+  label,
+  create: (start, end, regular) => dragBox(start, end, regular, ratio),
+  validate: sizeCheck,
+  box: ownBox,
+  konva: shape => ({ component: 'Path', props: { data: pathData(polygonPoints(shape)) } }),
+  svg: shape => ({ tag: 'path', attrs: { d: pathData(polygonPoints(shape)) } }),
+  contains: (shape, x, y) => inPolygon(polygonPoints(shape), x, y)
+});
+
+// Rectangles with an editable corner radius; `radius` is the default
+const roundedBox = (label, radius) => ({
+  label,
+  rounded: true,
+  create: (start, end, regular) => ({ ...dragBox(start, end, regular), cornerRadius: radius }),
+  validate: shape => sizeCheck(shape) || (isNumber(shape.cornerRadius ?? radius) ? null : 'cornerRadius must be a number'),
+  box: ownBox,
+  konva: shape => ({ component: 'Rect', props: { width: shape.width, height: shape.height, cornerRadius: shape.cornerRadius ?? radius } }),
+  // Like Konva, the radius never exceeds half the shorter side
+  svg: (shape) => {
+    const r = Math.min(shape.cornerRadius ?? radius, Math.abs(shape.width) / 2, Math.abs(shape.height) / 2);
+    return { tag: 'rect', attrs: { x: 0, y: 0, width: shape.width, height: shape.height, rx: r } };
+  },
+  contains: inBox
+});
+
+export const shapeTypes = {
+  rect: roundedBox('Rectangle', 2),
+  roundedRect: roundedBox('Rounded rectangle', 16),
+  // Centred on where the drag started
+  circle: {
+    label: 'Circle',
+    create: (start, end) => ({ x: start.x, y: start.y, radius: Math.hypot(end.x - start.x, end.y - start.y) }),
+    validate: shape => (isNumber(shape.radius) ? null : 'radius must be a number'),
+    box: shape => ({ x: -shape.radius, y: -shape.radius, width: shape.radius * 2, height: shape.radius * 2 }),
+    konva: shape => ({ component: 'Circle', props: { radius: shape.radius } }),
+    svg: shape => ({ tag: 'circle', attrs: { cx: 0, cy: 0, r: shape.radius } }),
+    contains: (shape, x, y) => Math.hypot(x, y) <= shape.radius
+  },
+  // Fills the dragged box; (x, y) is its centre so Konva's Ellipse needs no offset
+  ellipse: {
+    label: 'Ellipse',
+    create: (start, end, regular) => {
+      const box = dragBox(start, end, regular);
+      return { x: box.x + box.width / 2, y: box.y + box.height / 2, radiusX: box.width / 2, radiusY: box.height / 2 };
+    },
+    validate: shape => (isNumber(shape.radiusX) && isNumber(shape.radiusY) ? null : 'radiusX and radiusY must be numbers'),
+    box: shape => ({ x: -shape.radiusX, y: -shape.radiusY, width: shape.radiusX * 2, height: shape.radiusY * 2 }),
+    konva: shape => ({ component: 'Ellipse', props: { radiusX: shape.radiusX, radiusY: shape.radiusY } }),
+    svg: shape => ({ tag: 'ellipse', attrs: { cx: 0, cy: 0, rx: shape.radiusX, ry: shape.radiusY } }),
+    contains: (shape, x, y) => (x / shape.radiusX) ** 2 + (y / shape.radiusY) ** 2 <= 1
+  },
+  // Regular means equilateral
+  triangle: polygonType('Triangle', Math.sqrt(3) / 2),
+  diamond: polygonType('Diamond'),
+  polygon: polygonType('Hexagon'),
+  star: polygonType('Star')
+};
+
+// Unknown types (say, from a newer client) are handled as rectangles
+export const shapeType = shape => shapeTypes[shape.type] || shapeTypes.rect;
+
+// The geometry fields of a `type` shape dragged from `start` to `end`
+export const shapeGeometry = (type, start, end, regular = false) => shapeTypes[type].create(start, end, regular);
+
+// Whether a point in the shape's own coordinates is on or inside it
+export const shapeContains = (shape, x, y) => shapeType(shape).contains(shape, x, y);
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { polygonPoints, shapeContains, shapeGeometry, shapeTypes } from './shapes';
+
+const start = { x: 100, y: 100 };
+
+describe('shape types', () => {
+  it('drags boxes out in any direction', () => {
+    expect(shapeGeometry('rect', start, { x: 40, y: 130 })).toEqual({ x: 40, y: 100, width: 60, height: 30, cornerRadius: 2 });
+    expect(shapeGeometry('ellipse', start, { x: 40, y: 130 })).toEqual({ x: 70, y: 115, radiusX: 30, radiusY: 15 });
+    expect(shapeGeometry('circle', start, { x: 130, y: 140 })).toEqual({ x: 100, y: 100, radius: 50 });
+    expect(shapeGeometry('roundedRect', start, start)).toMatchObject({ width: 0, height: 0, cornerRadius: 16 });
+  });
+
+  it('keeps shapes regular while Shift is held', () => {
+    expect(shapeGeometry('rect', start, { x: 40, y: 130 }, true)).toEqual({ x: 40, y: 100, width: 60, height: 60, cornerRadius: 2 });
+    expect(shapeGeometry('ellipse', start, { x: 110, y: 160 }, true)).toMatchObject({ radiusX: 30, radiusY: 30 });
+
+    const triangle = { type: 'triangle', ...shapeGeometry('triangle', start, { x: 140, y: 110 }, true) };
+    const [ax, ay, bx, by, cx, cy] = polygonPoints(triangle);
+    const sides = [Math.hypot(bx - ax, by - ay), Math.hypot(cx - bx, cy - by), Math.hypot(ax - cx, ay - cy)];
+    expect(sides.map(side => Math.round(side * 1000) / 1000)).toEqual([40, 40, 40]);
+  });
+
+  it('hit-tests the outline rather than the box', () => {
+    const diamond = { type: 'diamond', width: 100, height: 100 };
+    const star = { type: 'star', width: 100, height: 100 };
+
+    expect(shapeContains(diamond, 50, 50)).toBe(true);
+    expect(shapeContains(diamond, 5, 5)).toBe(false);
+    expect(shapeContains(star, 50, 3)).toBe(true);
+    expect(shapeContains(star, 20, 20)).toBe(false);
+    expect(shapeContains({ type: 'ellipse', radiusX: 20, radiusY: 10 }, 15, 8)).toBe(false);
+  });
+
+  it('exports a polygon path through its corners', () => {
+    const hexagon = { type: 'polygon', width: 100, height: 100 };
+
+    expect(shapeTypes.polygon.svg(hexagon).attrs.d).toBe('M50 0 L93.301 25 L93.301 75 L50 100 L6.699 75 L6.699 25 Z');
+    expect(shapeTypes.roundedRect.svg({ width: 20, height: 60, cornerRadius: 16 }).attrs.rx).toBe(10);
+  });
+
+  it('explains missing geometry', () => {
+    expect(shapeTypes.ellipse.validate({ radiusX: 3 })).toBe('radiusX and radiusY must be numbers');
+    expect(shapeTypes.star.validate({ width: 10, height: 10 })).toBeNull();
+  });
+});
@@ -0,0 +1,138 @@
+// Pen stroke helpers. Points are flat [x0, y0, x1, y1, ...] arrays as Konva expects.
+
+const segmentDistance = (px, py, ax, ay, bx, by) => {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+};
+
+export const DEFAULT_TOLERANCE = 0.75;
+
+// Ramer–Douglas–Peucker: which points survive once those closer than `tolerance` to
+// the simplified path are dropped
+const keptPoints = (points, tolerance) => {
+  const count = points.length / 2;
+  const keep = new Uint8Array(count).fill(count <= 2 ? 1 : 0);
+  if (count <= 2) return keep;
+  keep[0] = 1;
+  keep[count - 1] = 1;
+  const stack = [[0, count - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const d = segmentDistance(points[i * 2], points[i * 2 + 1], points[first * 2], points[first * 2 + 1], points[last * 2], points[last * 2 + 1]);
+      if (d > maxDistance) { maxDistance = d; index = i; }
+    }
+    if (maxDistance > tolerance) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return keep;
+};
+
+export const simplifyPoints = (points, tolerance = DEFAULT_TOLERANCE) => {
+  const keep = keptPoints(points, tolerance);
+  return points.filter((_, i) => keep[i >> 1]);
+};
+
+// Pen strokes from a pressure-sensitive pointer carry one `pressures` entry (0..1) per
+// point. Strokes whose pressures don't line up with their points are drawn at full width.
+export const hasPressure = line => Array.isArray(line.pressures) && line.pressures.length * 2 === line.points.length;
+
+// Simplifies { points, pressures } keeping each surviving point's pressure
+export const simplifyStroke = (stroke, tolerance = DEFAULT_TOLERANCE) => {
+  const keep = keptPoints(stroke.points, tolerance);
+  const points = stroke.points.filter((_, i) => keep[i >> 1]);
+  return hasPressure(stroke) ? { points, pressures: stroke.pressures.filter((_, i) => keep[i]) } : { points };
+};
+
+// Width multiplier for a pressure. Devices without pressure report 0.5, which draws at
+// the chosen width.
+export const pressureScale = pressure => 0.25 + pressure * 1.5;
+
+// Closed outline of a pressure stroke, as flat points to fill: both sides offset along
+// the normal by half the width there, joined by round caps
+export const strokeOutline = (points, pressures, strokeWidth) => {
+  const count = points.length / 2;
+  const half = i => (strokeWidth * pressureScale(pressures[i])) / 2;
+  const at = i => ({ x: points[i * 2], y: points[i * 2 + 1] });
+  const cap = (center, r, from, steps = 6) => Array.from({ length: steps - 1 }, (_, k) => {
+    const angle = from - (Math.PI * (k + 1)) / steps;
+    return [center.x + r * Math.cos(angle), center.y + r * Math.sin(angle)];
+  }).flat();
+  if (count === 1) return [...cap(at(0), half(0), 0, 12), ...cap(at(0), half(0), Math.PI, 12)];
+  const left = [];
+  const right = [];
+  for (let i = 0; i < count; i++) {
+    const prev = at(Math.max(0, i - 1));
+    const next = at(Math.min(count - 1, i + 1));
+    const length = Math.hypot(next.x - prev.x, next.y - prev.y) || 1;
+    const nx = -(next.y - prev.y) / length;
+    const ny = (next.x - prev.x) / length;
+    const { x, y } = at(i);
+    left.push(x + nx * half(i), y + ny * half(i));
+    right.unshift(x - nx * half(i), y - ny * half(i));
+  }
+  const heading = (a, b) => Math.atan2(b.y - a.y, b.x - a.x);
+  const end = heading(at(count - 2), at(count - 1));
+  const start = heading(at(0), at(1));
+  // Caps sweep from one side over the stroke's end to the other
+  return [
+    ...left,
+    ...cap(at(count - 1), half(count - 1), end + Math.PI / 2),
+    ...right,
+    ...cap(at(0), half(0), start - Math.PI / 2)
+  ];
+};
+
+// Shortest distance from a point to a polyline given as flat points
+const pathDistance = (px, py, path) => {
+  if (path.length <= 2) return Math.hypot(px - path[0], py - path[1]);
+  let best = Infinity;
+  for (let i = 0; i + 3 < path.length; i += 2) {
+    best = Math.min(best, segmentDistance(px, py, path[i], path[i + 1], path[i + 2], path[i + 3]));
+  }
+  return best;
+};
+
+// Cuts away the parts of a stroke ({ points, pressures }) within `radius` of the eraser
+// `path` and returns the pieces left, each simplified again. Long segments are sampled
+// every `step` so an eraser crossing between two sparse points still cuts there. A
+// stroke the eraser missed comes back whole, as a single piece.
+export const eraseStroke = (stroke, path, radius, step = radius / 2) => {
+  const { points } = stroke;
+  const pressures = hasPressure(stroke) ? stroke.pressures : null;
+  const pieces = [];
+  let piece = { points: [], pressures: [] };
+  let touched = false;
+  const visit = (x, y, pressure) => {
+    if (pathDistance(x, y, path) <= radius) {
+      touched = true;
+      if (piece.points.length) pieces.push(piece);
+      piece = { points: [], pressures: [] };
+    } else {
+      piece.points.push(x, y);
+      piece.pressures.push(pressure);
+    }
+  };
+  visit(points[0], points[1], pressures?.[0]);
+  for (let i = 2; i < points.length; i += 2) {
+    const [ax, ay, bx, by] = [points[i - 2], points[i - 1], points[i], points[i + 1]];
+    const [pa, pb] = pressures ? [pressures[i / 2 - 1], pressures[i / 2]] : [];
+    const samples = Math.max(1, Math.ceil(Math.hypot(bx - ax, by - ay) / step));
+    for (let s = 1; s <= samples; s++) {
+      visit(ax + ((bx - ax) * s) / samples, ay + ((by - ay) * s) / samples, pressures ? pa + ((pb - pa) * s) / samples : undefined);
+    }
+  }
+  if (piece.points.length) pieces.push(piece);
+  if (!touched) return [pressures ? { points, pressures } : { points }];
+  // A lone sample left between two cuts is too small to see
+  return pieces
+    .filter(p => p.points.length >= 4)
+    .map(p => simplifyStroke(pressures ? p : { points: p.points }));
+};
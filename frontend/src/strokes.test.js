@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { eraseStroke, simplifyPoints, simplifyStroke, strokeOutline } from './strokes';
+
+describe('simplifyPoints', () => {
+  it('collapses collinear samples to the end points', () => {
+    expect(simplifyPoints([0, 0, 1, 1, 2, 2, 3, 3, 10, 10])).toEqual([0, 0, 10, 10]);
+  });
+
+  it('keeps corners that deviate more than the tolerance', () => {
+    expect(simplifyPoints([0, 0, 5, 0.2, 10, 0, 10, 5, 10, 10], 1)).toEqual([0, 0, 10, 0, 10, 10]);
+  });
+
+  it('leaves dots and single segments alone', () => {
+    expect(simplifyPoints([4, 4])).toEqual([4, 4]);
+    expect(simplifyPoints([0, 0, 3, 4])).toEqual([0, 0, 3, 4]);
+  });
+});
+
+describe('pressure strokes', () => {
+  it('keeps the pressure of every point that survives simplification', () => {
+    expect(simplifyStroke({ points: [0, 0, 1, 1, 2, 2, 10, 10], pressures: [0.2, 0.4, 0.6, 0.8] })).toEqual({ points: [0, 0, 10, 10], pressures: [0.2, 0.8] });
+    // Pressures that don't line up with the points are dropped
+    expect(simplifyStroke({ points: [0, 0, 1, 1, 10, 10], pressures: [0.5] })).toEqual({ points: [0, 0, 10, 10] });
+  });
+
+  it('outlines a stroke wider where the pressure is higher', () => {
+    const outline = strokeOutline([0, 0, 100, 0], [0, 1], 4);
+    const ys = outline.filter((_, i) => i % 2 === 1);
+
+    // Half widths: 4 * 0.25 / 2 at the start, 4 * 1.75 / 2 at the end
+    expect(outline.slice(0, 4)).toEqual([0, 0.5, 100, 3.5]);
+    expect(Math.max(...ys)).toBeCloseTo(3.5);
+    expect(Math.min(...ys)).toBeCloseTo(-3.5);
+  });
+});
+
+describe('eraseStroke', () => {
+  it('cuts a stroke in two where the eraser crosses it, even between sparse points', () => {
+    expect(eraseStroke({ points: [0, 0, 100, 0] }, [50, -20, 50, 20], 5, 1)).toEqual([{ points: [0, 0, 44, 0] }, { points: [56, 0, 100, 0] }]);
+  });
+
+  it('returns the stroke untouched when the eraser misses it', () => {
+    const points = [0, 0, 100, 0];
+
+    expect(eraseStroke({ points }, [50, 20], 5)[0].points).toBe(points);
+  });
+
+  it('leaves nothing of a stroke erased end to end', () => {
+    expect(eraseStroke({ points: [0, 0, 10, 0] }, [0, 0, 10, 0], 5)).toEqual([]);
+  });
+
+  it('interpolates pressures at the cut', () => {
+    const [first] = eraseStroke({ points: [0, 0, 100, 0], pressures: [0, 1] }, [50, -20, 50, 20], 5, 1);
+
+    expect(first).toEqual({ points: [0, 0, 44, 0], pressures: [0, 0.44] });
+  });
+});
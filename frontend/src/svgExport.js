@@ -0,0 +1,223 @@
+// Builds an SVG document from the board lists. Every element gets the same
+// translate · rotate · scale transform Konva applies, so the file lines up
+// with the canvas at any zoom.
+import { boardBounds } from './bounds';
+import { boardBackground, getAdaptiveColor } from './theme';
+import { parentMap } from './groups';
+import { sortByZ } from './zOrder';
+import { connectorHeads, routeConnector } from './connectors';
+import { shapeType } from './shapes';
+import { dashPattern, fillOf, opacityOf, strokeWidthOf } from './properties';
+import { hasPressure, strokeOutline } from './strokes';
+import { NOTE_RADIUS, textBox, textLayout, textLines } from './textLayout';
+import { visibleArea } from './viewport';
+
+const LINE_TENSION = 0.5;
+const BOARD_PADDING = 32;
+
+const num = value => String(Math.round(value * 1000) / 1000);
+
+export const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const attrs = map => Object.entries(map)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([name, value]) => ` ${name}="${escapeXml(typeof value === 'number' ? num(value) : value)}"`)
+  .join('');
+
+const dashArray = (dash, width) => dashPattern(dash, width)?.map(num).join(' ');
+
+// Only written when the element isn't fully opaque, as most aren't
+const opacityAttr = element => (opacityOf(element) === 1 ? undefined : opacityOf(element));
+
+const transformOf = (element) => {
+  const parts = [];
+  if (element.x || element.y) parts.push(`translate(${num(element.x || 0)} ${num(element.y || 0)})`);
+  if (element.rotation) parts.push(`rotate(${num(element.rotation)})`);
+  const scaleX = element.scaleX ?? 1;
+  const scaleY = element.scaleY ?? 1;
+  if (scaleX !== 1 || scaleY !== 1) parts.push(`scale(${num(scaleX)} ${num(scaleY)})`);
+  return parts.length ? parts.join(' ') : undefined;
+};
+
+// Same control points as Konva.Line with `tension`, see Konva's expandPoints
+const controlPoints = (x0, y0, x1, y1, x2, y2, tension) => {
+  const d01 = Math.hypot(x1 - x0, y1 - y0);
+  const d12 = Math.hypot(x2 - x1, y2 - y1);
+  const fa = (tension * d01) / (d01 + d12);
+  const fb = (tension * d12) / (d01 + d12);
+  return [x1 - fa * (x2 - x0), y1 - fa * (y2 - y0), x1 + fb * (x2 - x0), y1 + fb * (y2 - y0)];
+};
+
+const outlinePath = (points) => {
+  const p = points.map(num);
+  let d = `M${p[0]} ${p[1]}`;
+  for (let i = 2; i < p.length; i += 2) d += ` L${p[i]} ${p[i + 1]}`;
+  return `${d} Z`;
+};
+
+export const strokePath = (points, tension = LINE_TENSION) => {
+  const p = points.map(num);
+  let d = `M${p[0]} ${p[1]}`;
+  const tp = [];
+  for (let n = 2; tension && points.length > 4 && n < points.length - 2; n += 2) {
+    const cp = controlPoints(points[n - 2], points[n - 1], points[n], points[n + 1], points[n + 2], points[n + 3], tension);
+    if (Number.isNaN(cp[0])) continue;
+    tp.push(cp[0], cp[1], points[n], points[n + 1], cp[2], cp[3]);
+  }
+  if (!tp.length) {
+    for (let n = 2; n < points.length; n += 2) d += ` L${p[n]} ${p[n + 1]}`;
+    return d;
+  }
+  const t = tp.map(num);
+  d += ` Q${t[0]} ${t[1]} ${t[2]} ${t[3]}`;
+  for (let n = 4; n < t.length - 2; n += 6) {
+    d += ` C${t[n]} ${t[n + 1]} ${t[n + 2]} ${t[n + 3]} ${t[n + 4]} ${t[n + 5]}`;
+  }
+  d += ` Q${t[t.length - 2]} ${t[t.length - 1]} ${p[p.length - 2]} ${p[p.length - 1]}`;
+  return d;
+};
+
+const renderers = {
+  // Pressure strokes are filled outlines, as on the canvas
+  line: (line, darkMode) => (hasPressure(line) ? `<path${attrs({
+    d: outlinePath(strokeOutline(line.points, line.pressures, line.strokeWidth)),
+    transform: transformOf(line),
+    fill: getAdaptiveColor(line.color, darkMode),
+    opacity: 0.9 * opacityOf(line)
+  })} />` : `<path${attrs({
+    d: strokePath(line.points),
+    transform: transformOf(line),
+    fill: 'none',
+    stroke: getAdaptiveColor(line.color, darkMode),
+    'stroke-width': line.strokeWidth,
+    'stroke-dasharray': dashArray(line.dash, line.strokeWidth),
+    'stroke-linecap': 'round',
+    'stroke-linejoin': 'round',
+    opacity: 0.9 * opacityOf(line)
+  })} />`),
+  // Shapes use strokeScaleEnabled={false}, hence the non-scaling stroke
+  shape: (shape, darkMode) => {
+    const fill = fillOf(shape);
+    const stroke = {
+      fill: fill ? getAdaptiveColor(fill, darkMode) : 'none',
+      stroke: getAdaptiveColor(shape.color, darkMode),
+      'stroke-width': strokeWidthOf(shape),
+      'stroke-dasharray': dashArray(shape.dash, strokeWidthOf(shape)),
+      'stroke-linecap': shape.dash === 'dotted' ? 'round' : undefined,
+      'vector-effect': 'non-scaling-stroke',
+      opacity: opacityAttr(shape)
+    };
+    const { tag, attrs: geometry } = shapeType(shape).svg(shape);
+    return `<${tag}${attrs({ ...geometry, transform: transformOf(shape), ...stroke })} />`;
+  },
+  image: image => `<image${attrs({
+    href: image.src,
+    x: 0,
+    y: 0,
+    width: image.width,
+    height: image.height,
+    preserveAspectRatio: 'none',
+    transform: transformOf(image),
+    opacity: opacityAttr(image)
+  })} />`,
+  // Expects points already routed onto their anchors; heads are filled or open strokes
+  connector: (connector, darkMode) => {
+    const color = getAdaptiveColor(connector.color, darkMode);
+    const [x1, y1, x2, y2] = connector.points;
+    const heads = connectorHeads(connector, connector.points).map(({ d, filled }) => `<path${attrs({ d, fill: filled ? color : 'none' })} />`);
+    return `<g${attrs({
+      transform: transformOf(connector),
+      stroke: color,
+      'stroke-width': connector.strokeWidth,
+      'stroke-linecap': 'round',
+      'stroke-linejoin': 'round',
+      opacity: opacityAttr(connector)
+    })}><path${attrs({
+      d: `M${num(x1)} ${num(y1)} L${num(x2)} ${num(y2)}`,
+      fill: 'none',
+      'stroke-dasharray': dashArray(connector.dash, connector.strokeWidth)
+    })} />${heads.join('')}</g>`;
+  },
+  // Konva draws each line with a middle baseline, half a line height down. Notes keep
+  // their ink colour, which is chosen to read on the note rather than the board.
+  text: (text, darkMode) => {
+    const layout = textLayout(text);
+    const box = textBox(text);
+    const inner = box.width - layout.padding * 2;
+    const x = layout.padding + { left: 0, center: inner / 2, right: inner }[layout.align];
+    const spans = textLines(text).map((line, i) => `<tspan${attrs({ x, y: layout.padding + layout.lineHeight / 2 + i * layout.lineHeight })}>${escapeXml(line)}</tspan>`);
+    const textAttrs = {
+      fill: layout.background ? text.color : getAdaptiveColor(text.color, darkMode),
+      'font-family': layout.fontFamily,
+      'font-size': layout.fontSize,
+      'font-weight': layout.bold ? 'bold' : undefined,
+      'font-style': layout.italic ? 'italic' : undefined,
+      'text-anchor': { left: undefined, center: 'middle', right: 'end' }[layout.align],
+      'dominant-baseline': 'middle',
+      'xml:space': 'preserve'
+    };
+    if (!layout.background) {
+      return `<text${attrs({ transform: transformOf(text), opacity: opacityAttr(text), ...textAttrs })}>${spans.join('')}</text>`;
+    }
+    return `<g${attrs({ transform: transformOf(text), opacity: opacityAttr(text) })}>`
+      + `<rect${attrs({ x: 0, y: 0, width: box.width, height: box.height, rx: NOTE_RADIUS, fill: layout.background })} />`
+      + `<text${attrs(textAttrs)}>${spans.join('')}</text></g>`;
+  }
+};
+
+// The part of the board the export covers, in board coordinates, and its output size.
+// `viewport` is the stage's position, scale and size in screen pixels.
+export const exportArea = (board, { bounds = 'visible', viewport, padding = BOARD_PADDING }) => {
+  if (bounds === 'board') {
+    const box = boardBounds(board);
+    if (box) {
+      const area = { x: box.x - padding, y: box.y - padding, width: box.width + padding * 2, height: box.height + padding * 2 };
+      return { ...area, outputWidth: area.width, outputHeight: area.height };
+    }
+  }
+  return {
+    ...visibleArea(viewport, viewport.width, viewport.height),
+    outputWidth: viewport.width,
+    outputHeight: viewport.height
+  };
+};
+
+const isVisible = (kind, element) => (kind === 'line' ? element.points.length > 0 : kind !== 'text' || (!element.isNew && element.content));
+
+// Elements are drawn in z order like the stage. A group becomes a <g> with its
+// transform, holding its members in their own z order.
+export const exportBoardSvg = (board, { darkMode = false, ...options }) => {
+  const area = exportArea(board, options);
+  const groups = board.groups || [];
+  const byId = {};
+  ['line', 'image', 'text', 'shape', 'connector', 'group'].forEach((kind) => {
+    (board[`${kind}s`] || []).forEach((element) => {
+      byId[element.id] = { kind, element: kind === 'connector' ? { ...element, points: routeConnector(board, element) } : element };
+    });
+  });
+  const parents = parentMap(groups);
+
+  const render = ({ kind, element }, seen) => {
+    if (kind !== 'group') return isVisible(kind, element) ? renderers[kind](element, darkMode) : null;
+    if (seen.has(element.id)) return null;
+    const inner = sortByZ(element.members.filter(id => byId[id] && parents[id] === element.id).map(id => byId[id]))
+      .map(item => render(item, new Set([...seen, element.id])))
+      .filter(Boolean);
+    return `<g${attrs({ transform: transformOf(element) })}>${inner.join('')}</g>`;
+  };
+  const body = sortByZ(Object.values(byId).filter(({ element }) => !parents[element.id]))
+    .map(item => render(item, new Set()))
+    .filter(Boolean);
+  const viewBox = [area.x, area.y, area.width, area.height].map(num).join(' ');
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg"${attrs({ width: area.outputWidth, height: area.outputHeight, viewBox })}>`,
+    `<rect${attrs({ x: area.x, y: area.y, width: area.width, height: area.height, fill: boardBackground(darkMode) })} />`,
+    ...body,
+    '</svg>'
+  ].join('\n');
+};
@@ -0,0 +1,138 @@
+import { describe, expect, it } from 'vitest';
+import { exportArea, exportBoardSvg, strokePath } from './svgExport';
+
+const empty = { lines: [], shapes: [], images: [], texts: [] };
+const viewport = { x: 0, y: 0, scale: 1, width: 800, height: 600 };
+const render = (board, options = {}) => exportBoardSvg({ ...empty, ...board }, { viewport, ...options });
+
+describe('svg export', () => {
+  it('renders smoothed pen strokes', () => {
+    const line = { id: 'l1', points: [0, 0, 40, 10, 80, 0, 120, 30], color: '#1a1a1a', strokeWidth: 4, x: 10, y: 5, scaleX: 2, scaleY: 1, rotation: 15 };
+
+    expect(render({ lines: [line] })).toMatchSnapshot();
+    expect(render({ lines: [line] }, { darkMode: true })).toContain('stroke="#f0f0f0"');
+  });
+
+  it('fills the outline of pressure strokes', () => {
+    const line = { id: 'l1', points: [0, 0, 100, 0], pressures: [0.2, 0.8], color: '#1a1a1a', strokeWidth: 4 };
+    const svg = render({ lines: [line] });
+
+    expect(svg).toContain('<path d="M0 1.1 L100 2.9 L');
+    expect(svg).toContain('fill="#1a1a1a"');
+    expect(svg).not.toContain('stroke=');
+  });
+
+  it('renders rectangles and circles', () => {
+    const shapes = [
+      { id: 's1', type: 'rect', x: 100, y: 50, width: 80, height: 40, color: '#5d5dff', scaleX: 1.5, scaleY: 0.5, rotation: 30 },
+      { id: 's2', type: 'circle', x: 300, y: 200, radius: 25, color: '#0d9488' }
+    ];
+
+    expect(render({ shapes })).toMatchSnapshot();
+  });
+
+  it('renders every shape type from the shape registry', () => {
+    const shapes = [
+      { id: 's1', type: 'roundedRect', x: 0, y: 0, width: 80, height: 40, cornerRadius: 16, color: '#5d5dff' },
+      { id: 's2', type: 'ellipse', x: 150, y: 20, radiusX: 40, radiusY: 20, color: '#5d5dff' },
+      { id: 's3', type: 'triangle', x: 200, y: 0, width: 40, height: 34.641, color: '#5d5dff' },
+      { id: 's4', type: 'diamond', x: 250, y: 0, width: 40, height: 40, color: '#5d5dff' },
+      { id: 's5', type: 'star', x: 300, y: 0, width: 40, height: 40, color: '#5d5dff', rotation: 10 }
+    ];
+
+    expect(render({ shapes })).toMatchSnapshot();
+  });
+
+  it('renders fill, stroke width, dashes and opacity from the properties panel', () => {
+    const shapes = [{ id: 's1', type: 'rect', x: 0, y: 0, width: 80, height: 40, cornerRadius: 8, color: '#5d5dff', fill: '#ea580c', strokeWidth: 4, dash: 'dotted', opacity: 0.5 }];
+    const lines = [{ id: 'l1', points: [0, 0, 40, 0], color: '#1a1a1a', strokeWidth: 2, dash: 'dashed', opacity: 0.5 }];
+    const svg = render({ shapes, lines });
+
+    expect(svg).toMatchSnapshot();
+    expect(svg).toContain('stroke-dasharray="8 6"');
+    expect(render({ shapes: [{ ...shapes[0], fill: 'none' }] })).toContain('fill="none"');
+  });
+
+  it('renders images with the transform applied after positioning', () => {
+    const image = { id: 'i1', src: 'data:image/png;base64,AAAA', x: 20, y: 30, width: 200, height: 100, scaleX: 0.5, scaleY: 0.5, rotation: 90 };
+
+    expect(render({ images: [image] })).toMatchSnapshot();
+  });
+
+  it('renders multi-line text as escaped tspans', () => {
+    const text = { id: 't1', content: 'Q&A <draft>\n"quoted" line', x: 40, y: 60, color: '#ea580c', rotation: -10 };
+
+    const svg = render({ texts: [text, { id: 't2', content: '', x: 0, y: 0, isNew: true }] });
+
+    expect(svg).toMatchSnapshot();
+    expect(svg).toContain('<tspan x="0" y="11">Q&amp;A &lt;draft&gt;</tspan><tspan x="0" y="33">&quot;quoted&quot; line</tspan>');
+  });
+
+  it('renders sticky notes with their background, wrapping and font', () => {
+    const note = { id: 'n1', content: 'Ship the notes feature', x: 10, y: 10, color: '#1a1a1a', background: '#fde68a', width: 160, fontSize: 18, fontFamily: 'serif', bold: true, align: 'center' };
+    const svg = render({ texts: [note] }, { darkMode: true });
+
+    expect(svg).toMatchSnapshot();
+    expect(svg).toContain('fill="#1a1a1a"');
+  });
+
+  it('nests group members under the group transform', () => {
+    const board = {
+      shapes: [{ id: 's1', type: 'rect', x: 0, y: 0, width: 10, height: 10, color: '#5d5dff' }],
+      texts: [{ id: 't1', content: 'label', x: 0, y: 20, color: '#1a1a1a' }],
+      groups: [{ id: 'g1', members: ['t1', 's1', 'gone'], x: 200, y: 100, scaleX: 1, scaleY: 1, rotation: 45 }]
+    };
+
+    expect(render(board)).toMatchSnapshot();
+  });
+
+  it('renders connectors routed onto the anchors they are attached to', () => {
+    const board = {
+      shapes: [
+        { id: 's1', type: 'rect', x: 0, y: 0, width: 100, height: 50, color: '#5d5dff' },
+        { id: 's2', type: 'circle', x: 300, y: 25, radius: 25, color: '#5d5dff' }
+      ],
+      connectors: [
+        { id: 'c1', points: [0, 0, 10, 10], start: { id: 's1', anchor: 'right' }, end: { id: 's2', anchor: 'left' }, startHead: 'none', endHead: 'triangle', color: '#1a1a1a', strokeWidth: 2 },
+        { id: 'c2', points: [0, 100, 50, 100], start: null, end: { id: 'gone', anchor: 'top' }, startHead: 'circle', endHead: 'arrow', color: '#dc2626', strokeWidth: 3 }
+      ]
+    };
+
+    const svg = render(board);
+
+    expect(svg).toMatchSnapshot();
+    expect(svg).toContain('<path d="M100 25 L275 25" fill="none" />');
+  });
+
+  it('draws elements in z order across types', () => {
+    const svg = render({
+      shapes: [{ id: 's1', type: 'rect', x: 0, y: 0, width: 10, height: 10, color: '#5d5dff', z: 1 }],
+      images: [{ id: 'i1', src: 'a.png', x: 0, y: 0, width: 10, height: 10, z: 2 }]
+    });
+
+    expect(svg.indexOf('<rect x="0" y="0" width="10"')).toBeLessThan(svg.indexOf('<image'));
+  });
+
+  it('matches the stage pan and zoom for the visible area', () => {
+    const area = exportArea(empty, { bounds: 'visible', viewport: { x: -200, y: 100, scale: 2, width: 800, height: 600 } });
+
+    expect(area).toEqual({ x: 100, y: -50, width: 400, height: 300, outputWidth: 800, outputHeight: 600 });
+  });
+
+  it('fits the whole board with padding', () => {
+    const board = {
+      ...empty,
+      shapes: [{ id: 's1', type: 'rect', x: -100, y: 0, width: 50, height: 50 }],
+      images: [{ id: 'i1', src: 'a.png', x: 500, y: 400, width: 100, height: 100, rotation: 90 }]
+    };
+
+    const area = exportArea(board, { bounds: 'board', viewport, padding: 10 });
+
+    expect(area).toEqual({ x: -110, y: -10, width: 620, height: 520, outputWidth: 620, outputHeight: 520 });
+  });
+
+  it('follows Konva tension smoothing only for strokes with more than two points', () => {
+    expect(strokePath([0, 0, 10, 10])).toBe('M0 0 L10 10');
+    expect(strokePath([0, 0, 10, 0, 20, 0])).toBe('M0 0 Q5 0 10 0 Q15 0 20 0');
+  });
+});
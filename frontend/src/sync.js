@@ -0,0 +1,119 @@
+// Convergent element sync. Every element carries `version` (a Lamport clock) and
+// `author` (the client id that wrote it). For each id the write with the highest
+// (version, author) pair wins, removals included, so every peer and the server end
+// up with the same board no matter in which order events arrive.
+
+export const compareStamps = (a, b) => {
+  const dv = (a.version || 0) - (b.version || 0);
+  if (dv !== 0) return dv;
+  const aa = a.author || '';
+  const ba = b.author || '';
+  return aa < ba ? -1 : aa > ba ? 1 : 0;
+};
+
+export const createLamportClock = () => {
+  let time = 0;
+  return {
+    tick: () => ++time,
+    observe: (version) => { if (version > time) time = version; }
+  };
+};
+
+export const createSyncState = (board) => ({ board, tombstones: {} });
+
+// Appends a streamed batch of pen points in place. `offset` is how many coordinates
+// the author had sent before, so repeated batches are trimmed and gaps are dropped.
+// Pressure strokes send one pressure per point alongside.
+const appendPoints = (state, key, payload) => {
+  const list = state.board[key];
+  const line = list.find(e => e.id === payload.id);
+  if (!line) return state;
+  const skip = line.points.length - payload.offset;
+  if (skip < 0 || skip >= payload.points.length) return state;
+  const appended = {
+    ...line,
+    points: line.points.concat(payload.points.slice(skip)),
+    ...(line.pressures && payload.pressures && { pressures: line.pressures.concat(payload.pressures.slice(skip / 2)) }),
+    version: payload.version,
+    author: payload.author
+  };
+  return { ...state, board: { ...state.board, [key]: list.map(e => (e.id === line.id ? appended : e)) } };
+};
+
+// Splits a room event name such as `line-points-appended` into kind and action
+export const parseEventName = (event) => {
+  const dash = event.indexOf('-');
+  return { kind: event.slice(0, dash), action: event.slice(dash + 1) };
+};
+
+// Applies one element event; returns the same state object when it loses. `finalized`
+// (a pen stroke's simplified final form) merges like any other update.
+export const applyElementEvent = (state, kind, action, payload) => {
+  const key = `${kind}s`;
+  const list = state.board[key];
+  const current = list.find(e => e.id === payload.id) || state.tombstones[payload.id];
+  if (current && compareStamps(payload, current) <= 0) return state;
+  if (action === 'points-appended') return appendPoints(state, key, payload);
+
+  if (action === 'removed') {
+    const { id, version, author } = payload;
+    return {
+      board: { ...state.board, [key]: list.filter(e => e.id !== id) },
+      tombstones: { ...state.tombstones, [id]: { kind, id, version, author } }
+    };
+  }
+
+  const { roomId, ...element } = payload;
+  const tombstones = { ...state.tombstones };
+  delete tombstones[element.id];
+  const exists = list.some(e => e.id === element.id);
+  return {
+    board: { ...state.board, [key]: exists ? list.map(e => (e.id === element.id ? element : e)) : [...list, element] },
+    tombstones
+  };
+};
+
+// Folds a server snapshot into local state by the same rule, so edits made while
+// disconnected survive a reconnect if they are newer than what the room has
+export const mergeSnapshot = (state, snapshot) => {
+  let next = state;
+  Object.keys(state.board).forEach((key) => {
+    (snapshot[key] || []).forEach((element) => {
+      next = applyElementEvent(next, key.slice(0, -1), 'updated', element);
+    });
+  });
+  (snapshot.removed || []).forEach((tombstone) => {
+    next = applyElementEvent(next, tombstone.kind, 'removed', tombstone);
+  });
+  return next;
+};
+
+// After a reconnect: the local writes the room is missing or holds an older version of,
+// as events to publish again. Run it on the local state before merging the snapshot.
+export const diffAgainstSnapshot = (state, snapshot) => {
+  const remote = {};
+  const removed = {};
+  Object.keys(state.board).forEach((key) => {
+    (snapshot[key] || []).forEach((element) => { remote[element.id] = element; });
+  });
+  (snapshot.removed || []).forEach((tombstone) => { removed[tombstone.id] = tombstone; });
+
+  const events = [];
+  Object.entries(state.board).forEach(([key, list]) => {
+    list.forEach((element) => {
+      const theirs = remote[element.id] || removed[element.id];
+      if (!theirs || compareStamps(element, theirs) > 0) events.push({ event: `${key.slice(0, -1)}-updated`, payload: element });
+    });
+  });
+  Object.values(state.tombstones).forEach(({ kind, id, version, author }) => {
+    const theirs = remote[id];
+    if (theirs && compareStamps({ version, author }, theirs) > 0) {
+      events.push({ event: `${kind}-removed`, payload: { id, version, author } });
+    }
+  });
+  return events;
+};
+
+export const maxVersion = (snapshot) => Object.values(snapshot)
+  .flat()
+  .reduce((max, e) => Math.max(max, e?.version || 0), 0);
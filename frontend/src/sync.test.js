@@ -0,0 +1,138 @@
+import { describe, expect, it } from 'vitest';
+import { applyElementEvent, compareStamps, createLamportClock, createSyncState, diffAgainstSnapshot, mergeSnapshot } from './sync';
+
+const emptyBoard = () => ({ lines: [], shapes: [], images: [], texts: [] });
+
+const permutations = (items) => (items.length <= 1 ? [items] : items.flatMap((item, i) =>
+  permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest])));
+
+const replay = events => events.reduce(
+  (state, [kind, action, payload]) => applyElementEvent(state, kind, action, payload),
+  createSyncState(emptyBoard())
+);
+
+describe('element sync', () => {
+  it('orders writes by version, then author', () => {
+    expect(compareStamps({ version: 2, author: 'a' }, { version: 1, author: 'z' })).toBeGreaterThan(0);
+    expect(compareStamps({ version: 2, author: 'b' }, { version: 2, author: 'a' })).toBeGreaterThan(0);
+    expect(compareStamps({ version: 2, author: 'a' }, { version: 2, author: 'a' })).toBe(0);
+  });
+
+  it('converges on concurrent drags regardless of delivery order', () => {
+    const events = [
+      ['shape', 'created', { id: 's1', type: 'rect', x: 0, version: 1, author: 'a' }],
+      ['shape', 'updated', { id: 's1', type: 'rect', x: 100, version: 2, author: 'a' }],
+      ['shape', 'updated', { id: 's1', type: 'rect', x: 300, version: 2, author: 'b' }],
+      ['text', 'updated', { id: 't1', content: 'mine', version: 5, author: 'a' }],
+      ['text', 'updated', { id: 't1', content: 'theirs', version: 4, author: 'b' }]
+    ];
+
+    const results = permutations(events).map(replay);
+
+    results.forEach(state => expect(state).toEqual(results[0]));
+    expect(results[0].board.shapes).toEqual([{ id: 's1', type: 'rect', x: 300, version: 2, author: 'b' }]);
+    expect(results[0].board.texts).toEqual([{ id: 't1', content: 'mine', version: 5, author: 'a' }]);
+  });
+
+  it('keeps a removal that is newer than a late update', () => {
+    const events = [
+      ['line', 'created', { id: 'l1', points: [0, 0], version: 1, author: 'a' }],
+      ['line', 'removed', { id: 'l1', version: 3, author: 'b' }],
+      ['line', 'updated', { id: 'l1', points: [0, 0, 5, 5], version: 2, author: 'a' }]
+    ];
+
+    permutations(events).map(replay).forEach((state) => {
+      expect(state.board.lines).toEqual([]);
+      expect(state.tombstones.l1).toEqual({ kind: 'line', id: 'l1', version: 3, author: 'b' });
+    });
+  });
+
+  it('lets a newer write bring a removed element back', () => {
+    let state = replay([
+      ['image', 'created', { id: 'i1', src: 'x', version: 1, author: 'a' }],
+      ['image', 'removed', { id: 'i1', version: 2, author: 'a' }]
+    ]);
+
+    state = applyElementEvent(state, 'image', 'created', { id: 'i1', src: 'x', version: 3, author: 'a', roomId: 'r' });
+
+    expect(state.board.images).toEqual([{ id: 'i1', src: 'x', version: 3, author: 'a' }]);
+    expect(state.tombstones).toEqual({});
+  });
+
+  it('merges a reconnect snapshot without losing newer local edits', () => {
+    let local = replay([
+      ['shape', 'created', { id: 's1', x: 0, version: 1, author: 'a' }],
+      ['shape', 'updated', { id: 's1', x: 50, version: 7, author: 'a' }],
+      ['line', 'created', { id: 'offline', points: [], version: 8, author: 'a' }],
+      ['text', 'created', { id: 't1', content: 'gone', version: 2, author: 'a' }]
+    ]);
+
+    local = mergeSnapshot(local, {
+      lines: [],
+      shapes: [{ id: 's1', x: 20, version: 4, author: 'b' }, { id: 's2', x: 9, version: 5, author: 'b' }],
+      images: [],
+      texts: [],
+      removed: [{ kind: 'text', id: 't1', version: 6, author: 'b' }]
+    });
+
+    expect(local.board.shapes).toEqual([{ id: 's1', x: 50, version: 7, author: 'a' }, { id: 's2', x: 9, version: 5, author: 'b' }]);
+    expect(local.board.lines.map(l => l.id)).toEqual(['offline']);
+    expect(local.board.texts).toEqual([]);
+  });
+
+  it('finds the local writes a reconnecting client must publish again', () => {
+    const local = replay([
+      ['shape', 'created', { id: 'moved', x: 50, version: 7, author: 'a' }],
+      ['line', 'created', { id: 'offline', points: [], version: 8, author: 'a' }],
+      ['text', 'created', { id: 'stale', content: 'old', version: 1, author: 'a' }],
+      ['image', 'created', { id: 'deleted', src: 'x', version: 2, author: 'a' }],
+      ['image', 'removed', { id: 'deleted', version: 9, author: 'a' }]
+    ]);
+
+    const events = diffAgainstSnapshot(local, {
+      lines: [],
+      shapes: [{ id: 'moved', x: 20, version: 4, author: 'b' }],
+      images: [{ id: 'deleted', src: 'x', version: 2, author: 'a' }],
+      texts: [{ id: 'stale', content: 'new', version: 6, author: 'b' }],
+      removed: []
+    });
+
+    expect(events).toEqual([
+      { event: 'line-updated', payload: { id: 'offline', points: [], version: 8, author: 'a' } },
+      { event: 'shape-updated', payload: { id: 'moved', x: 50, version: 7, author: 'a' } },
+      { event: 'image-removed', payload: { id: 'deleted', version: 9, author: 'a' } }
+    ]);
+  });
+
+  it('appends streamed stroke points in place, once', () => {
+    let state = replay([['line', 'created', { id: 'l1', points: [0, 0], version: 1, author: 'a' }]]);
+
+    state = applyElementEvent(state, 'line', 'points-appended', { id: 'l1', offset: 2, points: [1, 1, 2, 2], version: 2, author: 'a' });
+    state = applyElementEvent(state, 'line', 'points-appended', { id: 'l1', offset: 4, points: [2, 2, 3, 3], version: 3, author: 'a' });
+    const settled = applyElementEvent(state, 'line', 'points-appended', { id: 'l1', offset: 9, points: [7, 7], version: 4, author: 'a' });
+
+    expect(settled).toBe(state);
+    expect(state.board.lines).toEqual([{ id: 'l1', points: [0, 0, 1, 1, 2, 2, 3, 3], version: 3, author: 'a' }]);
+
+    state = applyElementEvent(state, 'line', 'finalized', { id: 'l1', points: [0, 0, 3, 3], version: 5, author: 'a' });
+    expect(state.board.lines[0].points).toEqual([0, 0, 3, 3]);
+  });
+
+  it('streams pressures along with the points they belong to', () => {
+    let state = replay([['line', 'created', { id: 'l1', points: [0, 0], pressures: [0.2], version: 1, author: 'a' }]]);
+
+    state = applyElementEvent(state, 'line', 'points-appended', { id: 'l1', offset: 2, points: [1, 1, 2, 2], pressures: [0.4, 0.6], version: 2, author: 'a' });
+    state = applyElementEvent(state, 'line', 'points-appended', { id: 'l1', offset: 4, points: [2, 2, 3, 3], pressures: [0.6, 0.8], version: 3, author: 'a' });
+
+    expect(state.board.lines[0]).toMatchObject({ points: [0, 0, 1, 1, 2, 2, 3, 3], pressures: [0.2, 0.4, 0.6, 0.8] });
+  });
+
+  it('advances the Lamport clock past observed versions', () => {
+    const clock = createLamportClock();
+    clock.tick();
+    clock.observe(10);
+    expect(clock.tick()).toBe(11);
+    clock.observe(3);
+    expect(clock.tick()).toBe(12);
+  });
+});
@@ -0,0 +1,86 @@
+// How a text element is laid out, shared by the canvas, the editor overlay, bounds and
+// the SVG export. Texts may carry fontSize, fontFamily (a TEXT_FONTS key), bold, italic
+// and align; a `background` colour makes a sticky note and a `width` wraps the content
+// to that many board units. Texts saved before these existed are 22px sans, left
+// aligned and never wrapped.
+
+export const TEXT_FONTS = {
+  sans: { label: 'Sans', css: 'Outfit, sans-serif' },
+  serif: { label: 'Serif', css: 'Georgia, serif' },
+  mono: { label: 'Mono', css: 'Menlo, Consolas, monospace' },
+  hand: { label: 'Handwriting', css: '"Segoe Print", "Bradley Hand", cursive' }
+};
+export const TEXT_ALIGNS = ['left', 'center', 'right'];
+
+export const TEXT_FONT_SIZE = 22;
+export const TEXT_LINE_HEIGHT = 1;
+export const NOTE_WIDTH = 200;
+// Space between a note's edge and its text
+export const NOTE_PADDING = 12;
+export const NOTE_RADIUS = 4;
+// Without a canvas to measure with, text width is estimated from the glyph count
+const AVERAGE_GLYPH_WIDTH = 0.6;
+
+const hasBackground = text => !!text.background && text.background !== 'none';
+
+export const textLayout = (text) => {
+  const fontSize = text.fontSize ?? TEXT_FONT_SIZE;
+  return {
+    fontSize,
+    fontFamily: (TEXT_FONTS[text.fontFamily] || TEXT_FONTS.sans).css,
+    bold: !!text.bold,
+    italic: !!text.italic,
+    align: TEXT_ALIGNS.includes(text.align) ? text.align : 'left',
+    width: typeof text.width === 'number' ? text.width : null,
+    background: hasBackground(text) ? text.background : null,
+    padding: hasBackground(text) ? NOTE_PADDING : 0,
+    lineHeight: fontSize * TEXT_LINE_HEIGHT
+  };
+};
+
+// Konva's fontStyle string
+export const fontStyleOf = ({ bold, italic }) => [italic && 'italic', bold && 'bold'].filter(Boolean).join(' ') || 'normal';
+
+// Greedy word wrap like Konva's, breaking words that don't fit on a line of their own
+const wrapParagraph = (paragraph, maxChars) => {
+  const rows = [];
+  let row = '';
+  paragraph.split(' ').forEach((word) => {
+    const joined = row ? `${row} ${word}` : word;
+    if (joined.length <= maxChars) {
+      row = joined;
+      return;
+    }
+    if (row) rows.push(row);
+    let rest = word;
+    while (rest.length > maxChars) {
+      rows.push(rest.slice(0, maxChars));
+      rest = rest.slice(maxChars);
+    }
+    row = rest;
+  });
+  rows.push(row);
+  return rows;
+};
+
+// The lines drawn, after wrapping to the width when there is one
+export const textLines = (text) => {
+  const paragraphs = (text.content || '').split('\n');
+  const { fontSize, width, padding } = textLayout(text);
+  if (width === null) return paragraphs;
+  const maxChars = Math.max(1, Math.floor((width - padding * 2) / (fontSize * AVERAGE_GLYPH_WIDTH)));
+  return paragraphs.flatMap(paragraph => wrapParagraph(paragraph, maxChars));
+};
+
+// The text's own box, padding included
+export const textBox = (text) => {
+  const lines = textLines(text);
+  const { fontSize, width, padding, lineHeight } = textLayout(text);
+  const longest = Math.max(...lines.map(line => line.length));
+  return {
+    x: 0,
+    y: 0,
+    width: width ?? longest * fontSize * AVERAGE_GLYPH_WIDTH + padding * 2,
+    height: lines.length * lineHeight + padding * 2
+  };
+};
@@ -0,0 +1,24 @@
+import { describe, expect, it } from 'vitest';
+import { NOTE_PADDING, fontStyleOf, textBox, textLayout, textLines } from './textLayout';
+
+describe('text layout', () => {
+  it('lays out texts saved before styling as unwrapped 22px sans', () => {
+    const text = { id: 't1', content: 'one\ntwo words', x: 0, y: 0 };
+
+    expect(textLayout(text)).toMatchObject({ fontSize: 22, align: 'left', width: null, background: null, padding: 0 });
+    expect(textLines(text)).toEqual(['one', 'two words']);
+  });
+
+  it('wraps notes by word within their width, breaking words too long for a line', () => {
+    // 10px glyphs leave room for 10 characters inside the padding
+    const note = { id: 'n1', content: 'sticky notes wrap\nsupercalifragilistic', fontSize: 100 / 6, width: 100 + NOTE_PADDING * 2, background: '#fde68a' };
+
+    expect(textLines(note)).toEqual(['sticky', 'notes wrap', 'supercalif', 'ragilistic']);
+    expect(textBox(note)).toEqual({ x: 0, y: 0, width: 124, height: (100 / 6) * 4 + NOTE_PADDING * 2 });
+  });
+
+  it('combines bold and italic into a Konva font style', () => {
+    expect(fontStyleOf({ bold: true, italic: true })).toBe('italic bold');
+    expect(fontStyleOf({ bold: false, italic: false })).toBe('normal');
+  });
+});
@@ -0,0 +1,10 @@
+// Colours that follow the light/dark toggle, shared by the canvas and the exporters.
+
+export const boardBackground = darkMode => (darkMode ? '#0c0c0e' : '#faf9f6');
+
+// Ink flips so strokes stay visible; every other palette colour reads on both themes
+export const getAdaptiveColor = (color, darkMode) => {
+  if (color === '#1a1a1a' && darkMode) return '#f0f0f0';
+  if (color === '#f0f0f0' && !darkMode) return '#1a1a1a';
+  return color;
+};
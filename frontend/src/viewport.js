@@ -0,0 +1,87 @@
+// Where the board sits on screen. A viewport is { x, y, scale }, the stage's position
+// and zoom, so a board point p shows at p * scale + (x, y) in stage pixels. Pointer
+// handling, the text editor overlay, exports and the minimap all convert through here.
+
+export const MIN_SCALE = 0.1;
+export const MAX_SCALE = 8;
+// What the zoom buttons step through
+export const ZOOM_LEVELS = [0.1, 0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4, 6, 8];
+// Screen pixels left around whatever is zoomed to fit
+export const FIT_PADDING = 48;
+
+export const DEFAULT_VIEWPORT = { x: 0, y: 0, scale: 1 };
+
+export const clampScale = scale => Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+
+export const toBoard = (viewport, point) => ({
+  x: (point.x - viewport.x) / viewport.scale,
+  y: (point.y - viewport.y) / viewport.scale
+});
+
+export const toScreen = (viewport, point) => ({
+  x: point.x * viewport.scale + viewport.x,
+  y: point.y * viewport.scale + viewport.y
+});
+
+// Konva matrix taking board coordinates to the screen, moved by `offset` when the stage
+// isn't at the page origin
+export const viewportMatrix = (viewport, offset = { x: 0, y: 0 }) => [
+  viewport.scale, 0, 0, viewport.scale, viewport.x + offset.x, viewport.y + offset.y
+];
+
+// The part of the board a `width` × `height` stage shows
+export const visibleArea = (viewport, width, height) => ({
+  x: -viewport.x / viewport.scale,
+  y: -viewport.y / viewport.scale,
+  width: width / viewport.scale,
+  height: height / viewport.scale
+});
+
+export const panBy = (viewport, dx, dy) => ({ ...viewport, x: viewport.x + dx, y: viewport.y + dy });
+
+// Zooms to `scale`, keeping the board point under the screen `point` where it is
+export const zoomAt = (viewport, point, scale) => {
+  const next = clampScale(scale);
+  const anchor = toBoard(viewport, point);
+  return { x: point.x - anchor.x * next, y: point.y - anchor.y * next, scale: next };
+};
+
+// The next of ZOOM_LEVELS past `scale`, going in (direction 1) or out (-1)
+export const steppedScale = (scale, direction) => {
+  const levels = direction > 0 ? ZOOM_LEVELS : [...ZOOM_LEVELS].reverse();
+  const next = levels.find(level => (direction > 0 ? level > scale * 1.001 : level < scale / 1.001));
+  return next ?? clampScale(scale);
+};
+
+// Puts the board `point` in the middle of a `width` × `height` stage at the same zoom
+export const centerOn = (viewport, point, width, height) => ({
+  ...viewport,
+  x: width / 2 - point.x * viewport.scale,
+  y: height / 2 - point.y * viewport.scale
+});
+
+// Shows the board `box` centred in a `width` × `height` stage with `padding` screen
+// pixels around it, zooming no further in than `maxScale`
+export const fitViewport = (box, width, height, { padding = FIT_PADDING, minScale = MIN_SCALE, maxScale = MAX_SCALE } = {}) => {
+  const fit = Math.min(Math.max(1, width - padding * 2) / (box.width || 1), Math.max(1, height - padding * 2) / (box.height || 1));
+  const scale = Math.min(maxScale, Math.max(minScale, fit));
+  return centerOn({ scale }, { x: box.x + box.width / 2, y: box.y + box.height / 2 }, width, height);
+};
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// Two fingers: what the gesture started from, for pinchViewport to follow
+export const pinchStart = (viewport, [a, b]) => ({
+  viewport,
+  center: midpoint(a, b),
+  spread: Math.hypot(b.x - a.x, b.y - a.y) || 1
+});
+
+// The board point that was between the fingers stays between them, and the zoom
+// grows and shrinks with the distance between them
+export const pinchViewport = (start, [a, b]) => {
+  const scale = clampScale((start.viewport.scale * Math.hypot(b.x - a.x, b.y - a.y)) / start.spread);
+  const anchor = toBoard(start.viewport, start.center);
+  const center = midpoint(a, b);
+  return { x: center.x - anchor.x * scale, y: center.y - anchor.y * scale, scale };
+};
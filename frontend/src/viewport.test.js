@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { MAX_SCALE, fitViewport, pinchStart, pinchViewport, steppedScale, toBoard, toScreen, visibleArea, zoomAt } from './viewport';
+
+describe('viewport', () => {
+  it('converts between screen and board coordinates both ways', () => {
+    const viewport = { x: 40, y: -20, scale: 2 };
+
+    expect(toBoard(viewport, { x: 140, y: 80 })).toEqual({ x: 50, y: 50 });
+    expect(toScreen(viewport, { x: 50, y: 50 })).toEqual({ x: 140, y: 80 });
+    expect(visibleArea(viewport, 400, 300)).toEqual({ x: -20, y: 10, width: 200, height: 150 });
+  });
+
+  it('keeps the board point under the pointer while zooming, within the limits', () => {
+    const viewport = { x: 10, y: 10, scale: 1 };
+    const zoomed = zoomAt(viewport, { x: 110, y: 60 }, 3);
+
+    expect(zoomed.scale).toBe(3);
+    expect(toBoard(zoomed, { x: 110, y: 60 })).toEqual(toBoard(viewport, { x: 110, y: 60 }));
+    expect(zoomAt(viewport, { x: 0, y: 0 }, 100).scale).toBe(MAX_SCALE);
+  });
+
+  it('steps through the zoom levels from wherever the wheel left off', () => {
+    expect(steppedScale(1, 1)).toBe(1.25);
+    expect(steppedScale(1.1, -1)).toBe(1);
+    expect(steppedScale(MAX_SCALE, 1)).toBe(MAX_SCALE);
+  });
+
+  it('centres a box with padding and caps how far fitting zooms in', () => {
+    expect(fitViewport({ x: 0, y: 0, width: 200, height: 100 }, 500, 300, { padding: 50 })).toEqual({ x: 50, y: 50, scale: 2 });
+    expect(fitViewport({ x: 0, y: 0, width: 20, height: 20 }, 500, 300, { padding: 50, maxScale: 1 })).toEqual({ x: 240, y: 140, scale: 1 });
+  });
+
+  it('shows a followed member the same area on a screen of another size', () => {
+    const presenter = { x: -300, y: 120, scale: 1.5 };
+    const area = visibleArea(presenter, 1200, 800);
+    const follower = fitViewport(area, 600, 400, { padding: 0 });
+
+    expect(follower.scale).toBe(0.75);
+    expect(visibleArea(follower, 600, 400)).toEqual(area);
+  });
+
+  it('pans and zooms with two fingers around their midpoint', () => {
+    const start = pinchStart({ x: 0, y: 0, scale: 1 }, [{ x: 100, y: 100 }, { x: 200, y: 100 }]);
+    const pinched = pinchViewport(start, [{ x: 50, y: 120 }, { x: 250, y: 120 }]);
+
+    expect(pinched.scale).toBe(2);
+    // The board point that was between the fingers is between them still
+    expect(toBoard(pinched, { x: 150, y: 120 })).toEqual({ x: 150, y: 100 });
+  });
+});
@@ -0,0 +1,78 @@
+// Stacking order. Every element carries a numeric `z`; the board draws one list sorted
+// by it, with group members sorted inside their group. Reordering only rewrites `z`
+// (midpoints between neighbours), so it syncs as ordinary element updates and two
+// people reordering different elements don't clash.
+import { elementOp } from './history';
+import { parentMap } from './groups';
+
+// Elements from before `z` existed keep the old fixed order: strokes, images, texts, shapes
+const legacyOrder = ['line', 'image', 'text', 'shape', 'connector', 'group'];
+
+const itemsOf = board => legacyOrder.flatMap(kind => (board[`${kind}s`] || []).map(element => ({ kind, element })));
+
+// Array.prototype.sort is stable, so elements without `z` stay in legacy order
+export const sortByZ = items => items.slice().sort((a, b) => (a.element.z ?? 0) - (b.element.z ?? 0));
+
+// Bottom-to-top items at one level: top level (parentId null) or inside a group
+export const orderedItems = (board, parentId = null) => {
+  const parents = parentMap(board.groups);
+  return sortByZ(itemsOf(board).filter(({ element }) => (parents[element.id] ?? null) === parentId));
+};
+
+// A z above everything on the board
+export const nextZ = (board) => {
+  const top = itemsOf(board).reduce((max, { element }) => Math.max(max, element.z ?? 0), 0);
+  return Math.floor(top) + 1;
+};
+
+// Restacks a board's top-level items from `base` up, keeping their order, so pasted or
+// merged elements land above everything already there. Group members keep their own z.
+export const stackedFrom = (board, base) => {
+  const zs = {};
+  orderedItems(board).forEach(({ element }, i) => { zs[element.id] = base + i; });
+  const restack = list => list.map(element => (element.id in zs ? { ...element, z: zs[element.id] } : element));
+  return { ...board, ...Object.fromEntries(legacyOrder.map(kind => [`${kind}s`, restack(board[`${kind}s`] || [])])) };
+};
+
+const withZ = ({ kind, element }, z) => elementOp(kind, element, { ...element, z });
+
+// Elements without `z`, or sharing one, leave no gap to slot into, so such a level is
+// renumbered 0..n-1 in its current order before anything moves
+const levelZs = (siblings) => {
+  const zs = siblings.map(({ element }) => element.z);
+  const spaced = zs.every((z, i) => typeof z === 'number' && (i === 0 || z > zs[i - 1]));
+  return spaced ? zs : siblings.map((_, i) => i);
+};
+
+// Reorders selected siblings: 'front', 'back', 'forward' (past the next sibling above)
+// or 'backward'. Returns update ops, empty when nothing moves.
+export const reorderOps = (board, ids, command) => {
+  const parents = parentMap(board.groups);
+  const parentId = parents[ids[0]] ?? null;
+  const siblings = orderedItems(board, parentId);
+  const isSelected = ({ element }) => ids.includes(element.id);
+  const selected = siblings.filter(isSelected);
+  if (!selected.length || selected.length === siblings.length) return [];
+  const zs = levelZs(siblings);
+  const zOf = item => zs[siblings.indexOf(item)];
+  const renumbered = siblings.filter((item, i) => !isSelected(item) && item.element.z !== zs[i]).map(item => withZ(item, zOf(item)));
+
+  const move = (placed, z) => [...renumbered, ...placed.map((item, i) => withZ(item, z(i)))];
+  if (command === 'front') return move(selected, i => zs[zs.length - 1] + i + 1);
+  if (command === 'back') return move(selected, i => zs[0] - selected.length + i);
+
+  // Forward: slot the selection in just above the first unselected sibling over its top
+  // member; backward mirrors that below its bottom member
+  const forward = command === 'forward';
+  const edge = forward
+    ? siblings.indexOf(selected[selected.length - 1])
+    : siblings.indexOf(selected[0]);
+  const rest = forward ? siblings.slice(edge + 1) : siblings.slice(0, edge).reverse();
+  const pivot = rest.find(item => !isSelected(item));
+  if (!pivot) return [];
+  const beyond = rest[rest.indexOf(pivot) + 1];
+  const from = zOf(pivot);
+  const to = beyond ? zOf(beyond) : from + (forward ? 1 : -1);
+  const step = (to - from) / (selected.length + 1);
+  return move(forward ? selected : selected.slice().reverse(), i => from + step * (i + 1));
+};
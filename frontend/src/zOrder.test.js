@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { applyOps } from './history';
+import { nextZ, orderedItems, reorderOps, stackedFrom } from './zOrder';
+
+const board = {
+  lines: [{ id: 'a', points: [0, 0], z: 1 }],
+  shapes: [{ id: 'b', type: 'rect', z: 2 }, { id: 'c', type: 'rect', z: 3 }],
+  images: [{ id: 'd', z: 4 }],
+  texts: [],
+  groups: []
+};
+
+const order = (b, parentId) => orderedItems(b, parentId).map(({ element }) => element.id);
+const reorder = (b, ids, command) => applyOps(b, reorderOps(b, ids, command)).board;
+
+describe('z order', () => {
+  it('draws one list sorted by z regardless of element type', () => {
+    expect(order(board)).toEqual(['a', 'b', 'c', 'd']);
+    expect(nextZ(board)).toBe(5);
+  });
+
+  it('keeps the old type order for elements saved without z', () => {
+    const legacy = { lines: [{ id: 'l' }], shapes: [{ id: 's' }], images: [{ id: 'i' }], texts: [{ id: 't' }], groups: [] };
+
+    expect(order(legacy)).toEqual(['l', 'i', 't', 's']);
+    expect(order(reorder(legacy, ['l'], 'forward'))).toEqual(['i', 'l', 't', 's']);
+    expect(order(reorder(legacy, ['s'], 'back'))).toEqual(['s', 'l', 'i', 't']);
+  });
+
+  it('brings to front and sends to back', () => {
+    expect(order(reorder(board, ['a', 'c'], 'front'))).toEqual(['b', 'd', 'a', 'c']);
+    expect(order(reorder(board, ['d'], 'back'))).toEqual(['d', 'a', 'b', 'c']);
+    expect(reorderOps(board, ['d'], 'front')).toHaveLength(1);
+  });
+
+  it('steps forward and backward one sibling at a time', () => {
+    expect(order(reorder(board, ['a'], 'forward'))).toEqual(['b', 'a', 'c', 'd']);
+    expect(order(reorder(board, ['c'], 'forward'))).toEqual(['a', 'b', 'd', 'c']);
+    expect(order(reorder(board, ['b', 'c'], 'backward'))).toEqual(['b', 'c', 'a', 'd']);
+    expect(reorderOps(board, ['d'], 'forward')).toEqual([]);
+  });
+
+  it('orders group members among themselves', () => {
+    const grouped = { ...board, groups: [{ id: 'g', members: ['b', 'c'], z: 5 }] };
+
+    expect(order(grouped)).toEqual(['a', 'd', 'g']);
+    expect(order(grouped, 'g')).toEqual(['b', 'c']);
+    expect(order(reorder(grouped, ['c'], 'back'), 'g')).toEqual(['c', 'b']);
+  });
+
+  it('stacks pasted elements above the board in their own order', () => {
+    const pasted = stackedFrom({ ...board, groups: [{ id: 'g', members: ['b', 'c'], z: 0 }] }, 10);
+
+    expect(order(pasted)).toEqual(['g', 'a', 'd']);
+    expect(pasted.groups[0].z).toBe(10);
+    expect(pasted.images[0].z).toBe(12);
+    expect(pasted.shapes.map(shape => shape.z)).toEqual([2, 3]);
+  });
+});
@@ -0,0 +1,21 @@
+package com.sumukh.socket;
+
+import com.sumukh.socket.store.FileRoomStore;
+import com.sumukh.socket.store.RoomStore;
+import java.nio.file.Path;
+import org.springframework.beans.factory.annotation.Value;
+import org.springframework.boot.autoconfigure.condition.ConditionalOnMissingBean;
+import org.springframework.context.annotation.Bean;
+import org.springframework.context.annotation.Configuration;
+import tools.jackson.databind.json.JsonMapper;
+
+@Configuration
+public class RoomStoreConfig {
+
+    // Declare another RoomStore bean to keep rooms somewhere other than local files
+    @Bean
+    @ConditionalOnMissingBean(RoomStore.class)
+    public RoomStore roomStore(@Value("${whiteboard.rooms.dir}") Path directory, JsonMapper jsonMapper) {
+        return new FileRoomStore(directory, jsonMapper);
+    }
+}
@@ -5,6 +5,7 @@ import org.springframework.messaging.simp.config.MessageBrokerRegistry;
 import org.springframework.web.socket.config.annotation.EnableWebSocketMessageBroker;
 import org.springframework.web.socket.config.annotation.StompEndpointRegistry;
 import org.springframework.web.socket.config.annotation.WebSocketMessageBrokerConfigurer;
+import org.springframework.web.socket.config.annotation.WebSocketTransportRegistration;
 
 @Configuration
 @EnableWebSocketMessageBroker
@@ -14,14 +15,23 @@ public class WebSocketConfig implements WebSocketMessageBrokerConfigurer {
     public void registerStompEndpoints(StompEndpointRegistry registry) {
 
         registry.addEndpoint("/whiteboard-sockets").setAllowedOriginPatterns("*").withSockJS();
+        // Events from one client must be handled in the order they were sent
+        registry.setPreserveReceiveOrder(true);
     }
 
 
+    @Override
+    public void configureWebSocketTransport(WebSocketTransportRegistration registration) {
+        // Batched updates and pasted images carry whole elements, well past the 64 KB default
+        registration.setMessageSizeLimit(4 * 1024 * 1024);
+        registration.setSendBufferSizeLimit(8 * 1024 * 1024);
+    }
+
     @Override
     public void configureMessageBroker(MessageBrokerRegistry config) {
         // Messages sent to /app are handled by @MessageMapping methods
         config.setApplicationDestinationPrefixes("/app");
-        // Messages sent to /topic are broadcast to all subscribers
-        config.enableSimpleBroker("/topic");
+        // Messages sent to /topic are broadcast to all subscribers, /queue is used for per-session replies
+        config.enableSimpleBroker("/topic", "/queue");
     }
 }
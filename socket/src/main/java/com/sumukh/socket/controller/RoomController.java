@@ -0,0 +1,100 @@
+package com.sumukh.socket.controller;
+
+import com.sumukh.socket.exceptions.RoomNotFoundException;
+import com.sumukh.socket.models.RoomInfo;
+import com.sumukh.socket.service.PresenceService;
+import com.sumukh.socket.service.RoomService;
+import java.util.LinkedHashMap;
+import java.util.Map;
+import org.springframework.http.HttpStatus;
+import org.springframework.messaging.simp.SimpMessagingTemplate;
+import org.springframework.web.bind.annotation.CrossOrigin;
+import org.springframework.web.bind.annotation.DeleteMapping;
+import org.springframework.web.bind.annotation.ExceptionHandler;
+import org.springframework.web.bind.annotation.GetMapping;
+import org.springframework.web.bind.annotation.PatchMapping;
+import org.springframework.web.bind.annotation.PathVariable;
+import org.springframework.web.bind.annotation.PostMapping;
+import org.springframework.web.bind.annotation.RequestBody;
+import org.springframework.web.bind.annotation.RequestMapping;
+import org.springframework.web.bind.annotation.ResponseStatus;
+import org.springframework.web.bind.annotation.RestController;
+
+/**
+ * Creating, looking up, renaming and deleting rooms. Rooms are described as
+ * {@code {id, name, created, lastActivity, participants}}; people already in a room
+ * hear about renames and deletion on its {@code room-updated} and {@code room-deleted} topics.
+ */
+@RestController
+@RequestMapping("/api/rooms")
+@CrossOrigin(originPatterns = "*")
+public class RoomController {
+
+    private final RoomService roomService;
+    private final PresenceService presenceService;
+    private final SimpMessagingTemplate messagingTemplate;
+
+    public RoomController(RoomService roomService, PresenceService presenceService, SimpMessagingTemplate messagingTemplate) {
+        this.roomService = roomService;
+        this.presenceService = presenceService;
+        this.messagingTemplate = messagingTemplate;
+    }
+
+    @PostMapping
+    @ResponseStatus(HttpStatus.CREATED)
+    public Map<String, Object> create(@RequestBody(required = false) Map<String, Object> body) {
+        return describe(roomService.create(nameIn(body)));
+    }
+
+    @GetMapping("/{roomId}")
+    public Map<String, Object> get(@PathVariable String roomId) {
+        return describe(roomService.find(roomId).orElseThrow(() -> new RoomNotFoundException(roomId)));
+    }
+
+    @PatchMapping("/{roomId}")
+    public Map<String, Object> rename(@PathVariable String roomId, @RequestBody(required = false) Map<String, Object> body) {
+        Map<String, Object> room = describe(roomService.rename(roomId, nameIn(body)));
+        messagingTemplate.convertAndSend("/topic/rooms/" + roomId + "/room-updated", (Object) room);
+        return room;
+    }
+
+    @DeleteMapping("/{roomId}")
+    @ResponseStatus(HttpStatus.NO_CONTENT)
+    public void delete(@PathVariable String roomId) {
+        roomService.delete(roomId);
+        messagingTemplate.convertAndSend("/topic/rooms/" + roomId + "/room-deleted", (Object) Map.of("id", roomId));
+    }
+
+    // Same shape as the errors rejected room events get
+    @ExceptionHandler(RoomNotFoundException.class)
+    @ResponseStatus(HttpStatus.NOT_FOUND)
+    public Map<String, Object> handleNotFound(RoomNotFoundException e) {
+        return Map.of("error", e.getMessage());
+    }
+
+    @ExceptionHandler(IllegalArgumentException.class)
+    @ResponseStatus(HttpStatus.BAD_REQUEST)
+    public Map<String, Object> handleInvalid(IllegalArgumentException e) {
+        return Map.of("error", e.getMessage());
+    }
+
+    private Map<String, Object> describe(RoomInfo info) {
+        Map<String, Object> room = new LinkedHashMap<>();
+        room.put("id", info.id());
+        room.put("name", info.name());
+        room.put("created", info.created());
+        room.put("lastActivity", info.lastActivity());
+        room.put("participants", presenceService.members(info.id()).size());
+        return room;
+    }
+
+    private static String nameIn(Map<String, Object> body) {
+        if (body == null || body.get("name") == null) {
+            return null;
+        }
+        if (!(body.get("name") instanceof String name)) {
+            throw new IllegalArgumentException("name must be a string");
+        }
+        return name;
+    }
+}
@@ -1,70 +1,194 @@
 package com.sumukh.socket.controller;
 
+import com.sumukh.socket.exceptions.InvalidRoomEventException;
+import com.sumukh.socket.exceptions.RoomNotFoundException;
+import com.sumukh.socket.models.ElementAction;
+import com.sumukh.socket.models.ElementType;
+import com.sumukh.socket.models.RoomEvent;
+import com.sumukh.socket.service.PresenceService;
+import com.sumukh.socket.service.RoomService;
+import com.sumukh.socket.service.RoomStateService;
+import java.util.ArrayList;
+import java.util.List;
 import java.util.Map;
+import java.util.regex.Pattern;
+import org.springframework.context.event.EventListener;
 import org.springframework.messaging.handler.annotation.DestinationVariable;
+import org.springframework.messaging.handler.annotation.Header;
+import org.springframework.messaging.handler.annotation.MessageExceptionHandler;
 import org.springframework.messaging.handler.annotation.MessageMapping;
+import org.springframework.messaging.handler.annotation.Payload;
 import org.springframework.messaging.simp.SimpMessagingTemplate;
+import org.springframework.messaging.simp.annotation.SendToUser;
+import org.springframework.messaging.simp.annotation.SubscribeMapping;
 import org.springframework.stereotype.Controller;
+import org.springframework.web.socket.messaging.SessionDisconnectEvent;
 
 @Controller
 public class RoomEventController {
 
+    private static final int MAX_ROOM_ID_LENGTH = 64;
+    private static final int MAX_NAME_LENGTH = 32;
+    private static final Pattern COLOR = Pattern.compile("#[0-9a-fA-F]{6}");
+
     private final SimpMessagingTemplate messagingTemplate;
+    private final RoomStateService roomStateService;
+    private final PresenceService presenceService;
+    private final RoomService roomService;
 
-    public RoomEventController(SimpMessagingTemplate messagingTemplate) {
+    public RoomEventController(SimpMessagingTemplate messagingTemplate, RoomStateService roomStateService,
+                               PresenceService presenceService, RoomService roomService) {
         this.messagingTemplate = messagingTemplate;
+        this.roomStateService = roomStateService;
+        this.presenceService = presenceService;
+        this.roomService = roomService;
     }
 
-    @MessageMapping("/rooms/{roomId}/line-created")
-    public void handleLineCreated(@DestinationVariable String roomId, Map<String, Object> payload) {
-        messagingTemplate.convertAndSend("/topic/rooms/" + roomId + "/line-created", (Object) payload);
-
+    // Joiners subscribe here once and get the current board straight back, if the room exists
+    @SubscribeMapping("/rooms/{roomId}/snapshot")
+    public Map<String, Object> handleSnapshot(@DestinationVariable String roomId) {
+        requireRoom(roomId);
+        return roomStateService.snapshot(roomId);
     }
 
-    @MessageMapping("/rooms/{roomId}/line-updated")
-    public void handleLineUpdated(@DestinationVariable String roomId, Map<String, Object> payload) {
-        messagingTemplate.convertAndSend("/topic/rooms/" + roomId + "/line-updated", (Object) payload);
-
-
+    @MessageMapping("/rooms/{roomId}/{event}")
+    public void handleRoomEvent(@DestinationVariable String roomId, @DestinationVariable String event,
+                                @Payload Map<String, Object> payload) {
+        requireRoom(roomId);
+        RoomEvent roomEvent = RoomEvent.parse(event);
+        validate(roomId, roomEvent, payload);
+        if (roomStateService.apply(roomId, roomEvent, payload)) {
+            // Edits count as activity in the room, cursors and views do not
+            if (roomEvent.isElementEvent()) {
+                roomService.touch(roomId);
+            }
+            messagingTemplate.convertAndSend("/topic/rooms/" + roomId + "/" + roomEvent.name(), (Object) payload);
+        }
     }
 
-    @MessageMapping("/rooms/{roomId}/shape-created")
-    public void handleShapeCreated(@DestinationVariable String roomId, Map<String, Object> payload) {
-        messagingTemplate.convertAndSend("/topic/rooms/" + roomId + "/shape-created", (Object) payload);
-
-
+    // Several element events that belong to one user action, e.g. moving a multi-selection.
+    // The batch is rejected as a whole if any entry is invalid; entries that lose to newer
+    // writes are dropped and the rest are relayed together.
+    @MessageMapping("/rooms/{roomId}/batch")
+    public void handleBatch(@DestinationVariable String roomId, @Payload Map<String, Object> payload) {
+        requireRoom(roomId);
+        if (payload == null || !(payload.get("events") instanceof List<?> entries) || entries.isEmpty()) {
+            throw new InvalidRoomEventException("batch requires a list of events");
+        }
+        List<RoomEvent> events = new ArrayList<>();
+        List<Map<String, Object>> payloads = new ArrayList<>();
+        for (Object entry : entries) {
+            if (!(entry instanceof Map<?, ?> map) || !(map.get("event") instanceof String name)
+                    || !(map.get("payload") instanceof Map<?, ?> eventPayload)) {
+                throw new InvalidRoomEventException("batch entries need an event and a payload");
+            }
+            RoomEvent roomEvent = RoomEvent.parse(name);
+            if (!roomEvent.isElementEvent()) {
+                throw new InvalidRoomEventException("batch can only contain element events, not " + name);
+            }
+            @SuppressWarnings("unchecked")
+            Map<String, Object> typed = (Map<String, Object>) eventPayload;
+            validate(roomId, roomEvent, typed);
+            events.add(roomEvent);
+            payloads.add(typed);
+        }
+
+        List<Map<String, Object>> accepted = new ArrayList<>();
+        for (int i = 0; i < events.size(); i++) {
+            if (roomStateService.apply(roomId, events.get(i), payloads.get(i))) {
+                accepted.add(Map.of("event", events.get(i).name(), "payload", payloads.get(i)));
+            }
+        }
+        if (!accepted.isEmpty()) {
+            roomService.touch(roomId);
+            messagingTemplate.convertAndSend("/topic/rooms/" + roomId + "/batch", (Object) Map.of("events", accepted));
+        }
     }
 
-    @MessageMapping("/rooms/{roomId}/shape-updated")
-    public void handleShapeUpdated(@DestinationVariable String roomId, Map<String, Object> payload) {
-        messagingTemplate.convertAndSend("/topic/rooms/" + roomId + "/shape-updated", (Object) payload);
-
-
+    // A participant says who they are once connected; everyone in the room, them included,
+    // gets the new member list
+    @MessageMapping("/rooms/{roomId}/member-joined")
+    public void handleMemberJoined(@DestinationVariable String roomId, @Payload Map<String, Object> payload,
+                                   @Header("simpSessionId") String sessionId) {
+        requireRoom(roomId);
+        validate(roomId, RoomEvent.parse("member-joined"), payload);
+        presenceService.join(roomId, sessionId, payload);
+        roomService.touch(roomId);
+        publishMembers(roomId);
     }
 
-    @MessageMapping("/rooms/{roomId}/cursor-updated")
-    public void handleCursorUpdated(@DestinationVariable String roomId, Map<String, Object> payload) {
-        messagingTemplate.convertAndSend("/topic/rooms/" + roomId + "/cursor-updated", (Object) payload);
-
-
+    // However the connection ended, its member leaves the room and its cursor goes with it
+    @EventListener
+    public void handleDisconnect(SessionDisconnectEvent event) {
+        presenceService.leave(event.getSessionId()).forEach((roomId, member) -> {
+            messagingTemplate.convertAndSend("/topic/rooms/" + roomId + "/cursor-left", (Object) Map.of("id", member.get("id")));
+            publishMembers(roomId);
+        });
     }
 
-    @MessageMapping("/rooms/{roomId}/cursor-left")
-    public void handleCursorLeft(@DestinationVariable String roomId, Map<String, Object> payload) {
-        messagingTemplate.convertAndSend("/topic/rooms/" + roomId + "/cursor-left", (Object) payload);
-
+    private void publishMembers(String roomId) {
+        messagingTemplate.convertAndSend("/topic/rooms/" + roomId + "/members",
+                (Object) Map.of("members", presenceService.members(roomId)));
     }
 
-    @MessageMapping("/rooms/{roomId}/request-state")
-    public void handleStateRequest(@DestinationVariable String roomId, Map<String, Object> payload) {
-        messagingTemplate.convertAndSend("/topic/rooms/" + roomId + "/request-state", (Object) payload);
-
+    @MessageExceptionHandler({InvalidRoomEventException.class, RoomNotFoundException.class})
+    @SendToUser(destinations = "/queue/errors", broadcast = false)
+    public Map<String, Object> handleInvalidEvent(RuntimeException e) {
+        return Map.of("error", e.getMessage());
     }
 
-    @MessageMapping("/rooms/{roomId}/state-sync")
-    public void handleStateSync(@DestinationVariable String roomId, Map<String, Object> payload) {
-        messagingTemplate.convertAndSend("/topic/rooms/" + roomId + "/state-sync", (Object) payload);
-
+    // Only rooms made through the room API exist; events for any other id go nowhere, so
+    // nobody can open a room under a name of their choosing
+    private void requireRoom(String roomId) {
+        if (roomService.find(roomId).isEmpty()) {
+            throw new RoomNotFoundException(roomId);
+        }
+    }
 
+    private void validate(String roomId, RoomEvent event, Map<String, Object> payload) {
+        if (roomId.isBlank() || roomId.length() > MAX_ROOM_ID_LENGTH) {
+            throw new InvalidRoomEventException("Invalid room id");
+        }
+        if (payload == null) {
+            throw new InvalidRoomEventException("Missing payload for " + event.name());
+        }
+        // Every event is about an element or a participant
+        if (!(payload.get("id") instanceof String id) || id.isBlank()) {
+            throw new InvalidRoomEventException(event.name() + " requires an id");
+        }
+        if (event.name().equals("member-joined")) {
+            if (!(payload.get("name") instanceof String name) || name.isBlank() || name.length() > MAX_NAME_LENGTH) {
+                throw new InvalidRoomEventException("member-joined requires a name of at most " + MAX_NAME_LENGTH + " characters");
+            }
+            if (!(payload.get("color") instanceof String color) || !COLOR.matcher(color).matches()) {
+                throw new InvalidRoomEventException("member-joined color must be a #rrggbb colour");
+            }
+        }
+        // A participant's view is the board area they see, which followers fit to their own screen
+        if (event.name().equals("viewport-updated") || event.name().equals("follow-requested")) {
+            if (!(payload.get("x") instanceof Number && payload.get("y") instanceof Number
+                    && payload.get("width") instanceof Number width && width.doubleValue() > 0
+                    && payload.get("height") instanceof Number height && height.doubleValue() > 0)) {
+                throw new InvalidRoomEventException(event.name() + " requires x, y and a positive width and height");
+            }
+        }
+        if (event.action() == ElementAction.POINTS_APPENDED
+                && !(payload.get("points") instanceof List && payload.get("offset") instanceof Number)) {
+            throw new InvalidRoomEventException(event.name() + " requires points and an offset");
+        }
+        // Writes replace the whole group, and clients cannot draw one without its members
+        if (event.elementType() == ElementType.GROUP && event.action() != ElementAction.REMOVED
+                && !(payload.get("members") instanceof List<?> members && !members.isEmpty()
+                        && members.stream().allMatch(String.class::isInstance))) {
+            throw new InvalidRoomEventException(event.name() + " members must be a non-empty list of ids");
+        }
+        if (event.elementType() == ElementType.CONNECTOR && payload.containsKey("points")
+                && !(payload.get("points") instanceof List<?> points && points.size() == 4
+                        && points.stream().allMatch(Number.class::isInstance))) {
+            throw new InvalidRoomEventException(event.name() + " points must be a list of four numbers");
+        }
+        if (payload.containsKey("version") && !(payload.get("version") instanceof Number)) {
+            throw new InvalidRoomEventException(event.name() + " version must be a number");
+        }
     }
 }
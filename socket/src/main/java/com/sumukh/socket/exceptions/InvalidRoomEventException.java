@@ -0,0 +1,8 @@
+package com.sumukh.socket.exceptions;
+
+public class InvalidRoomEventException extends RuntimeException {
+
+    public InvalidRoomEventException(String message) {
+        super(message);
+    }
+}
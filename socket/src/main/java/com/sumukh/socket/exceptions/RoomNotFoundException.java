@@ -0,0 +1,8 @@
+package com.sumukh.socket.exceptions;
+
+public class RoomNotFoundException extends RuntimeException {
+
+    public RoomNotFoundException(String roomId) {
+        super("Room " + roomId + " does not exist");
+    }
+}
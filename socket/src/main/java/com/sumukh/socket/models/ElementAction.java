@@ -0,0 +1,36 @@
+package com.sumukh.socket.models;
+
+import java.util.Locale;
+
+public enum ElementAction {
+
+    CREATED(false),
+    UPDATED(false),
+    REMOVED(false),
+    // Pen strokes stream their points while drawing and send the simplified stroke once done
+    POINTS_APPENDED(true),
+    FINALIZED(true);
+
+    private final boolean strokeOnly;
+
+    ElementAction(boolean strokeOnly) {
+        this.strokeOnly = strokeOnly;
+    }
+
+    public String suffix() {
+        return name().toLowerCase(Locale.ROOT).replace('_', '-');
+    }
+
+    public boolean appliesTo(ElementType type) {
+        return !strokeOnly || type == ElementType.LINE;
+    }
+
+    public static ElementAction fromSuffix(String suffix) {
+        for (ElementAction action : values()) {
+            if (action.suffix().equals(suffix)) {
+                return action;
+            }
+        }
+        return null;
+    }
+}
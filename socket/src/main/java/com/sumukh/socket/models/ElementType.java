@@ -0,0 +1,28 @@
+package com.sumukh.socket.models;
+
+import java.util.Locale;
+
+public enum ElementType {
+
+    LINE,
+    SHAPE,
+    IMAGE,
+    TEXT,
+    // Holds member element ids and a transform of its own
+    GROUP,
+    // A straight line or arrow whose ends may be attached to other elements
+    CONNECTOR;
+
+    public String prefix() {
+        return name().toLowerCase(Locale.ROOT);
+    }
+
+    public static ElementType fromPrefix(String prefix) {
+        for (ElementType type : values()) {
+            if (type.prefix().equals(prefix)) {
+                return type;
+            }
+        }
+        return null;
+    }
+}
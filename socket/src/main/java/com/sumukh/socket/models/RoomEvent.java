@@ -0,0 +1,41 @@
+package com.sumukh.socket.models;
+
+import com.sumukh.socket.exceptions.InvalidRoomEventException;
+import java.util.Set;
+
+/**
+ * A parsed room event name. Element events are named {@code <type>-<action>},
+ * e.g. {@code line-created}; everything else must be one of the session events.
+ */
+public record RoomEvent(String name, ElementType elementType, ElementAction action) {
+
+    public static final Set<String> SESSION_EVENTS = Set.of(
+            "cursor-updated",
+            "cursor-left",
+            "member-joined",
+            "viewport-updated",
+            "follow-requested"
+    );
+
+    public boolean isElementEvent() {
+        return elementType != null;
+    }
+
+    public static RoomEvent parse(String name) {
+        if (name == null || name.isBlank()) {
+            throw new InvalidRoomEventException("Missing event name");
+        }
+        if (SESSION_EVENTS.contains(name)) {
+            return new RoomEvent(name, null, null);
+        }
+        int dash = name.indexOf('-');
+        if (dash > 0) {
+            ElementType type = ElementType.fromPrefix(name.substring(0, dash));
+            ElementAction action = ElementAction.fromSuffix(name.substring(dash + 1));
+            if (type != null && action != null && action.appliesTo(type)) {
+                return new RoomEvent(name, type, action);
+            }
+        }
+        throw new InvalidRoomEventException("Unknown event: " + name);
+    }
+}
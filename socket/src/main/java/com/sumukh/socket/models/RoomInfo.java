@@ -0,0 +1,15 @@
+package com.sumukh.socket.models;
+
+/**
+ * What the lobby knows about a room besides its board. Times are epoch milliseconds.
+ */
+public record RoomInfo(String id, String name, long created, long lastActivity) {
+
+    public RoomInfo withName(String name) {
+        return new RoomInfo(id, name, created, lastActivity);
+    }
+
+    public RoomInfo touchedAt(long time) {
+        return new RoomInfo(id, name, created, Math.max(lastActivity, time));
+    }
+}
@@ -0,0 +1,179 @@
+package com.sumukh.socket.models;
+
+import java.util.ArrayList;
+import java.util.EnumMap;
+import java.util.HashMap;
+import java.util.LinkedHashMap;
+import java.util.List;
+import java.util.Map;
+
+/**
+ * The canonical element map of one room. Elements keep their insertion order so
+ * snapshots render in the same order they were drawn.
+ *
+ * <p>Every write carries a Lamport {@code version} and the {@code author} client id.
+ * For each element id the write with the highest (version, author) pair wins,
+ * removals included, which is the same rule the clients apply.
+ */
+public class RoomState {
+
+    private final Map<ElementType, LinkedHashMap<String, Map<String, Object>>> elements = new EnumMap<>(ElementType.class);
+    private final Map<String, Map<String, Object>> tombstones = new LinkedHashMap<>();
+    // When each tombstone was written here, for pruning; tombstones loaded from a snapshot count from the load
+    private final Map<String, Long> removedAt = new HashMap<>();
+
+    public RoomState() {
+        for (ElementType type : ElementType.values()) {
+            elements.put(type, new LinkedHashMap<>());
+        }
+    }
+
+    /**
+     * Applies an element event and reports whether it won. Losing events are stale
+     * and need not be relayed.
+     */
+    public synchronized boolean apply(RoomEvent event, Map<String, Object> payload) {
+        LinkedHashMap<String, Map<String, Object>> byId = elements.get(event.elementType());
+        String id = (String) payload.get("id");
+        Map<String, Object> current = byId.containsKey(id) ? byId.get(id) : tombstones.get(id);
+        if (current != null && compareStamps(payload, current) <= 0) {
+            return false;
+        }
+        switch (event.action()) {
+            case REMOVED -> {
+                byId.remove(id);
+                tombstones.put(id, tombstone(event.elementType(), payload));
+                removedAt.put(id, System.currentTimeMillis());
+            }
+            case POINTS_APPENDED -> {
+                return appendPoints(byId, id, payload);
+            }
+            default -> {
+                tombstones.remove(id);
+                removedAt.remove(id);
+                byId.put(id, copyOf(payload));
+            }
+        }
+        return true;
+    }
+
+    // Appends a streamed batch of stroke points. `offset` is how many coordinates the
+    // sender had already sent, so repeated batches are trimmed and gaps are refused.
+    // Pressures are only kept on strokes created with them and are trimmed by the same
+    // number of points.
+    @SuppressWarnings("unchecked")
+    private static boolean appendPoints(Map<String, Map<String, Object>> byId, String id, Map<String, Object> payload) {
+        Map<String, Object> line = byId.get(id);
+        if (line == null || !(line.get("points") instanceof List<?> existing)
+                || !(payload.get("points") instanceof List<?> batch)
+                || !(payload.get("offset") instanceof Number offset)) {
+            return false;
+        }
+        int skip = existing.size() - offset.intValue();
+        if (skip < 0 || skip >= batch.size()) {
+            return false;
+        }
+        List<Object> points = new ArrayList<>((List<Object>) existing);
+        points.addAll(batch.subList(skip, batch.size()));
+        // Snapshots hand out the stored maps, so replace the element instead of mutating it
+        Map<String, Object> appended = new LinkedHashMap<>(line);
+        appended.put("points", points);
+        if (line.get("pressures") instanceof List<?> pressures && payload.get("pressures") instanceof List<?> more) {
+            List<Object> merged = new ArrayList<>((List<Object>) pressures);
+            merged.addAll(more.subList(Math.min(skip / 2, more.size()), more.size()));
+            appended.put("pressures", merged);
+        }
+        appended.put("version", payload.get("version"));
+        appended.put("author", payload.get("author"));
+        byId.put(id, appended);
+        return true;
+    }
+
+    @SuppressWarnings("unchecked")
+    public synchronized void replace(Map<String, Object> snapshot) {
+        for (ElementType type : ElementType.values()) {
+            Object list = snapshot.get(collectionKey(type));
+            if (!(list instanceof List)) {
+                continue;
+            }
+            LinkedHashMap<String, Map<String, Object>> byId = elements.get(type);
+            byId.clear();
+            for (Object element : (List<Object>) list) {
+                if (element instanceof Map<?, ?> map && map.get("id") instanceof String id) {
+                    byId.put(id, copyOf((Map<String, Object>) map));
+                }
+            }
+        }
+        tombstones.clear();
+        removedAt.clear();
+        long now = System.currentTimeMillis();
+        if (snapshot.get("removed") instanceof List<?> removed) {
+            for (Object tombstone : removed) {
+                if (tombstone instanceof Map<?, ?> map && map.get("id") instanceof String id) {
+                    tombstones.put(id, new LinkedHashMap<>((Map<String, Object>) map));
+                    removedAt.put(id, now);
+                }
+            }
+        }
+    }
+
+    /**
+     * Forgets removals made before {@code time}. A tombstone only matters while some client
+     * may still hold the element it removed, so after a while it is just weight in every
+     * snapshot; a client offline for longer than that could bring the element back.
+     */
+    public synchronized void pruneTombstones(long time) {
+        removedAt.entrySet().removeIf(entry -> {
+            boolean old = entry.getValue() < time;
+            if (old) {
+                tombstones.remove(entry.getKey());
+            }
+            return old;
+        });
+    }
+
+    public synchronized Map<String, Object> snapshot() {
+        Map<String, Object> snapshot = new LinkedHashMap<>();
+        for (ElementType type : ElementType.values()) {
+            snapshot.put(collectionKey(type), new ArrayList<>(elements.get(type).values()));
+        }
+        snapshot.put("removed", new ArrayList<>(tombstones.values()));
+        return snapshot;
+    }
+
+    public static String collectionKey(ElementType type) {
+        return type.prefix() + "s";
+    }
+
+    public static int compareStamps(Map<String, Object> a, Map<String, Object> b) {
+        int byVersion = Double.compare(version(a), version(b));
+        if (byVersion != 0) {
+            return byVersion;
+        }
+        return author(a).compareTo(author(b));
+    }
+
+    private static double version(Map<String, Object> element) {
+        return element.get("version") instanceof Number version ? version.doubleValue() : 0;
+    }
+
+    private static String author(Map<String, Object> element) {
+        return element.get("author") instanceof String author ? author : "";
+    }
+
+    private static Map<String, Object> tombstone(ElementType type, Map<String, Object> payload) {
+        Map<String, Object> tombstone = new LinkedHashMap<>();
+        tombstone.put("kind", type.prefix());
+        tombstone.put("id", payload.get("id"));
+        tombstone.put("version", payload.get("version"));
+        tombstone.put("author", payload.get("author"));
+        return tombstone;
+    }
+
+    private static Map<String, Object> copyOf(Map<String, Object> payload) {
+        Map<String, Object> element = new LinkedHashMap<>(payload);
+        // Clients tag every publish with the room; it is not part of the element
+        element.remove("roomId");
+        return element;
+    }
+}
@@ -0,0 +1,49 @@
+package com.sumukh.socket.service;
+
+import java.util.Set;
+import java.util.concurrent.ConcurrentHashMap;
+import java.util.function.Consumer;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+
+/**
+ * Rooms with changes the store does not have yet. A room whose write fails stays dirty
+ * and is tried again on the next flush.
+ */
+final class DirtyRooms {
+
+    private static final Logger log = LoggerFactory.getLogger(DirtyRooms.class);
+
+    // What is being written, for the log
+    private final String what;
+    private final Set<String> roomIds = ConcurrentHashMap.newKeySet();
+
+    DirtyRooms(String what) {
+        this.what = what;
+    }
+
+    void add(String roomId) {
+        roomIds.add(roomId);
+    }
+
+    void remove(String roomId) {
+        roomIds.remove(roomId);
+    }
+
+    boolean contains(String roomId) {
+        return roomIds.contains(roomId);
+    }
+
+    // Changes made while a room is being written mark it dirty again for the next flush
+    void flush(Consumer<String> write) {
+        for (String roomId : roomIds) {
+            roomIds.remove(roomId);
+            try {
+                write.accept(roomId);
+            } catch (RuntimeException e) {
+                roomIds.add(roomId);
+                log.warn("Could not persist the {} of room {}", what, roomId, e);
+            }
+        }
+    }
+}
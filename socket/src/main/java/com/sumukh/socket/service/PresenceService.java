@@ -0,0 +1,50 @@
+package com.sumukh.socket.service;
+
+import java.util.ArrayList;
+import java.util.HashMap;
+import java.util.LinkedHashMap;
+import java.util.List;
+import java.util.Map;
+import org.springframework.stereotype.Service;
+
+/**
+ * Who is in which room. Members are tracked by the WebSocket session that announced
+ * them, so a connection that drops takes its member out of the room even when the
+ * client never got to say goodbye.
+ */
+@Service
+public class PresenceService {
+
+    // roomId -> sessionId -> member, in the order they joined
+    private final Map<String, Map<String, Map<String, Object>>> rooms = new HashMap<>();
+
+    /**
+     * Records the session's member in the room, replacing what it announced before, and
+     * returns everyone now in the room.
+     */
+    public synchronized List<Map<String, Object>> join(String roomId, String sessionId, Map<String, Object> member) {
+        Map<String, Map<String, Object>> members = rooms.computeIfAbsent(roomId, id -> new LinkedHashMap<>());
+        members.put(sessionId, Map.of("id", member.get("id"), "name", member.get("name"), "color", member.get("color")));
+        return members(roomId);
+    }
+
+    public synchronized List<Map<String, Object>> members(String roomId) {
+        return new ArrayList<>(rooms.getOrDefault(roomId, Map.of()).values());
+    }
+
+    /**
+     * Takes the session out of every room it joined and returns the member it was in
+     * each of them, by room id.
+     */
+    public synchronized Map<String, Map<String, Object>> leave(String sessionId) {
+        Map<String, Map<String, Object>> left = new HashMap<>();
+        rooms.forEach((roomId, members) -> {
+            Map<String, Object> member = members.remove(sessionId);
+            if (member != null) {
+                left.put(roomId, member);
+            }
+        });
+        rooms.values().removeIf(Map::isEmpty);
+        return left;
+    }
+}
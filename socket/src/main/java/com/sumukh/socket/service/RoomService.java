@@ -0,0 +1,111 @@
+package com.sumukh.socket.service;
+
+import com.sumukh.socket.exceptions.RoomNotFoundException;
+import com.sumukh.socket.models.RoomInfo;
+import com.sumukh.socket.store.RoomStore;
+import jakarta.annotation.PostConstruct;
+import jakarta.annotation.PreDestroy;
+import java.security.SecureRandom;
+import java.util.Base64;
+import java.util.Map;
+import java.util.Optional;
+import java.util.concurrent.ConcurrentHashMap;
+import org.springframework.scheduling.annotation.Scheduled;
+import org.springframework.stereotype.Service;
+
+/**
+ * The rooms that exist. Rooms are created here under a random id nobody can guess,
+ * so knowing the id is what lets someone in. The info of every room is small, so all
+ * of it is loaded from the {@link RoomStore} on startup and written back periodically
+ * while it changes; looking a room up never touches the store.
+ */
+@Service
+public class RoomService {
+
+    public static final int MAX_NAME_LENGTH = 64;
+    public static final String DEFAULT_NAME = "Untitled board";
+    // 128 bits, 22 URL-safe characters
+    private static final int ID_BYTES = 16;
+
+    private final RoomStore store;
+    private final RoomStateService roomStateService;
+    private final SecureRandom random = new SecureRandom();
+    private final Map<String, RoomInfo> rooms = new ConcurrentHashMap<>();
+    private final DirtyRooms dirtyRooms = new DirtyRooms("info");
+
+    public RoomService(RoomStore store, RoomStateService roomStateService) {
+        this.store = store;
+        this.roomStateService = roomStateService;
+    }
+
+    public RoomInfo create(String name) {
+        String cleaned = name == null || name.isBlank() ? DEFAULT_NAME : cleanName(name);
+        byte[] bytes = new byte[ID_BYTES];
+        random.nextBytes(bytes);
+        String id = Base64.getUrlEncoder().withoutPadding().encodeToString(bytes);
+        long now = System.currentTimeMillis();
+        RoomInfo info = new RoomInfo(id, cleaned, now, now);
+        store.saveInfo(info);
+        rooms.put(id, info);
+        return info;
+    }
+
+    public Optional<RoomInfo> find(String roomId) {
+        return Optional.ofNullable(rooms.get(roomId));
+    }
+
+    public RoomInfo rename(String roomId, String name) {
+        if (name == null || name.isBlank()) {
+            throw new IllegalArgumentException("A room needs a name");
+        }
+        String cleaned = cleanName(name);
+        RoomInfo info = rooms.computeIfPresent(roomId, (id, current) -> {
+            RoomInfo renamed = current.withName(cleaned);
+            store.saveInfo(renamed);
+            return renamed;
+        });
+        if (info == null) {
+            throw new RoomNotFoundException(roomId);
+        }
+        return info;
+    }
+
+    public void delete(String roomId) {
+        if (rooms.remove(roomId) == null) {
+            throw new RoomNotFoundException(roomId);
+        }
+        dirtyRooms.remove(roomId);
+        roomStateService.discard(roomId);
+    }
+
+    /**
+     * Records activity in a room, saved with the next flush.
+     */
+    public void touch(String roomId) {
+        if (rooms.computeIfPresent(roomId, (id, info) -> info.touchedAt(System.currentTimeMillis())) != null) {
+            dirtyRooms.add(roomId);
+        }
+    }
+
+    @Scheduled(fixedDelayString = "${whiteboard.rooms.flush-interval:2000}")
+    @PreDestroy
+    public void flush() {
+        dirtyRooms.flush(roomId -> rooms.computeIfPresent(roomId, (id, info) -> {
+            store.saveInfo(info);
+            return info;
+        }));
+    }
+
+    @PostConstruct
+    void loadRooms() {
+        store.loadAllInfo().forEach(info -> rooms.put(info.id(), info));
+    }
+
+    private static String cleanName(String name) {
+        String cleaned = name.strip().replaceAll("\\s+", " ");
+        if (cleaned.length() > MAX_NAME_LENGTH) {
+            throw new IllegalArgumentException("Room names are at most " + MAX_NAME_LENGTH + " characters");
+        }
+        return cleaned;
+    }
+}
@@ -0,0 +1,110 @@
+package com.sumukh.socket.service;
+
+import com.sumukh.socket.models.RoomEvent;
+import com.sumukh.socket.models.RoomState;
+import com.sumukh.socket.store.RoomStore;
+import jakarta.annotation.PreDestroy;
+import java.time.Duration;
+import java.util.Map;
+import java.util.concurrent.ConcurrentHashMap;
+import org.springframework.beans.factory.annotation.Value;
+import org.springframework.scheduling.annotation.Scheduled;
+import org.springframework.stereotype.Service;
+
+/**
+ * Keeps the authoritative board of every active room. Rooms are loaded from the
+ * {@link RoomStore} on first use, written back periodically while they change and
+ * dropped from memory once saved with nobody in them.
+ */
+@Service
+public class RoomStateService {
+
+    private final RoomStore store;
+    private final PresenceService presenceService;
+    private final Duration tombstoneLifetime;
+    // Changes to a room's entry happen inside compute calls on this map, so an event is never
+    // applied to a room that is being saved and dropped at the same time
+    private final Map<String, RoomState> rooms = new ConcurrentHashMap<>();
+    private final DirtyRooms dirtyRooms = new DirtyRooms("board");
+    // Room ids are never reused, so events still arriving for a deleted room are dropped.
+    // Deleted rooms are remembered, with when they were deleted, as long as tombstones are.
+    private final Map<String, Long> discardedRooms = new ConcurrentHashMap<>();
+
+    public RoomStateService(RoomStore store, PresenceService presenceService,
+                            @Value("${whiteboard.rooms.tombstone-lifetime:7d}") Duration tombstoneLifetime) {
+        this.store = store;
+        this.presenceService = presenceService;
+        this.tombstoneLifetime = tombstoneLifetime;
+    }
+
+    /**
+     * Applies an event to the room and returns whether it should be relayed. Session
+     * events always pass; element events only when they win the merge.
+     */
+    public boolean apply(String roomId, RoomEvent event, Map<String, Object> payload) {
+        if (!event.isElementEvent()) {
+            return true;
+        }
+        boolean[] applied = {false};
+        rooms.compute(roomId, (id, state) -> {
+            if (discardedRooms.containsKey(id)) {
+                return state;
+            }
+            RoomState room = state != null ? state : load(id);
+            applied[0] = room.apply(event, payload);
+            if (applied[0]) {
+                dirtyRooms.add(id);
+            }
+            return room;
+        });
+        return applied[0];
+    }
+
+    public Map<String, Object> snapshot(String roomId) {
+        return rooms.computeIfAbsent(roomId, this::load).snapshot();
+    }
+
+    /**
+     * Drops the room's board, in memory and in the store. Flushes save rooms inside the
+     * same map entry, so one already under way either finishes first or finds nothing.
+     */
+    public void discard(String roomId) {
+        discardedRooms.put(roomId, System.currentTimeMillis());
+        rooms.compute(roomId, (id, state) -> {
+            dirtyRooms.remove(id);
+            store.delete(id);
+            return null;
+        });
+    }
+
+    @Scheduled(fixedDelayString = "${whiteboard.rooms.flush-interval:2000}")
+    @PreDestroy
+    public void flush() {
+        long prunedBefore = System.currentTimeMillis() - tombstoneLifetime.toMillis();
+        dirtyRooms.flush(roomId -> rooms.computeIfPresent(roomId, (id, state) -> {
+            state.pruneTombstones(prunedBefore);
+            store.save(id, state.snapshot());
+            return state;
+        }));
+        // Saved rooms nobody is in are let go; the next visit loads them again
+        for (String roomId : rooms.keySet()) {
+            rooms.computeIfPresent(roomId, (id, state) ->
+                    dirtyRooms.contains(id) || !presenceService.members(id).isEmpty() ? state : null);
+        }
+        discardedRooms.values().removeIf(time -> time < prunedBefore);
+    }
+
+    boolean isLoaded(String roomId) {
+        return rooms.containsKey(roomId);
+    }
+
+    boolean isDiscarded(String roomId) {
+        return discardedRooms.containsKey(roomId);
+    }
+
+    private RoomState load(String roomId) {
+        RoomState state = new RoomState();
+        store.load(roomId).ifPresent(state::replace);
+        return state;
+    }
+}
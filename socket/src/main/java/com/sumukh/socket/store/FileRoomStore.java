@@ -0,0 +1,115 @@
+package com.sumukh.socket.store;
+
+import com.sumukh.socket.models.RoomInfo;
+import java.io.IOException;
+import java.io.InputStream;
+import java.io.OutputStream;
+import java.io.UncheckedIOException;
+import java.net.URLDecoder;
+import java.net.URLEncoder;
+import java.nio.charset.StandardCharsets;
+import java.nio.file.Files;
+import java.nio.file.Path;
+import java.nio.file.StandardCopyOption;
+import java.util.List;
+import java.util.Map;
+import java.util.Optional;
+import java.util.stream.Stream;
+import tools.jackson.databind.json.JsonMapper;
+
+/**
+ * Stores each room as a JSON file in one directory, and its info as a file of the same
+ * name in the {@code info} directory beneath it.
+ */
+public class FileRoomStore implements RoomStore {
+
+    private final Path directory;
+    private final JsonMapper jsonMapper;
+
+    public FileRoomStore(Path directory, JsonMapper jsonMapper) {
+        this.directory = directory;
+        this.jsonMapper = jsonMapper;
+    }
+
+    @Override
+    @SuppressWarnings("unchecked")
+    public Optional<Map<String, Object>> load(String roomId) {
+        return read(fileFor(directory, roomId), Map.class, roomId).map(snapshot -> (Map<String, Object>) snapshot);
+    }
+
+    @Override
+    public void save(String roomId, Map<String, Object> snapshot) {
+        write(fileFor(directory, roomId), snapshot, roomId);
+    }
+
+    @Override
+    public List<RoomInfo> loadAllInfo() {
+        return names(infoDirectory()).stream()
+                .map(roomId -> read(fileFor(infoDirectory(), roomId), RoomInfo.class, roomId))
+                .flatMap(Optional::stream)
+                .toList();
+    }
+
+    @Override
+    public void saveInfo(RoomInfo info) {
+        write(fileFor(infoDirectory(), info.id()), info, info.id());
+    }
+
+    @Override
+    public void delete(String roomId) {
+        try {
+            Files.deleteIfExists(fileFor(directory, roomId));
+            Files.deleteIfExists(fileFor(infoDirectory(), roomId));
+        } catch (IOException e) {
+            throw new UncheckedIOException("Could not delete room " + roomId, e);
+        }
+    }
+
+    private <T> Optional<T> read(Path file, Class<T> type, String roomId) {
+        if (!Files.exists(file)) {
+            return Optional.empty();
+        }
+        try (InputStream in = Files.newInputStream(file)) {
+            return Optional.of(jsonMapper.readValue(in, type));
+        } catch (IOException e) {
+            throw new UncheckedIOException("Could not read room " + roomId, e);
+        }
+    }
+
+    private void write(Path file, Object value, String roomId) {
+        try {
+            Files.createDirectories(file.getParent());
+            // Write next to the target and move it in place so a crash never leaves half a board
+            Path temp = Files.createTempFile(file.getParent(), "room-", ".tmp");
+            try (OutputStream out = Files.newOutputStream(temp)) {
+                jsonMapper.writeValue(out, value);
+            }
+            Files.move(temp, file, StandardCopyOption.REPLACE_EXISTING, StandardCopyOption.ATOMIC_MOVE);
+        } catch (IOException e) {
+            throw new UncheckedIOException("Could not write room " + roomId, e);
+        }
+    }
+
+    // The room ids of the files in one directory
+    private static List<String> names(Path directory) {
+        if (!Files.isDirectory(directory)) {
+            return List.of();
+        }
+        try (Stream<Path> files = Files.list(directory)) {
+            return files.map(file -> file.getFileName().toString())
+                    .filter(name -> name.endsWith(".json"))
+                    .map(name -> URLDecoder.decode(name.substring(0, name.length() - ".json".length()), StandardCharsets.UTF_8))
+                    .toList();
+        } catch (IOException e) {
+            throw new UncheckedIOException("Could not list rooms", e);
+        }
+    }
+
+    private Path infoDirectory() {
+        return directory.resolve("info");
+    }
+
+    private static Path fileFor(Path directory, String roomId) {
+        return directory.resolve(URLEncoder.encode(roomId, StandardCharsets.UTF_8) + ".json");
+    }
+}
@@ -0,0 +1,27 @@
+package com.sumukh.socket.store;
+
+import com.sumukh.socket.models.RoomInfo;
+import java.util.List;
+import java.util.Map;
+import java.util.Optional;
+
+/**
+ * Persists rooms between restarts: their snapshots, the same
+ * {@code {lines, shapes, images, texts, groups, connectors}} maps that joiners receive,
+ * and their {@link RoomInfo}.
+ */
+public interface RoomStore {
+
+    Optional<Map<String, Object>> load(String roomId);
+
+    void save(String roomId, Map<String, Object> snapshot);
+
+    List<RoomInfo> loadAllInfo();
+
+    void saveInfo(RoomInfo info);
+
+    /**
+     * Forgets the room entirely, board and info.
+     */
+    void delete(String roomId);
+}
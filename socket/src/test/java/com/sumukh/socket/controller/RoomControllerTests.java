@@ -0,0 +1,67 @@
+package com.sumukh.socket.controller;
+
+import static org.hamcrest.Matchers.matchesPattern;
+import static org.springframework.test.web.servlet.request.MockMvcRequestBuilders.delete;
+import static org.springframework.test.web.servlet.request.MockMvcRequestBuilders.get;
+import static org.springframework.test.web.servlet.request.MockMvcRequestBuilders.patch;
+import static org.springframework.test.web.servlet.request.MockMvcRequestBuilders.post;
+import static org.springframework.test.web.servlet.result.MockMvcResultMatchers.jsonPath;
+import static org.springframework.test.web.servlet.result.MockMvcResultMatchers.status;
+
+import com.sumukh.socket.models.RoomInfo;
+import com.sumukh.socket.service.RoomService;
+import org.junit.jupiter.api.Test;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.boot.test.context.SpringBootTest;
+import org.springframework.boot.webmvc.test.autoconfigure.AutoConfigureMockMvc;
+import org.springframework.http.MediaType;
+import org.springframework.test.web.servlet.MockMvc;
+
+@SpringBootTest(properties = "whiteboard.rooms.dir=build/test-rooms/${random.uuid}")
+@AutoConfigureMockMvc
+class RoomControllerTests {
+
+	@Autowired
+	private MockMvc mockMvc;
+
+	@Autowired
+	private RoomService roomService;
+
+	@Test
+	void createsRoomsUnderGeneratedIds() throws Exception {
+		mockMvc.perform(post("/api/rooms").contentType(MediaType.APPLICATION_JSON).content("{\"name\": \"Retro\"}"))
+				.andExpect(status().isCreated())
+				.andExpect(jsonPath("$.id").value(matchesPattern("[A-Za-z0-9_-]{22}")))
+				.andExpect(jsonPath("$.name").value("Retro"))
+				.andExpect(jsonPath("$.participants").value(0));
+	}
+
+	@Test
+	void describesRenamesAndDeletesRooms() throws Exception {
+		RoomInfo room = roomService.create("Retro");
+		String url = "/api/rooms/" + room.id();
+
+		mockMvc.perform(get(url))
+				.andExpect(status().isOk())
+				.andExpect(jsonPath("$.name").value("Retro"))
+				.andExpect(jsonPath("$.created").value(room.created()))
+				.andExpect(jsonPath("$.lastActivity").value(room.lastActivity()));
+		mockMvc.perform(patch(url).contentType(MediaType.APPLICATION_JSON).content("{\"name\": \"Retro, week 2\"}"))
+				.andExpect(status().isOk())
+				.andExpect(jsonPath("$.name").value("Retro, week 2"));
+		mockMvc.perform(delete(url))
+				.andExpect(status().isNoContent());
+		mockMvc.perform(get(url))
+				.andExpect(status().isNotFound())
+				.andExpect(jsonPath("$.error").value("Room " + room.id() + " does not exist"));
+	}
+
+	@Test
+	void rejectsBlankNames() throws Exception {
+		RoomInfo room = roomService.create("Retro");
+
+		mockMvc.perform(patch("/api/rooms/" + room.id()).contentType(MediaType.APPLICATION_JSON).content("{\"name\": \"  \"}"))
+				.andExpect(status().isBadRequest())
+				.andExpect(jsonPath("$.error").value("A room needs a name"));
+	}
+}
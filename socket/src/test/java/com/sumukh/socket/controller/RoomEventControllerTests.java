@@ -0,0 +1,410 @@
+package com.sumukh.socket.controller;
+
+import static org.assertj.core.api.Assertions.assertThat;
+
+import com.sumukh.socket.models.ElementAction;
+import com.sumukh.socket.models.ElementType;
+import com.sumukh.socket.service.RoomService;
+import java.lang.reflect.Type;
+import java.util.Arrays;
+import java.util.List;
+import java.util.Map;
+import java.util.concurrent.BlockingQueue;
+import java.util.concurrent.ConcurrentHashMap;
+import java.util.concurrent.LinkedBlockingQueue;
+import java.util.concurrent.TimeUnit;
+import org.junit.jupiter.api.AfterEach;
+import org.junit.jupiter.api.BeforeEach;
+import org.junit.jupiter.api.Test;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.beans.factory.annotation.Value;
+import org.springframework.boot.test.context.SpringBootTest;
+import org.springframework.messaging.converter.JacksonJsonMessageConverter;
+import org.springframework.messaging.simp.stomp.StompFrameHandler;
+import org.springframework.messaging.simp.stomp.StompHeaders;
+import org.springframework.messaging.simp.stomp.StompSession;
+import org.springframework.messaging.simp.stomp.StompSessionHandlerAdapter;
+import org.springframework.web.socket.client.standard.StandardWebSocketClient;
+import org.springframework.web.socket.messaging.WebSocketStompClient;
+import org.springframework.web.socket.sockjs.client.SockJsClient;
+import org.springframework.web.socket.sockjs.client.WebSocketTransport;
+
+@SpringBootTest(webEnvironment = SpringBootTest.WebEnvironment.RANDOM_PORT,
+		properties = "whiteboard.rooms.dir=build/test-rooms/${random.uuid}")
+class RoomEventControllerTests {
+
+	@Value("${local.server.port}")
+	private int port;
+
+	@Autowired
+	private RoomService roomService;
+
+	private WebSocketStompClient stompClient;
+
+	// Every test gets a room of its own
+	private String room;
+
+	@BeforeEach
+	void createRoom() {
+		room = roomService.create("Relay test").id();
+	}
+
+	@AfterEach
+	void stopClient() {
+		if (stompClient != null) {
+			stompClient.stop();
+		}
+	}
+
+	@Test
+	void relaysEveryElementEventToOtherParticipants() throws Exception {
+		Participant sender = connect();
+		Participant receiver = connect();
+
+		for (ElementType type : ElementType.values()) {
+			for (ElementAction action : relayedActions(type)) {
+				String event = type.prefix() + "-" + action.suffix();
+				receiver.subscribe("/topic/rooms/" + room + "/" + event);
+			}
+		}
+		receiver.roundTrip();
+
+		for (ElementType type : ElementType.values()) {
+			for (ElementAction action : relayedActions(type)) {
+				String event = type.prefix() + "-" + action.suffix();
+				Map<String, Object> payload = Map.of("id", event + "-id", "x", 12, "color", "#5d5dff", "members", List.of("shape-1"));
+				sender.send(event, payload);
+
+				Map<String, Object> relayed = receiver.next("/topic/rooms/" + room + "/" + event);
+				assertThat(relayed).containsEntry("id", event + "-id").containsEntry("x", 12);
+			}
+		}
+	}
+
+	@Test
+	void streamsStrokePointsOntoExistingLines() throws Exception {
+		Participant drawer = connect();
+		Participant viewer = connect();
+		viewer.subscribe("/topic/rooms/" + room + "/line-points-appended");
+		viewer.subscribe("/topic/rooms/" + room + "/line-finalized");
+		viewer.roundTrip();
+
+		drawer.send("line-created", Map.of("id", "stroke", "points", List.of(0, 0), "version", 1, "author", "a"));
+		drawer.send("line-points-appended", Map.of("id", "stroke", "offset", 2, "points", List.of(5, 5, 9, 9), "version", 2, "author", "a"));
+		// A batch that skips coordinates the room never saw cannot be applied
+		drawer.send("line-points-appended", Map.of("id", "stroke", "offset", 10, "points", List.of(1, 1), "version", 3, "author", "a"));
+		drawer.send("line-finalized", Map.of("id", "stroke", "points", List.of(0, 0, 9, 9), "version", 4, "author", "a"));
+
+		assertThat(viewer.next("/topic/rooms/" + room + "/line-points-appended")).containsEntry("points", List.of(5, 5, 9, 9));
+		assertThat(viewer.next("/topic/rooms/" + room + "/line-finalized")).containsEntry("points", List.of(0, 0, 9, 9));
+		assertThat(viewer.poll("/topic/rooms/" + room + "/line-points-appended", 200)).isNull();
+	}
+
+	@Test
+	void rejectsStrokeEventsForOtherElementTypes() throws Exception {
+		Participant sender = connect();
+		sender.subscribe("/user/queue/errors");
+		sender.roundTrip();
+
+		sender.send("shape-points-appended", Map.of("id", "shape-1", "offset", 0, "points", List.of(1, 1)));
+
+		assertThat(sender.next("/user/queue/errors")).containsEntry("error", "Unknown event: shape-points-appended");
+	}
+
+	@Test
+	void relaysSessionEvents() throws Exception {
+		Participant sender = connect();
+		Participant receiver = connect();
+		receiver.subscribe("/topic/rooms/" + room + "/cursor-left");
+		receiver.roundTrip();
+
+		sender.send("cursor-left", Map.of("id", "client-a"));
+
+		assertThat(receiver.next("/topic/rooms/" + room + "/cursor-left")).containsEntry("id", "client-a");
+	}
+
+	@Test
+	void tracksMembersUntilTheirConnectionCloses() throws Exception {
+		Participant host = connect();
+		Participant guest = connect();
+		host.subscribe("/topic/rooms/" + room + "/members");
+		host.subscribe("/topic/rooms/" + room + "/cursor-left");
+		host.roundTrip();
+
+		host.send("member-joined", Map.of("id", "host", "name", "Ada", "color", "#e11d48"));
+		host.next("/topic/rooms/" + room + "/members");
+		guest.send("member-joined", Map.of("id", "guest", "name", "Bo", "color", "#0284c7"));
+
+		assertThat((List<?>) host.next("/topic/rooms/" + room + "/members").get("members"))
+				.extracting(member -> ((Map<?, ?>) member).get("name"))
+				.containsExactly("Ada", "Bo");
+
+		guest.disconnect();
+
+		assertThat(host.next("/topic/rooms/" + room + "/cursor-left")).containsEntry("id", "guest");
+		assertThat((List<?>) host.next("/topic/rooms/" + room + "/members").get("members"))
+				.extracting(member -> ((Map<?, ?>) member).get("id"))
+				.containsExactly("host");
+	}
+
+	@Test
+	void rejectsMembersWithoutANameOrColour() throws Exception {
+		Participant sender = connect();
+		sender.subscribe("/user/queue/errors");
+		sender.roundTrip();
+
+		sender.send("member-joined", Map.of("id", "client-a", "name", " ", "color", "#e11d48"));
+		sender.send("member-joined", Map.of("id", "client-a", "name", "Ada", "color", "red"));
+
+		assertThat(sender.next("/user/queue/errors")).containsEntry("error", "member-joined requires a name of at most 32 characters");
+		assertThat(sender.next("/user/queue/errors")).containsEntry("error", "member-joined color must be a #rrggbb colour");
+	}
+
+	@Test
+	void relaysViewportsButNotEmptyOnes() throws Exception {
+		Participant presenter = connect();
+		Participant follower = connect();
+		presenter.subscribe("/user/queue/errors");
+		presenter.roundTrip();
+		follower.subscribe("/topic/rooms/" + room + "/follow-requested");
+		follower.roundTrip();
+
+		presenter.send("follow-requested", Map.of("id", "presenter", "x", -20, "y", 10, "width", 0, "height", 300));
+		presenter.send("follow-requested", Map.of("id", "presenter", "x", -20, "y", 10, "width", 400, "height", 300));
+
+		assertThat(presenter.next("/user/queue/errors"))
+				.containsEntry("error", "follow-requested requires x, y and a positive width and height");
+		assertThat(follower.next("/topic/rooms/" + room + "/follow-requested")).containsEntry("width", 400);
+		assertThat(follower.poll("/topic/rooms/" + room + "/follow-requested", 200)).isNull();
+	}
+
+	@Test
+	void rejectsUnknownEventNames() throws Exception {
+		Participant sender = connect();
+		Participant receiver = connect();
+		sender.subscribe("/user/queue/errors");
+		sender.roundTrip();
+		receiver.subscribe("/topic/rooms/" + room + "/line-erased");
+		receiver.roundTrip();
+
+		sender.send("line-erased", Map.of("id", "line-1"));
+
+		assertThat(sender.next("/user/queue/errors")).containsEntry("error", "Unknown event: line-erased");
+		assertThat(receiver.poll("/topic/rooms/" + room + "/line-erased", 500)).isNull();
+	}
+
+	@Test
+	void rejectsElementEventsWithoutId() throws Exception {
+		Participant sender = connect();
+		Participant receiver = connect();
+		sender.subscribe("/user/queue/errors");
+		sender.roundTrip();
+		receiver.subscribe("/topic/rooms/" + room + "/shape-updated");
+		receiver.roundTrip();
+
+		sender.send("shape-updated", Map.of("x", 4));
+
+		assertThat(sender.next("/user/queue/errors")).containsEntry("error", "shape-updated requires an id");
+		assertThat(receiver.poll("/topic/rooms/" + room + "/shape-updated", 500)).isNull();
+	}
+
+	@Test
+	void rejectsGroupsWithInvalidMembers() throws Exception {
+		Participant sender = connect();
+		sender.subscribe("/user/queue/errors");
+		sender.roundTrip();
+
+		sender.send("group-created", Map.of("id", "group-1", "members", List.of("shape-1", 7)));
+		sender.send("group-updated", Map.of("id", "group-1", "x", 4));
+		sender.send("group-created", Map.of("id", "group-1", "members", List.of()));
+
+		assertThat(sender.next("/user/queue/errors")).containsEntry("error", "group-created members must be a non-empty list of ids");
+		assertThat(sender.next("/user/queue/errors")).containsEntry("error", "group-updated members must be a non-empty list of ids");
+		assertThat(sender.next("/user/queue/errors")).containsEntry("error", "group-created members must be a non-empty list of ids");
+	}
+
+	@Test
+	void rejectsConnectorsWithoutTwoEndPoints() throws Exception {
+		Participant sender = connect();
+		sender.subscribe("/user/queue/errors");
+		sender.roundTrip();
+
+		sender.send("connector-created", Map.of("id", "connector-1", "points", List.of(0, 0, 10)));
+
+		assertThat(sender.next("/user/queue/errors")).containsEntry("error", "connector-created points must be a list of four numbers");
+	}
+
+	@Test
+	void servesTheRoomStateToJoiners() throws Exception {
+		Participant drawer = connect();
+		Map<String, Object> line = Map.of("id", "line-1", "points", List.of(0, 0, 10, 10), "version", 1, "author", "a");
+		Map<String, Object> circle = Map.of("id", "shape-1", "type", "circle", "version", 3, "author", "a");
+		drawer.send("line-created", line);
+		drawer.send("shape-created", Map.of("id", "shape-1", "type", "rect", "version", 2, "author", "a"));
+		drawer.send("shape-updated", circle);
+		drawer.send("text-created", Map.of("id", "text-1", "content", "hi", "version", 4, "author", "a"));
+		drawer.send("text-removed", Map.of("id", "text-1", "version", 5, "author", "a"));
+		drawer.roundTrip();
+
+		Participant joiner = connect();
+		joiner.subscribe("/app/rooms/" + room + "/snapshot");
+		Map<String, Object> snapshot = joiner.next("/app/rooms/" + room + "/snapshot");
+
+		assertThat(snapshot).containsEntry("lines", List.of(line))
+				.containsEntry("shapes", List.of(circle))
+				.containsEntry("images", List.of())
+				.containsEntry("texts", List.of())
+				.containsEntry("removed", List.of(Map.of("kind", "text", "id", "text-1", "version", 5, "author", "a")));
+	}
+
+	@Test
+	void refusesEverythingForRoomsThatDoNotExist() throws Exception {
+		Participant stranger = connect("never-created");
+		stranger.subscribe("/user/queue/errors");
+
+		stranger.send("shape-created", Map.of("id", "shape-1", "version", 1, "author", "a"));
+		stranger.send("member-joined", Map.of("id", "stranger", "name", "Eve", "color", "#e11d48"));
+		stranger.subscribe("/app/rooms/never-created/snapshot");
+
+		for (int i = 0; i < 3; i++) {
+			assertThat(stranger.next("/user/queue/errors")).containsEntry("error", "Room never-created does not exist");
+		}
+		assertThat(stranger.poll("/app/rooms/never-created/snapshot", 200)).isNull();
+	}
+
+	@Test
+	void dropsStaleWritesInsteadOfRelayingThem() throws Exception {
+		Participant sender = connect();
+		Participant receiver = connect();
+		receiver.subscribe("/topic/rooms/" + room + "/shape-updated");
+		receiver.roundTrip();
+
+		sender.send("shape-updated", Map.of("id", "shape-1", "x", 300, "version", 2, "author", "b"));
+		sender.send("shape-updated", Map.of("id", "shape-1", "x", 100, "version", 2, "author", "a"));
+
+		assertThat(receiver.next("/topic/rooms/" + room + "/shape-updated")).containsEntry("x", 300);
+		assertThat(receiver.poll("/topic/rooms/" + room + "/shape-updated", 500)).isNull();
+	}
+
+	@Test
+	void relaysBatchesWithoutTheStaleEntries() throws Exception {
+		Participant sender = connect();
+		Participant receiver = connect();
+		receiver.subscribe("/topic/rooms/" + room + "/batch");
+		receiver.roundTrip();
+
+		sender.send("shape-created", Map.of("id", "shape-1", "x", 0, "version", 5, "author", "a"));
+		sender.send("batch", Map.of("events", List.of(
+				Map.of("event", "shape-updated", "payload", Map.of("id", "shape-1", "x", 10, "version", 2, "author", "a")),
+				Map.of("event", "line-updated", "payload", Map.of("id", "line-1", "x", 10, "version", 6, "author", "a")),
+				Map.of("event", "text-removed", "payload", Map.of("id", "text-1", "version", 7, "author", "a")))));
+
+		List<?> relayed = (List<?>) receiver.next("/topic/rooms/" + room + "/batch").get("events");
+		assertThat(relayed).extracting(entry -> ((Map<?, ?>) entry).get("event"))
+				.containsExactly("line-updated", "text-removed");
+	}
+
+	@Test
+	void rejectsBatchesWithInvalidEntries() throws Exception {
+		Participant sender = connect();
+		Participant receiver = connect();
+		sender.subscribe("/user/queue/errors");
+		sender.roundTrip();
+		receiver.subscribe("/topic/rooms/" + room + "/batch");
+		receiver.roundTrip();
+
+		sender.send("batch", Map.of("events", List.of(
+				Map.of("event", "shape-updated", "payload", Map.of("id", "shape-2", "x", 10)),
+				Map.of("event", "cursor-updated", "payload", Map.of("id", "client-a", "x", 1, "y", 1)))));
+
+		assertThat(sender.next("/user/queue/errors"))
+				.containsEntry("error", "batch can only contain element events, not cursor-updated");
+		assertThat(receiver.poll("/topic/rooms/" + room + "/batch", 500)).isNull();
+	}
+
+	// Streamed points only apply to strokes the room already has, see streamsStrokePointsOntoExistingLines
+	private static List<ElementAction> relayedActions(ElementType type) {
+		return Arrays.stream(ElementAction.values())
+				.filter(action -> action.appliesTo(type) && action != ElementAction.POINTS_APPENDED)
+				.toList();
+	}
+
+	private Participant connect() throws Exception {
+		return connect(room);
+	}
+
+	private Participant connect(String room) throws Exception {
+		if (stompClient == null) {
+			stompClient = new WebSocketStompClient(
+					new SockJsClient(List.of(new WebSocketTransport(new StandardWebSocketClient()))));
+			stompClient.setMessageConverter(new JacksonJsonMessageConverter());
+		}
+		StompSession session = stompClient
+				.connectAsync("http://localhost:" + port + "/whiteboard-sockets", new StompSessionHandlerAdapter() {
+				})
+				.get(5, TimeUnit.SECONDS);
+		return new Participant(session, room);
+	}
+
+	/**
+	 * A connected STOMP session that records every frame it receives, per destination.
+	 */
+	private static final class Participant {
+
+		private final StompSession session;
+		private final String room;
+		private final Map<String, BlockingQueue<Map<String, Object>>> received = new ConcurrentHashMap<>();
+
+		Participant(StompSession session, String room) {
+			this.session = session;
+			this.room = room;
+		}
+
+		void subscribe(String destination) {
+			BlockingQueue<Map<String, Object>> queue = received.computeIfAbsent(destination, d -> new LinkedBlockingQueue<>());
+			session.subscribe(destination, new StompFrameHandler() {
+				@Override
+				public Type getPayloadType(StompHeaders headers) {
+					return Map.class;
+				}
+
+				@Override
+				@SuppressWarnings("unchecked")
+				public void handleFrame(StompHeaders headers, Object payload) {
+					queue.add((Map<String, Object>) payload);
+				}
+			});
+		}
+
+		void send(String event, Map<String, Object> payload) {
+			session.send("/app/rooms/" + room + "/" + event, payload);
+		}
+
+		void disconnect() {
+			session.disconnect();
+		}
+
+		// Frames from one session are handled in order, so once our own probe comes
+		// back every frame it sent before (SUBSCRIBE or SEND) has been handled.
+		void roundTrip() throws InterruptedException {
+			String probe = "/topic/rooms/" + room + "/cursor-updated";
+			subscribe(probe);
+			String id = "probe-" + System.nanoTime();
+			send("cursor-updated", Map.of("id", id, "x", 0, "y", 0));
+			Map<String, Object> frame;
+			do {
+				frame = next(probe);
+			} while (!id.equals(frame.get("id")));
+		}
+
+		Map<String, Object> next(String destination) throws InterruptedException {
+			Map<String, Object> frame = poll(destination, 5000);
+			assertThat(frame).as("frame on " + destination).isNotNull();
+			return frame;
+		}
+
+		Map<String, Object> poll(String destination, long timeoutMillis) throws InterruptedException {
+			return received.get(destination).poll(timeoutMillis, TimeUnit.MILLISECONDS);
+		}
+	}
+}
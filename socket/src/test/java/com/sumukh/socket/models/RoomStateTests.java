@@ -0,0 +1,119 @@
+package com.sumukh.socket.models;
+
+import static org.assertj.core.api.Assertions.assertThat;
+
+import java.util.ArrayList;
+import java.util.List;
+import java.util.Map;
+import org.junit.jupiter.api.Test;
+
+class RoomStateTests {
+
+	private record Event(String name, Map<String, Object> payload) {
+	}
+
+	@Test
+	void convergesRegardlessOfDeliveryOrder() {
+		List<Event> events = List.of(
+				new Event("shape-created", Map.of("id", "s1", "x", 0, "version", 1, "author", "a")),
+				new Event("shape-updated", Map.of("id", "s1", "x", 100, "version", 2, "author", "a")),
+				new Event("shape-updated", Map.of("id", "s1", "x", 300, "version", 2, "author", "b")),
+				new Event("line-created", Map.of("id", "l1", "points", List.of(0, 0), "version", 1, "author", "b")),
+				new Event("line-removed", Map.of("id", "l1", "version", 3, "author", "a")));
+
+		List<Map<String, Object>> snapshots = new ArrayList<>();
+		for (List<Event> order : permutations(events)) {
+			RoomState state = new RoomState();
+			order.forEach(e -> state.apply(RoomEvent.parse(e.name()), e.payload()));
+			snapshots.add(state.snapshot());
+		}
+
+		assertThat(snapshots).allSatisfy(snapshot -> assertThat(snapshot)
+				.containsEntry("shapes", List.of(Map.of("id", "s1", "x", 300, "version", 2, "author", "b")))
+				.containsEntry("lines", List.of())
+				.containsEntry("removed", List.of(Map.of("kind", "line", "id", "l1", "version", 3, "author", "a"))));
+	}
+
+	@Test
+	void rejectsWritesThatLoseTheMerge() {
+		RoomState state = new RoomState();
+		RoomEvent updated = RoomEvent.parse("text-updated");
+
+		assertThat(state.apply(updated, Map.of("id", "t1", "content", "new", "version", 5, "author", "a"))).isTrue();
+		assertThat(state.apply(updated, Map.of("id", "t1", "content", "old", "version", 4, "author", "z"))).isFalse();
+		assertThat(state.apply(updated, Map.of("id", "t1", "content", "new", "version", 5, "author", "a"))).isFalse();
+		assertThat(state.snapshot()).containsEntry("texts", List.of(Map.of("id", "t1", "content", "new", "version", 5, "author", "a")));
+	}
+
+	@Test
+	void newerWritesResurrectRemovedElements() {
+		RoomState state = new RoomState();
+		state.apply(RoomEvent.parse("image-created"), Map.of("id", "i1", "src", "x", "version", 1, "author", "a"));
+		state.apply(RoomEvent.parse("image-removed"), Map.of("id", "i1", "version", 2, "author", "a"));
+
+		state.apply(RoomEvent.parse("image-created"), Map.of("id", "i1", "src", "x", "version", 3, "author", "a", "roomId", "r"));
+
+		assertThat(state.snapshot())
+				.containsEntry("images", List.of(Map.of("id", "i1", "src", "x", "version", 3, "author", "a")))
+				.containsEntry("removed", List.of());
+	}
+
+	@Test
+	void restoresTombstonesFromSnapshots() {
+		RoomState saved = new RoomState();
+		saved.apply(RoomEvent.parse("line-removed"), Map.of("id", "l1", "version", 9, "author", "a"));
+
+		RoomState restored = new RoomState();
+		restored.replace(saved.snapshot());
+
+		assertThat(restored.apply(RoomEvent.parse("line-updated"), Map.of("id", "l1", "version", 8, "author", "b"))).isFalse();
+		assertThat(restored.snapshot()).isEqualTo(saved.snapshot());
+	}
+
+	@Test
+	void appendsStreamedPointsOnce() {
+		RoomState state = new RoomState();
+		state.apply(RoomEvent.parse("line-created"), Map.of("id", "l1", "points", List.of(0, 0), "version", 1, "author", "a"));
+		RoomEvent appended = RoomEvent.parse("line-points-appended");
+
+		assertThat(state.apply(appended, Map.of("id", "l1", "offset", 2, "points", List.of(1, 1, 2, 2), "version", 2, "author", "a"))).isTrue();
+		// Overlapping batch: only the coordinates past what we have are added
+		assertThat(state.apply(appended, Map.of("id", "l1", "offset", 4, "points", List.of(2, 2, 3, 3), "version", 3, "author", "a"))).isTrue();
+		assertThat(state.apply(appended, Map.of("id", "l1", "offset", 2, "points", List.of(1, 1), "version", 4, "author", "a"))).isFalse();
+		assertThat(state.apply(appended, Map.of("id", "missing", "offset", 0, "points", List.of(1, 1), "version", 5, "author", "a"))).isFalse();
+
+		assertThat(state.snapshot()).containsEntry("lines",
+				List.of(Map.of("id", "l1", "points", List.of(0, 0, 1, 1, 2, 2, 3, 3), "version", 3, "author", "a")));
+	}
+
+	@Test
+	void appendsStreamedPressuresWithTheirPoints() {
+		RoomState state = new RoomState();
+		state.apply(RoomEvent.parse("line-created"), Map.of("id", "l1", "points", List.of(0, 0), "pressures", List.of(0.2), "version", 1, "author", "a"));
+		RoomEvent appended = RoomEvent.parse("line-points-appended");
+
+		state.apply(appended, Map.of("id", "l1", "offset", 2, "points", List.of(1, 1, 2, 2), "pressures", List.of(0.4, 0.6), "version", 2, "author", "a"));
+		state.apply(appended, Map.of("id", "l1", "offset", 4, "points", List.of(2, 2, 3, 3), "pressures", List.of(0.6, 0.8), "version", 3, "author", "a"));
+
+		assertThat(state.snapshot()).containsEntry("lines", List.of(Map.of(
+				"id", "l1", "points", List.of(0, 0, 1, 1, 2, 2, 3, 3), "pressures", List.of(0.2, 0.4, 0.6, 0.8), "version", 3, "author", "a")));
+	}
+
+	private static <T> List<List<T>> permutations(List<T> items) {
+		if (items.size() <= 1) {
+			return List.of(items);
+		}
+		List<List<T>> result = new ArrayList<>();
+		for (int i = 0; i < items.size(); i++) {
+			List<T> rest = new ArrayList<>(items);
+			T head = rest.remove(i);
+			for (List<T> tail : permutations(rest)) {
+				List<T> order = new ArrayList<>();
+				order.add(head);
+				order.addAll(tail);
+				result.add(order);
+			}
+		}
+		return result;
+	}
+}
@@ -0,0 +1,38 @@
+package com.sumukh.socket.service;
+
+import static org.assertj.core.api.Assertions.assertThat;
+
+import java.util.List;
+import java.util.Map;
+import org.junit.jupiter.api.Test;
+
+class PresenceServiceTests {
+
+	@Test
+	void listsMembersInTheOrderTheyJoined() {
+		PresenceService presence = new PresenceService();
+
+		presence.join("room", "session-a", Map.of("id", "a", "name", "Ada", "color", "#e11d48", "extra", true));
+		presence.join("room", "session-b", Map.of("id", "b", "name", "Bo", "color", "#0284c7"));
+		presence.join("room", "session-a", Map.of("id", "a", "name", "Ada L", "color", "#e11d48"));
+
+		assertThat(presence.members("room")).containsExactly(
+				Map.of("id", "a", "name", "Ada L", "color", "#e11d48"),
+				Map.of("id", "b", "name", "Bo", "color", "#0284c7"));
+	}
+
+	@Test
+	void leavingTakesTheSessionOutOfEveryRoom() {
+		PresenceService presence = new PresenceService();
+		presence.join("one", "session-a", Map.of("id", "a", "name", "Ada", "color", "#e11d48"));
+		presence.join("two", "session-a", Map.of("id", "a", "name", "Ada", "color", "#e11d48"));
+		presence.join("two", "session-b", Map.of("id", "b", "name", "Bo", "color", "#0284c7"));
+
+		Map<String, Map<String, Object>> left = presence.leave("session-a");
+
+		assertThat(left).containsOnlyKeys("one", "two");
+		assertThat(presence.members("one")).isEmpty();
+		assertThat(presence.members("two")).extracting(member -> member.get("id")).containsExactly("b");
+		assertThat(presence.leave("session-a")).isEmpty();
+	}
+}
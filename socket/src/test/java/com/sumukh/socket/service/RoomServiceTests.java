@@ -0,0 +1,79 @@
+package com.sumukh.socket.service;
+
+import static org.assertj.core.api.Assertions.assertThat;
+import static org.assertj.core.api.Assertions.assertThatThrownBy;
+
+import com.sumukh.socket.exceptions.RoomNotFoundException;
+import com.sumukh.socket.models.RoomInfo;
+import com.sumukh.socket.store.FileRoomStore;
+import java.nio.file.Path;
+import java.time.Duration;
+import java.util.List;
+import java.util.Map;
+import org.junit.jupiter.api.BeforeEach;
+import org.junit.jupiter.api.Test;
+import org.junit.jupiter.api.io.TempDir;
+import tools.jackson.databind.json.JsonMapper;
+
+class RoomServiceTests {
+
+	@TempDir
+	Path directory;
+
+	private FileRoomStore store;
+	private RoomService rooms;
+
+	@BeforeEach
+	void createService() {
+		store = new FileRoomStore(directory, JsonMapper.builder().build());
+		rooms = start();
+	}
+
+	// What Spring does on startup
+	private RoomService start() {
+		RoomService service = new RoomService(store, new RoomStateService(store, new PresenceService(), Duration.ofDays(7)));
+		service.loadRooms();
+		return service;
+	}
+
+	@Test
+	void createsRoomsUnderIdsNobodyCanGuess() {
+		RoomInfo first = rooms.create("  Sprint   planning ");
+		RoomInfo second = rooms.create(null);
+
+		assertThat(first.id()).matches("[A-Za-z0-9_-]{22}").isNotEqualTo(second.id());
+		assertThat(first.name()).isEqualTo("Sprint planning");
+		assertThat(second.name()).isEqualTo(RoomService.DEFAULT_NAME);
+		assertThat(store.loadAllInfo()).containsExactlyInAnyOrder(first, second);
+	}
+
+	@Test
+	void renamesRoomsAndRecordsTheirActivity() throws InterruptedException {
+		RoomInfo room = rooms.create("Draft");
+		Thread.sleep(5);
+
+		rooms.rename(room.id(), "Final");
+		rooms.touch(room.id());
+		rooms.flush();
+
+		RoomInfo saved = start().find(room.id()).orElseThrow();
+		assertThat(saved.name()).isEqualTo("Final");
+		assertThat(saved.created()).isEqualTo(room.created());
+		assertThat(saved.lastActivity()).isGreaterThan(room.lastActivity());
+		assertThatThrownBy(() -> rooms.rename(room.id(), " ")).isInstanceOf(IllegalArgumentException.class);
+		assertThatThrownBy(() -> rooms.rename(room.id(), "x".repeat(RoomService.MAX_NAME_LENGTH + 1)))
+				.isInstanceOf(IllegalArgumentException.class);
+	}
+
+	@Test
+	void deletingARoomTakesItsBoardWithIt() {
+		RoomInfo room = rooms.create("Scratch");
+		store.save(room.id(), Map.of("lines", List.of()));
+
+		rooms.delete(room.id());
+
+		assertThat(rooms.find(room.id())).isEmpty();
+		assertThat(store.load(room.id())).isEmpty();
+		assertThatThrownBy(() -> rooms.delete(room.id())).isInstanceOf(RoomNotFoundException.class);
+	}
+}
@@ -0,0 +1,82 @@
+package com.sumukh.socket.service;
+
+import static org.assertj.core.api.Assertions.assertThat;
+
+import com.sumukh.socket.models.RoomEvent;
+import com.sumukh.socket.store.FileRoomStore;
+import java.nio.file.Path;
+import java.time.Duration;
+import java.util.List;
+import java.util.Map;
+import org.junit.jupiter.api.BeforeEach;
+import org.junit.jupiter.api.Test;
+import org.junit.jupiter.api.io.TempDir;
+import tools.jackson.databind.json.JsonMapper;
+
+class RoomStateServiceTests {
+
+	@TempDir
+	Path directory;
+
+	private FileRoomStore store;
+	private PresenceService presence;
+
+	@BeforeEach
+	void createStore() {
+		store = new FileRoomStore(directory, JsonMapper.builder().build());
+		presence = new PresenceService();
+	}
+
+	@Test
+	void letsGoOfSavedRoomsNobodyIsIn() {
+		RoomStateService boards = new RoomStateService(store, presence, Duration.ofDays(7));
+		presence.join("busy", "session-a", Map.of("id", "a", "name", "Ada", "color", "#e11d48"));
+		boards.apply("busy", RoomEvent.parse("shape-created"), Map.of("id", "s1", "version", 1, "author", "a"));
+		boards.apply("empty", RoomEvent.parse("shape-created"), Map.of("id", "s2", "version", 1, "author", "a"));
+
+		boards.flush();
+
+		assertThat(boards.isLoaded("busy")).isTrue();
+		assertThat(boards.isLoaded("empty")).isFalse();
+		assertThat(boards.snapshot("empty")).containsEntry("shapes", List.of(Map.of("id", "s2", "version", 1, "author", "a")));
+	}
+
+	@Test
+	void deletedRoomsStayDeleted() {
+		RoomStateService boards = new RoomStateService(store, presence, Duration.ofDays(7));
+		boards.apply("gone", RoomEvent.parse("shape-created"), Map.of("id", "s1", "version", 1, "author", "a"));
+
+		boards.discard("gone");
+		// A client that missed the deletion replays what it drew while offline
+		boards.apply("gone", RoomEvent.parse("shape-created"), Map.of("id", "s2", "version", 2, "author", "b"));
+		boards.flush();
+
+		assertThat(store.load("gone")).isEmpty();
+		assertThat(boards.isLoaded("gone")).isFalse();
+	}
+
+	@Test
+	void forgetsDeletedRoomsAsLongAfterAsTombstones() throws InterruptedException {
+		RoomStateService boards = new RoomStateService(store, presence, Duration.ZERO);
+		boards.discard("gone");
+		assertThat(boards.isDiscarded("gone")).isTrue();
+		Thread.sleep(5);
+
+		boards.flush();
+
+		assertThat(boards.isDiscarded("gone")).isFalse();
+	}
+
+	@Test
+	void prunesTombstonesOnceTheyHaveServedTheirTime() throws InterruptedException {
+		RoomStateService boards = new RoomStateService(store, presence, Duration.ZERO);
+		boards.apply("room", RoomEvent.parse("shape-created"), Map.of("id", "s1", "version", 1, "author", "a"));
+		boards.apply("room", RoomEvent.parse("shape-removed"), Map.of("id", "s1", "version", 2, "author", "a"));
+		Thread.sleep(5);
+
+		boards.flush();
+
+		assertThat(boards.snapshot("room")).containsEntry("removed", List.of());
+		assertThat(store.load("room")).get().extracting(snapshot -> snapshot.get("removed")).isEqualTo(List.of());
+	}
+}
@@ -0,0 +1,55 @@
+package com.sumukh.socket.store;
+
+import static org.assertj.core.api.Assertions.assertThat;
+
+import com.sumukh.socket.models.RoomInfo;
+import java.nio.file.Path;
+import java.util.List;
+import java.util.Map;
+import org.junit.jupiter.api.Test;
+import org.junit.jupiter.api.io.TempDir;
+import tools.jackson.databind.json.JsonMapper;
+
+class FileRoomStoreTests {
+
+	@TempDir
+	Path directory;
+
+	@Test
+	void roundTripsSnapshots() {
+		FileRoomStore store = new FileRoomStore(directory, JsonMapper.builder().build());
+		Map<String, Object> snapshot = Map.of(
+				"lines", List.of(Map.of("id", "line-1", "points", List.of(1, 2, 3, 4))),
+				"shapes", List.of(),
+				"images", List.of(),
+				"texts", List.of(Map.of("id", "text-1", "content", "hello")));
+
+		store.save("team/board one", snapshot);
+
+		assertThat(store.load("team/board one")).contains(snapshot);
+		assertThat(new FileRoomStore(directory, JsonMapper.builder().build()).load("team/board one")).contains(snapshot);
+	}
+
+	@Test
+	void keepsRoomInfoApartFromBoards() {
+		FileRoomStore store = new FileRoomStore(directory, JsonMapper.builder().build());
+		RoomInfo info = new RoomInfo("info", "Planning", 1000, 2000);
+
+		store.saveInfo(info);
+
+		assertThat(store.loadAllInfo()).containsExactly(info);
+		assertThat(store.load("info")).isEmpty();
+	}
+
+	@Test
+	void forgetsDeletedRooms() {
+		FileRoomStore store = new FileRoomStore(directory, JsonMapper.builder().build());
+		store.save("gone", Map.of("lines", List.of()));
+		store.saveInfo(new RoomInfo("gone", "Gone", 1000, 1000));
+
+		store.delete("gone");
+
+		assertThat(store.load("gone")).isEmpty();
+		assertThat(store.loadAllInfo()).isEmpty();
+	}
+}